@@ -0,0 +1,62 @@
+/**
+ * Bytecode fallback adapter: price-like views found by matching dispatcher selectors against the
+ * bundled signature database (following EIP-1967/EIP-1167 proxies to the implementation)
+ */
+
+import { tryCall } from "../utils.js";
+
+export default {
+  name: "bytecode",
+  description: "price-like view found from bytecode selectors (fallback)",
+
+  async detect(ctx) {
+    const targets = [ctx.inputAddress, ctx.minterAddress].filter(Boolean);
+    const tried = [];
+    for (const address of targets) {
+      const analysis = await ctx.inspectBytecode(address);
+      const hit = analysis.candidates.find((c) => c.ok && c.value > 0n);
+      if (hit) {
+        return {
+          matched: true,
+          reason: `${hit.fn}(${hit.args.join(",")}) on ${address} returned ${hit.value} (bytecode selector match)`,
+          discovery: {
+            sourceAddress: address,
+            sourceFunction: hit.fn,
+            priceSignature: hit.signature,
+            priceArgs: hit.args,
+            implementationAddress: analysis.implementation,
+          },
+        };
+      }
+      tried.push(`${analysis.selectors.length} selectors, ${analysis.candidates.length} price-like on ${address}`);
+    }
+    return { matched: false, reason: `no price-like view returned a value (${tried.join("; ")})` };
+  },
+
+  async read(discovery, block) {
+    const res = await tryCall(
+      discovery.sourceAddress,
+      discovery.priceSignature,
+      discovery.sourceFunction,
+      discovery.priceArgs,
+      block
+    );
+    if (!res.ok) throw new Error(`failed to read ${discovery.sourceFunction} at block ${block}`);
+    return res.value;
+  },
+
+  call(discovery) {
+    return {
+      target: discovery.sourceAddress,
+      signature: discovery.priceSignature,
+      fn: discovery.sourceFunction,
+      args: discovery.priceArgs,
+    };
+  },
+
+  describe(discovery) {
+    const lines = [`bytecode match: ${discovery.priceSignature}`];
+    if (discovery.implementationAddress) lines.push(`implementation: ${discovery.implementationAddress}`);
+    return lines;
+  },
+};
@@ -0,0 +1,62 @@
+/**
+ * Chainlink-style adapter: exchange-rate feeds exposing latestRoundData()
+ */
+
+import { tryCall } from "../utils.js";
+
+const LATEST_ROUND_DATA =
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)";
+
+export default {
+  name: "chainlink",
+  description: "Chainlink-style feed latestRoundData().answer",
+
+  async detect(ctx) {
+    const probe = await tryCall(ctx.inputAddress, LATEST_ROUND_DATA, "latestRoundData", [], ctx.blockTag);
+    if (!probe.ok) return { matched: false, reason: "latestRoundData() not callable on input" };
+
+    const answer = probe.value[1];
+    if (answer <= 0n) return { matched: false, reason: `latestRoundData() answer is ${answer}` };
+
+    const dec = await tryCall(ctx.inputAddress, "function decimals() view returns (uint8)", "decimals", [], ctx.blockTag);
+    return {
+      matched: true,
+      reason: `latestRoundData() answer ${answer}`,
+      discovery: {
+        sourceAddress: ctx.inputAddress,
+        sourceFunction: "latestRoundData",
+        feedDecimals: dec.ok ? Number(dec.value) : null,
+      },
+    };
+  },
+
+  async read(discovery, block) {
+    const res = await tryCall(discovery.sourceAddress, LATEST_ROUND_DATA, "latestRoundData", [], block);
+    if (!res.ok) throw new Error(`failed to read latestRoundData at block ${block}`);
+    return res.value[1];
+  },
+
+  call(discovery) {
+    return { target: discovery.sourceAddress, signature: LATEST_ROUND_DATA, fn: "latestRoundData", pick: (r) => r[1] };
+  },
+
+  async resolveAsset(discovery, blockTag) {
+    // Feeds quote a pair rather than wrap a token; use the feed description (e.g. "ETH / USD") as the asset label
+    const desc = await tryCall(discovery.sourceAddress, "function description() view returns (string)", "description", [], blockTag);
+    return {
+      assetAddress: null,
+      assetSymbol: desc.ok ? desc.value : null,
+      assetDecimals: null,
+      priceDecimals: discovery.feedDecimals,
+    };
+  },
+
+  // A feed has no depositors
+  flowSources() {
+    return [];
+  },
+
+  describe(discovery) {
+    return discovery.feedDecimals != null ? [`feed decimals: ${discovery.feedDecimals}`] : [];
+  },
+};
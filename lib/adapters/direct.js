@@ -0,0 +1,47 @@
+/**
+ * Direct getter adapter: share price exposed as a no-arg view on the input contract
+ */
+
+import { tryCall } from "../utils.js";
+
+/**
+ * Read a no-arg uint256 price getter
+ * @private
+ */
+export async function readGetter(address, fn, block) {
+  const res = await tryCall(address, `function ${fn}() view returns (uint256)`, fn, [], block);
+  if (!res.ok) throw new Error(`failed to read ${fn} at block ${block}`);
+  return res.value;
+}
+
+export default {
+  name: "direct",
+  description: "price getter (priceAA, price, tokenPrice, ...) on the input contract",
+
+  async detect(ctx) {
+    for (const fn of ctx.functionOrder) {
+      const probe = await tryCall(ctx.inputAddress, `function ${fn}() view returns (uint256)`, fn, [], ctx.blockTag);
+      if (probe.ok) {
+        return {
+          matched: true,
+          reason: `${fn}() on input returned ${probe.value}`,
+          discovery: { sourceAddress: ctx.inputAddress, sourceFunction: fn },
+        };
+      }
+    }
+    return { matched: false, reason: `none of ${ctx.functionOrder.join(", ")} callable on input` };
+  },
+
+  async read(discovery, block) {
+    return readGetter(discovery.sourceAddress, discovery.sourceFunction, block);
+  },
+
+  call(discovery) {
+    const fn = discovery.sourceFunction;
+    return { target: discovery.sourceAddress, signature: `function ${fn}() view returns (uint256)`, fn };
+  },
+
+  describe() {
+    return [];
+  },
+};
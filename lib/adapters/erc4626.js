@@ -0,0 +1,73 @@
+/**
+ * ERC4626 adapter: price is convertToAssets(10^decimals)
+ */
+
+import { tryCall } from "../utils.js";
+
+export default {
+  name: "erc4626",
+  description: "ERC4626 vault convertToAssets(one share)",
+
+  async detect(ctx) {
+    const candidates = [ctx.minterAddress, ctx.inputAddress].filter(Boolean);
+    for (const address of candidates) {
+      const dec = await tryCall(address, "function decimals() view returns (uint8)", "decimals", [], ctx.blockTag);
+      if (!dec.ok) continue;
+
+      const decimals = Number(dec.value);
+      if (!Number.isFinite(decimals) || decimals < 0 || decimals > 30) continue;
+
+      const oneShare = 10n ** BigInt(decimals);
+      const probe = await tryCall(
+        address,
+        "function convertToAssets(uint256) view returns (uint256)",
+        "convertToAssets",
+        [oneShare],
+        ctx.blockTag
+      );
+      if (probe.ok) {
+        return {
+          matched: true,
+          reason: `convertToAssets(1e${decimals}) on ${address} returned ${probe.value}`,
+          discovery: {
+            sourceAddress: address,
+            sourceFunction: "convertToAssets",
+            oneShare,
+            shareDecimals: decimals,
+          },
+        };
+      }
+    }
+    return { matched: false, reason: "convertToAssets(uint256) not callable" };
+  },
+
+  async read(discovery, block) {
+    const res = await tryCall(
+      discovery.sourceAddress,
+      "function convertToAssets(uint256) view returns (uint256)",
+      "convertToAssets",
+      [discovery.oneShare],
+      block
+    );
+    if (!res.ok) throw new Error(`failed to read convertToAssets at block ${block}`);
+    return res.value;
+  },
+
+  call(discovery) {
+    return {
+      target: discovery.sourceAddress,
+      signature: "function convertToAssets(uint256) view returns (uint256)",
+      fn: "convertToAssets",
+      args: [discovery.oneShare],
+    };
+  },
+
+  describe(discovery) {
+    return [`share decimals: ${discovery.shareDecimals}`];
+  },
+
+  // Deposit/Withdraw carry the exact asset amounts, so no share pricing is needed
+  flowSources(discovery) {
+    return [{ kind: "erc4626", address: discovery.sourceAddress }];
+  },
+};
@@ -0,0 +1,221 @@
+/**
+ * Price-source adapter registry
+ *
+ * Each adapter is an object with:
+ *   - name: unique string, also used as discovery.mode
+ *   - description: one line shown in discovery output
+ *   - detect(ctx): resolves { matched, reason, discovery? }
+ *       ctx = { inputAddress, tokenSymbol, minterAddress, blockTag, functionOrder, opts, inspectBytecode }
+ *       inspectBytecode(address) resolves the (memoized) bytecode analysis with probed price candidates
+ *   - read(discovery, block): resolves raw price at block, or null if none exists yet
+ *   - describe(discovery): extra log lines for the run header
+ *   - call(discovery): optional single view call ({ target, signature, fn, args, pick }) equivalent
+ *       to read(), which lets the sampler batch price reads through Multicall3
+ *   - prepare(discovery, { deployBlock, startBlock, endBlock }): optional setup before sampling; may run again
+ *       on the same discovery with a later endBlock (watch), so state it keeps should be extended, not reloaded
+ *   - resolveAsset(discovery, blockTag): optional; resolves { assetAddress, assetSymbol, assetDecimals,
+ *       priceDecimals } when the generic asset()/token()/underlying() probe does not fit
+ *   - supplyCalls(discovery): optional view calls named totalSupply (share token supply) and totalAssets
+ *       (underlying held) for the TVL columns; defaults to the token's totalSupply() and the source's totalAssets()
+ *   - flowSources(discovery): optional list of { kind, address, shareDecimals? } naming the logs that count as
+ *       deposits and withdrawals (kinds in lib/flows.js FLOW_KINDS); defaults to mint/burn of the token
+ */
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+import { ADAPTER_CONFIG } from "../config.js";
+import { resolveUnderlyingAsset, assetFields } from "../assets.js";
+import tranche from "./tranche.js";
+import direct from "./direct.js";
+import yearn from "./yearn.js";
+import erc4626 from "./erc4626.js";
+import chainlink from "./chainlink.js";
+import provisioner from "./provisioner.js";
+import bytecode from "./bytecode.js";
+
+// Probe order matters: the tranche CDO must win over the token, getters over convertToAssets,
+// and the bytecode selector scan is only a fallback
+const BUILTIN_ADAPTERS = [tranche, direct, yearn, erc4626, chainlink, provisioner, bytecode];
+
+let externalAdapters = [];
+
+/**
+ * Validate adapter shape
+ * @private
+ */
+function assertAdapter(adapter, origin) {
+  if (!adapter || typeof adapter.name !== "string" || !adapter.name) {
+    throw new Error(`adapter from ${origin} is missing a name`);
+  }
+  for (const fn of ["detect", "read"]) {
+    if (typeof adapter[fn] !== "function") {
+      throw new Error(`adapter ${adapter.name} from ${origin} is missing ${fn}()`);
+    }
+  }
+  if (typeof adapter.describe !== "function") adapter.describe = () => [];
+  return adapter;
+}
+
+/**
+ * Register an adapter ahead of the built-ins (replaces any adapter with the same name)
+ * @param {Object} adapter - Adapter object
+ */
+export function registerAdapter(adapter) {
+  assertAdapter(adapter, "registerAdapter");
+  externalAdapters = [...externalAdapters.filter((a) => a.name !== adapter.name), adapter];
+}
+
+/**
+ * Get all adapters in probe order (external first, then built-ins not overridden)
+ * @returns {Object[]} Adapters
+ */
+export function getAdapters() {
+  const overridden = new Set(externalAdapters.map((a) => a.name));
+  return [...externalAdapters, ...BUILTIN_ADAPTERS.filter((a) => !overridden.has(a.name))];
+}
+
+/**
+ * Get adapter by name
+ * @param {string} name - Adapter name (discovery.mode)
+ * @returns {Object} Adapter
+ * @throws {Error} If no adapter has that name
+ */
+export function getAdapter(name) {
+  const adapter = getAdapters().find((a) => a.name === name);
+  if (!adapter) throw new Error(`unsupported mode: ${name}`);
+  return adapter;
+}
+
+/**
+ * Import adapter module (default export or named `adapter`)
+ * @private
+ */
+async function importAdapter(file) {
+  const mod = await import(pathToFileURL(path.resolve(file)).href);
+  return assertAdapter(mod.default || mod.adapter, file);
+}
+
+/**
+ * Load external adapters from a directory of .js/.mjs files and/or a JSON config file
+ * Config format: { "adapters": ["./relative/or/absolute/adapter.js", ...] }
+ * Falls back to PRICE_ADAPTERS_DIR / PRICE_ADAPTERS_CONFIG env, then ./adapters.json if present.
+ * @param {Object} opts - { dir, configFile }
+ * @returns {Promise<string[]>} Names of loaded adapters
+ */
+export async function loadAdapters(opts = {}) {
+  const dir = opts.dir || process.env[ADAPTER_CONFIG.DIR_ENV];
+  let configFile = opts.configFile || process.env[ADAPTER_CONFIG.CONFIG_ENV];
+  if (!configFile && fs.existsSync(ADAPTER_CONFIG.DEFAULT_CONFIG_FILE)) {
+    configFile = ADAPTER_CONFIG.DEFAULT_CONFIG_FILE;
+  }
+
+  const files = [];
+  if (dir) {
+    for (const entry of fs.readdirSync(dir).sort()) {
+      if (/\.m?js$/.test(entry)) files.push(path.join(dir, entry));
+    }
+  }
+  if (configFile) {
+    const cfg = JSON.parse(fs.readFileSync(configFile, "utf8"));
+    const base = path.dirname(configFile);
+    for (const entry of cfg.adapters || []) {
+      files.push(path.isAbsolute(entry) ? entry : path.join(base, entry));
+    }
+  }
+
+  const loaded = [];
+  for (const file of files) {
+    const adapter = await importAdapter(file);
+    registerAdapter(adapter);
+    loaded.push(adapter.name);
+  }
+  return loaded;
+}
+
+/**
+ * Run adapter setup hook before sampling (no-op for adapters without one)
+ * @param {Object} discovery - Discovery result
+ * @param {Object} range - { deployBlock, startBlock, endBlock }
+ */
+export async function prepareAdapter(discovery, range) {
+  const adapter = getAdapter(discovery.mode);
+  if (typeof adapter.prepare === "function") await adapter.prepare(discovery, range);
+}
+
+/**
+ * Read price at specified block through the discovery's adapter
+ * @param {Object} discovery - Discovery result
+ * @param {number} block - Block number
+ * @returns {Promise<bigint|null>} Raw price, or null when none exists yet at block
+ */
+export async function readPriceAtBlock(discovery, block) {
+  return getAdapter(discovery.mode).read(discovery, block);
+}
+
+/**
+ * Extra descriptive lines for the discovery's adapter
+ * @param {Object} discovery - Discovery result
+ * @returns {string[]} Log lines
+ */
+export function describeDiscovery(discovery) {
+  return getAdapter(discovery.mode).describe(discovery);
+}
+
+/**
+ * Get the batchable view call for the discovery's price read
+ * @param {Object} discovery - Discovery result
+ * @returns {Object|null} View call descriptor, or null if the adapter cannot be batched
+ */
+export function priceCallFor(discovery) {
+  const adapter = getAdapter(discovery.mode);
+  return typeof adapter.call === "function" ? adapter.call(discovery) : null;
+}
+
+/**
+ * Get the view calls read next to the price for the supply and TVL columns
+ * @param {Object} discovery - Discovery result
+ * @returns {Object[]} View calls named totalSupply and/or totalAssets (failing calls read as null)
+ */
+export function supplyCallsFor(discovery) {
+  const adapter = getAdapter(discovery.mode);
+  if (typeof adapter.supplyCalls === "function") return adapter.supplyCalls(discovery);
+  return [
+    {
+      name: "totalSupply",
+      target: discovery.tokenAddress,
+      signature: "function totalSupply() view returns (uint256)",
+      fn: "totalSupply",
+    },
+    {
+      name: "totalAssets",
+      target: discovery.sourceAddress,
+      signature: "function totalAssets() view returns (uint256)",
+      fn: "totalAssets",
+    },
+  ];
+}
+
+/**
+ * Get the event sources of deposit/withdrawal flows for a discovery
+ * @param {Object} discovery - Discovery result
+ * @returns {Object[]} { kind, address, shareDecimals? } per source (shareDecimals defaults to the address's decimals())
+ */
+export function flowSourcesFor(discovery) {
+  const adapter = getAdapter(discovery.mode);
+  if (typeof adapter.flowSources === "function") return adapter.flowSources(discovery);
+  return [{ kind: "mint-burn", address: discovery.tokenAddress }];
+}
+
+/**
+ * Resolve underlying asset and price decimals for a discovery result
+ * @param {Object} discovery - Discovery result
+ * @param {string|number} blockTag - Block identifier
+ * @returns {Promise<Object>} { assetAddress, assetSymbol, assetDecimals, priceDecimals } (null fields when unknown)
+ */
+export async function resolveDiscoveryAsset(discovery, blockTag = "latest") {
+  const adapter = getAdapter(discovery.mode);
+  if (typeof adapter.resolveAsset === "function") return adapter.resolveAsset(discovery, blockTag);
+  return assetFields(await resolveUnderlyingAsset(discovery.sourceAddress, blockTag));
+}
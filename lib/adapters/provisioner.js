@@ -0,0 +1,280 @@
+/**
+ * Aera-style provisioner adapter: async deposit/redeem requests settled by solvers.
+ * There is no share-price getter, so price is rebuilt from the amounts settled into and out of the vault.
+ */
+
+import { ethers } from "ethers";
+import { tryCall, isValidAddress } from "../utils.js";
+import { PROVISIONER_CONFIG } from "../config.js";
+import { rpcCall, getLogsChunked } from "../provider.js";
+import { resolveTokenMetadata, assetFields } from "../assets.js";
+
+/**
+ * Detect an Aera-style provisioner contract (async deposit/redeem requests settled by solvers)
+ * @param {string} address - Candidate contract address
+ * @param {string|number} blockTag - Block identifier
+ * @returns {Promise<Object|null>} Provisioner details or null if not a provisioner
+ */
+export async function detectProvisioner(address, blockTag = "latest") {
+  const calc = await tryCall(address, PROVISIONER_CONFIG.DETECT_FUNCTION, "PRICE_FEE_CALCULATOR", [], blockTag);
+  if (!calc.ok || !isValidAddress(calc.value)) return null;
+
+  const code = await rpcCall((p) => p.getCode(address, blockTag), { blockTag });
+  const selector = ethers.id(PROVISIONER_CONFIG.DETECT_SELECTOR_SIGNATURE).slice(2, 10);
+  if (!code || !code.toLowerCase().includes(selector)) return null;
+
+  let vaultAddress = null;
+  for (const fn of PROVISIONER_CONFIG.VAULT_GETTERS) {
+    const res = await tryCall(address, `function ${fn}() view returns (address)`, fn, [], blockTag);
+    if (res.ok && isValidAddress(res.value)) {
+      vaultAddress = ethers.getAddress(res.value);
+      break;
+    }
+  }
+
+  let unitDecimals = PROVISIONER_CONFIG.DEFAULT_UNIT_DECIMALS;
+  if (vaultAddress) {
+    const dec = await tryCall(vaultAddress, "function decimals() view returns (uint8)", "decimals", [], blockTag);
+    if (dec.ok) unitDecimals = Number(dec.value);
+  }
+
+  return {
+    priceFeeCalculator: ethers.getAddress(calc.value),
+    vaultAddress,
+    unitDecimals,
+  };
+}
+
+/**
+ * Settlement points from the vault's Enter/Exit events: tokens moved per 10^unitDecimals units minted or burned
+ * @private
+ */
+async function loadSettlementPoints(discovery, fromBlock, toBlock) {
+  const iface = new ethers.Interface(PROVISIONER_CONFIG.VAULT_EVENTS);
+  const topics = ["Enter", "Exit"].map((name) => iface.getEvent(name).topicHash);
+  const logs = await getLogsChunked({ address: discovery.vaultAddress, topics: [topics] }, fromBlock, toBlock);
+  const unitScale = 10n ** BigInt(discovery.unitDecimals);
+  const provisioner = discovery.sourceAddress.toLowerCase();
+  const points = [];
+  for (const log of logs) {
+    let parsed;
+    try {
+      parsed = iface.parseLog(log);
+    } catch {
+      continue;
+    }
+    const { sender, token, tokenAmount, unitsAmount } = parsed?.args ?? {};
+    // only the provisioner's solves; other callers may enter at terms of their own
+    if (!parsed || sender.toLowerCase() !== provisioner || unitsAmount === 0n) continue;
+    const price = (tokenAmount * unitScale) / unitsAmount;
+    points.push({ block: log.blockNumber, price, token: ethers.getAddress(token) });
+  }
+  return points;
+}
+
+/**
+ * Settlement points from solved fixed-price requests, whose terms are the exchanged amounts
+ * (other requests only carry slippage bounds: minUnitsOut for deposits, minTokensOut for redeems)
+ * @private
+ */
+async function loadFixedPricePoints(discovery, fromBlock, toBlock) {
+  const iface = new ethers.Interface(PROVISIONER_CONFIG.EVENTS);
+  const topics = ["DepositRequested", "RedeemRequested", "DepositSolved", "RedeemSolved"].map(
+    (name) => iface.getEvent(name).topicHash
+  );
+  const logs = await getLogsChunked({ address: discovery.sourceAddress, topics: [topics] }, fromBlock, toBlock);
+
+  const unitScale = 10n ** BigInt(discovery.unitDecimals);
+  const requests = new Map();
+  const points = [];
+  for (const log of logs) {
+    let parsed;
+    try {
+      parsed = iface.parseLog(log);
+    } catch {
+      continue;
+    }
+    if (!parsed) continue;
+
+    const args = parsed.args;
+    if (parsed.name === "DepositRequested" || parsed.name === "RedeemRequested") {
+      if (args.isFixedPrice) requests.set(args[8], { token: args[1], tokens: args[2], units: args[3] });
+    } else {
+      const req = requests.get(args[0]);
+      if (!req || req.units === 0n) continue;
+      points.push({
+        block: log.blockNumber,
+        price: (req.tokens * unitScale) / req.units,
+        token: ethers.getAddress(req.token),
+      });
+    }
+  }
+  return points;
+}
+
+/**
+ * Settlement points from the vault when known, otherwise from solved fixed-price requests
+ * @private
+ */
+async function loadSettledPoints(discovery, fromBlock, toBlock) {
+  return discovery.vaultAddress
+    ? loadSettlementPoints(discovery, fromBlock, toBlock)
+    : loadFixedPricePoints(discovery, fromBlock, toBlock);
+}
+
+/**
+ * Rebuild effective price-per-unit series for a provisioner from settled amounts.
+ * With a known vault, each Enter/Exit the provisioner triggered contributes one point: tokens exchanged
+ * per 10^unitDecimals units. Without one, only solved fixed-price requests are used. Only the most
+ * frequently settled token is kept so the series stays in one denomination. Result is stored on
+ * discovery.priceSeries.
+ * @param {Object} discovery - Discovery result with mode "provisioner"
+ * @param {number} fromBlock - First block to scan
+ * @param {number} toBlock - Last block to scan
+ * @returns {Promise<Array<{block: number, price: bigint, token: string}>>} Price points in block order
+ * @throws {Error} If no settlements are found in range
+ */
+export async function loadProvisionerPriceSeries(discovery, fromBlock, toBlock) {
+  const points = await loadSettledPoints(discovery, fromBlock, toBlock);
+
+  const counts = new Map();
+  for (const p of points) counts.set(p.token, (counts.get(p.token) || 0) + 1);
+  const priceToken = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+  if (!priceToken) {
+    const source = discovery.vaultAddress ? `Enter/Exit on ${discovery.vaultAddress}` : "solved fixed-price requests";
+    throw new Error(
+      `no settlements (${source}) for provisioner ${discovery.sourceAddress} in blocks ${fromBlock}-${toBlock}`
+    );
+  }
+
+  discovery.priceToken = priceToken;
+  discovery.priceSeries = points.filter((p) => p.token === priceToken);
+  discovery.priceSeriesThrough = toBlock;
+  return discovery.priceSeries;
+}
+
+/**
+ * Append the settlements after a loaded series, keeping its price token
+ * @param {Object} discovery - Discovery result holding priceSeries/priceSeriesThrough from loadProvisionerPriceSeries
+ * @param {number} toBlock - Last block to scan
+ * @returns {Promise<Array<{block: number, price: bigint, token: string}>>} The extended series
+ */
+export async function extendProvisionerPriceSeries(discovery, toBlock) {
+  if (toBlock > discovery.priceSeriesThrough) {
+    const points = await loadSettledPoints(discovery, discovery.priceSeriesThrough + 1, toBlock);
+    discovery.priceSeries.push(...points.filter((p) => p.token === discovery.priceToken));
+    discovery.priceSeriesThrough = toBlock;
+  }
+  return discovery.priceSeries;
+}
+
+/**
+ * Look up the last settled price at or before a block
+ * @param {Array<{block: number, price: bigint}>} series - Price points in block order
+ * @param {number} block - Block number
+ * @returns {bigint|null} Price or null if nothing was settled yet
+ */
+export function priceFromSeries(series, block) {
+  let lo = 0;
+  let hi = series.length - 1;
+  let found = null;
+  while (lo <= hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (series[mid].block <= block) {
+      found = series[mid].price;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Provisioner behind a vault token (its provisioner() getter), so the vault itself works as input
+ * @private
+ */
+async function provisionerOf(address, blockTag) {
+  for (const fn of PROVISIONER_CONFIG.PROVISIONER_GETTERS) {
+    const res = await tryCall(address, `function ${fn}() view returns (address)`, fn, [], blockTag);
+    if (res.ok && isValidAddress(res.value)) return ethers.getAddress(res.value);
+  }
+  return null;
+}
+
+export default {
+  name: "provisioner",
+  description: "Aera-style provisioner priced from settled deposits/redeems",
+
+  async detect(ctx) {
+    const candidates = [ctx.minterAddress, ctx.inputAddress].filter(Boolean);
+    // a vault token input is only asked for its provisioner() when neither address is one
+    for (let i = 0; i <= candidates.length; i++) {
+      const address = i < candidates.length ? candidates[i] : await provisionerOf(ctx.inputAddress, ctx.blockTag);
+      const provisioner = address ? await detectProvisioner(address, ctx.blockTag) : null;
+      if (provisioner) {
+        return {
+          matched: true,
+          reason: `PRICE_FEE_CALCULATOR() -> ${provisioner.priceFeeCalculator}; tokensDetails(address) in bytecode`,
+          discovery: { sourceAddress: address, sourceFunction: "solveRequests", ...provisioner },
+        };
+      }
+    }
+    return { matched: false, reason: "no PRICE_FEE_CALCULATOR()/tokensDetails(address) on input/minter/provisioner()" };
+  },
+
+  /**
+   * Load the settled-price series; runs from deployment so the first sampled block
+   * carries the last settled price forward. A discovery prepared by an earlier run only scans the new blocks.
+   */
+  async prepare(discovery, range) {
+    if (discovery.priceSeries) {
+      await extendProvisionerPriceSeries(discovery, range.endBlock);
+      return;
+    }
+    await loadProvisionerPriceSeries(discovery, range.deployBlock, range.endBlock);
+    Object.assign(discovery, assetFields(await resolveTokenMetadata(discovery.priceToken)));
+  },
+
+  /**
+   * Price is denominated in the most-settled token, which is only known after prepare()
+   */
+  async resolveAsset() {
+    return assetFields(null);
+  },
+
+  async read(discovery, block) {
+    return priceFromSeries(discovery.priceSeries, block);
+  },
+
+  // Shares are the provisioner vault's token; TVL comes from its supply at the settled price
+  supplyCalls(discovery) {
+    if (!discovery.vaultAddress) return [];
+    return [
+      {
+        name: "totalSupply",
+        target: discovery.vaultAddress,
+        signature: "function totalSupply() view returns (uint256)",
+        fn: "totalSupply",
+      },
+    ];
+  },
+
+  // Settled amounts from the vault when known; otherwise solved requests on the provisioner
+  flowSources(discovery) {
+    const shareDecimals = discovery.unitDecimals;
+    if (discovery.vaultAddress) {
+      return [{ kind: "provisioner-settlements", address: discovery.vaultAddress, shareDecimals }];
+    }
+    return [{ kind: "provisioner-requests", address: discovery.sourceAddress, shareDecimals }];
+  },
+
+  describe(discovery) {
+    const lines = [`price fee calculator: ${discovery.priceFeeCalculator}`];
+    if (discovery.vaultAddress) lines.push(`provisioner vault: ${discovery.vaultAddress}`);
+    if (discovery.priceSeries) {
+      lines.push(`price token: ${discovery.priceToken} (${discovery.priceSeries.length} settlements)`);
+    }
+    return lines;
+  },
+};
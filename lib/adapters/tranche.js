@@ -0,0 +1,57 @@
+/**
+ * Idle/Pareto tranche adapter: tranche token points to its CDO via minter(), which exposes priceAA/priceBB
+ */
+
+import { tryCall } from "../utils.js";
+import { readGetter } from "./direct.js";
+
+export default {
+  name: "tranche",
+  description: "Idle/Pareto tranche token whose minter() CDO exposes priceAA/priceBB",
+
+  async detect(ctx) {
+    if (!ctx.minterAddress) return { matched: false, reason: "input has no minter()" };
+    for (const fn of ctx.functionOrder) {
+      const probe = await tryCall(ctx.minterAddress, `function ${fn}() view returns (uint256)`, fn, [], ctx.blockTag);
+      if (probe.ok) {
+        return {
+          matched: true,
+          reason: `minter() -> ${ctx.minterAddress}; ${fn}() returned ${probe.value}`,
+          discovery: { sourceAddress: ctx.minterAddress, sourceFunction: fn },
+        };
+      }
+    }
+    return { matched: false, reason: `minter ${ctx.minterAddress} has none of ${ctx.functionOrder.join(", ")}` };
+  },
+
+  async read(discovery, block) {
+    return readGetter(discovery.sourceAddress, discovery.sourceFunction, block);
+  },
+
+  call(discovery) {
+    const fn = discovery.sourceFunction;
+    return { target: discovery.sourceAddress, signature: `function ${fn}() view returns (uint256)`, fn };
+  },
+
+  describe(discovery) {
+    return [`tranche CDO: ${discovery.sourceAddress}`];
+  },
+
+  // totalAssets is the CDO's getContractValue(), which covers both tranches
+  supplyCalls(discovery) {
+    return [
+      {
+        name: "totalSupply",
+        target: discovery.tokenAddress,
+        signature: "function totalSupply() view returns (uint256)",
+        fn: "totalSupply",
+      },
+      {
+        name: "totalAssets",
+        target: discovery.sourceAddress,
+        signature: "function getContractValue() view returns (uint256)",
+        fn: "getContractValue",
+      },
+    ];
+  },
+};
@@ -0,0 +1,57 @@
+/**
+ * Yearn-style adapter: pricePerShare() (v2/v3) or getPricePerFullShare() (v1)
+ */
+
+import { tryCall } from "../utils.js";
+import { YEARN_FUNCTIONS } from "../config.js";
+import { readGetter } from "./direct.js";
+import { resolveUnderlyingAsset, assetFields } from "../assets.js";
+
+export default {
+  name: "yearn",
+  description: "Yearn vault pricePerShare() / getPricePerFullShare()",
+
+  async detect(ctx) {
+    for (const fn of YEARN_FUNCTIONS) {
+      const probe = await tryCall(ctx.inputAddress, `function ${fn}() view returns (uint256)`, fn, [], ctx.blockTag);
+      if (!probe.ok) continue;
+      const version = await tryCall(
+        ctx.inputAddress,
+        "function apiVersion() view returns (string)",
+        "apiVersion",
+        [],
+        ctx.blockTag
+      );
+      return {
+        matched: true,
+        reason: `${fn}() returned ${probe.value}${version.ok ? ` (apiVersion ${version.value})` : ""}`,
+        discovery: {
+          sourceAddress: ctx.inputAddress,
+          sourceFunction: fn,
+          apiVersion: version.ok ? version.value : null,
+        },
+      };
+    }
+    return { matched: false, reason: `none of ${YEARN_FUNCTIONS.join(", ")} callable on input` };
+  },
+
+  async read(discovery, block) {
+    return readGetter(discovery.sourceAddress, discovery.sourceFunction, block);
+  },
+
+  call(discovery) {
+    const fn = discovery.sourceFunction;
+    return { target: discovery.sourceAddress, signature: `function ${fn}() view returns (uint256)`, fn };
+  },
+
+  async resolveAsset(discovery, blockTag) {
+    const fields = assetFields(await resolveUnderlyingAsset(discovery.sourceAddress, blockTag));
+    // v1 getPricePerFullShare() is always 1e18-scaled regardless of the token
+    if (discovery.sourceFunction === "getPricePerFullShare") fields.priceDecimals = 18;
+    return fields;
+  },
+
+  describe(discovery) {
+    return discovery.apiVersion ? [`yearn api version: ${discovery.apiVersion}`] : [];
+  },
+};
@@ -0,0 +1,350 @@
+/**
+ * Yield analytics over a stored price series: rolling APY, period returns, volatility, drawdowns, Sharpe
+ *
+ * Rows only carry a UTC date, so every interval is measured in whole days between the last samples of
+ * each date. Returns are annualized by the actual days elapsed, which keeps step/event-sampled files
+ * comparable with daily ones.
+ */
+
+import { ANALYTICS_CONFIG } from "./config.js";
+
+export const REPORT_FORMATS = ["text", "json", "markdown"];
+
+const DAY_MS = 86400000;
+
+/**
+ * Day number (days since epoch) of a YYYY-MM-DD date
+ * @private
+ */
+function dayNumber(date) {
+  return Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+}
+
+/**
+ * Annualize a growth ratio observed over a number of days
+ * @private
+ */
+function annualize(ratio, days) {
+  return days > 0 && ratio > 0 ? (Math.pow(ratio, 365 / days) - 1) * 100 : null;
+}
+
+/**
+ * Collapse rows to the last positive price of each date
+ * @param {Array<{date: string, block: number, price: bigint}>} rows - Rows in block order
+ * @returns {Array<{date: string, day: number, block: number, price: number}>} One point per date
+ */
+export function buildDailySeries(rows) {
+  const points = [];
+  for (const row of rows) {
+    if (row.price <= 0n) continue;
+    const point = { date: row.date, day: dayNumber(row.date), block: row.block, price: Number(row.price) };
+    if (points.length && points[points.length - 1].date === row.date) points[points.length - 1] = point;
+    else points.push(point);
+  }
+  return points;
+}
+
+/**
+ * Rolling APY: growth from the last point at least windowDays earlier, annualized over the actual gap
+ * Points whose base is more than ROLLING_MAX_STRETCH windows back are skipped, so a series sampled
+ * coarser than the window reports nothing rather than a long-range figure under a short label.
+ * @param {Array<Object>} series - Result of buildDailySeries
+ * @param {number} windowDays - Window length in days
+ * @returns {Array<{date: string, days: number, apyPct: number}>} One entry per point with a full window
+ */
+export function rollingApy(series, windowDays) {
+  const out = [];
+  let base = -1;
+  for (const point of series) {
+    while (base + 1 < series.length && series[base + 1].day <= point.day - windowDays) base += 1;
+    if (base < 0) continue;
+    const days = point.day - series[base].day;
+    if (days > windowDays * ANALYTICS_CONFIG.ROLLING_MAX_STRETCH) continue;
+    out.push({ date: point.date, days, apyPct: annualize(point.price / series[base].price, days) });
+  }
+  return out;
+}
+
+/**
+ * Period key of a date
+ * @private
+ */
+function periodKey(date, period) {
+  const [year, month] = date.split("-");
+  return period === "quarter" ? `${year}-Q${Math.ceil(Number(month) / 3)}` : `${year}-${month}`;
+}
+
+/**
+ * Return over each calendar month or quarter
+ * A period starts from the last point before it; the first period (no earlier point) starts from its own
+ * first point and is flagged partial, as is a period whose last point is also the series end.
+ * @param {Array<Object>} series - Result of buildDailySeries
+ * @param {string} period - "month" or "quarter"
+ * @returns {Array<Object>} [{ period, startDate, endDate, days, returnPct, annualizedPct, partial }]
+ */
+export function periodReturns(series, period) {
+  const groups = new Map();
+  series.forEach((point, i) => {
+    const key = periodKey(point.date, period);
+    if (!groups.has(key)) groups.set(key, { first: i, last: i });
+    groups.get(key).last = i;
+  });
+
+  const out = [];
+  for (const [key, { first, last }] of groups) {
+    const start = series[first > 0 ? first - 1 : first];
+    const end = series[last];
+    const days = end.day - start.day;
+    out.push({
+      period: key,
+      startDate: start.date,
+      endDate: end.date,
+      days,
+      returnPct: days > 0 ? (end.price / start.price - 1) * 100 : null,
+      annualizedPct: annualize(end.price / start.price, days),
+      partial: first === 0 || last === series.length - 1,
+    });
+  }
+  return out;
+}
+
+/**
+ * Annualized volatility of log returns over irregular intervals
+ * Each interval's return is scaled by its length (variance grows linearly with time), so a 10-day step
+ * contributes the same per-day variance estimate as ten daily steps.
+ * @param {Array<Object>} series - Result of buildDailySeries
+ * @returns {number|null} Volatility in percent, or null with fewer than two intervals
+ */
+export function annualizedVolatility(series) {
+  const intervals = [];
+  for (let i = 1; i < series.length; i++) {
+    intervals.push({ r: Math.log(series[i].price / series[i - 1].price), dt: series[i].day - series[i - 1].day });
+  }
+  if (intervals.length < 2) return null;
+  const totalDays = intervals.reduce((acc, x) => acc + x.dt, 0);
+  const drift = intervals.reduce((acc, x) => acc + x.r, 0) / totalDays;
+  const sumSq = intervals.reduce((acc, x) => acc + (x.r - drift * x.dt) ** 2 / x.dt, 0);
+  return Math.sqrt((sumSq / (intervals.length - 1)) * 365) * 100;
+}
+
+/**
+ * Drawdown episodes from peak to recovery (a new price at or above the peak)
+ * Uses every row, so dips between the daily samples of an events-mode file are kept.
+ * @param {Array<{date: string, block: number, price: bigint}>} rows - Rows in block order
+ * @returns {Array<Object>} [{ peakDate, peakBlock, troughDate, troughBlock, recoveryDate, recoveryBlock,
+ *   depthPct, days }] in time order; recovery fields are null while still under water
+ */
+export function drawdownEpisodes(rows) {
+  const episodes = [];
+  let peak = null;
+  let current = null;
+  for (const row of rows) {
+    if (row.price <= 0n) continue;
+    if (peak === null || row.price >= peak.price) {
+      if (current) {
+        current.recoveryDate = row.date;
+        current.recoveryBlock = row.block;
+        current.days = dayNumber(row.date) - dayNumber(current.peakDate);
+        episodes.push(current);
+        current = null;
+      }
+      peak = row;
+      continue;
+    }
+    const depthPct = (Number(peak.price - row.price) / Number(peak.price)) * 100;
+    if (!current) {
+      current = { peakDate: peak.date, peakBlock: peak.block, recoveryDate: null, recoveryBlock: null, depthPct: 0 };
+    }
+    if (depthPct > current.depthPct) Object.assign(current, { troughDate: row.date, troughBlock: row.block, depthPct });
+  }
+  if (current) {
+    current.days = dayNumber(rows[rows.length - 1].date) - dayNumber(current.peakDate);
+    episodes.push(current);
+  }
+  return episodes;
+}
+
+/**
+ * Summary of a rolling APY series
+ * @private
+ */
+function summarizeRolling(windowDays, points) {
+  const values = points.map((p) => p.apyPct).filter((v) => v != null);
+  return {
+    windowDays,
+    points: values.length,
+    latestPct: values.length ? values[values.length - 1] : null,
+    meanPct: values.length ? values.reduce((a, b) => a + b, 0) / values.length : null,
+    minPct: values.length ? Math.min(...values) : null,
+    maxPct: values.length ? Math.max(...values) : null,
+    series: points,
+  };
+}
+
+/**
+ * Full analytics report for a price series
+ * @param {Array<{date: string, block: number, price: bigint}>} rows - Rows in block order
+ * @param {Object} opts - { windows, riskFreePct, topDrawdowns }
+ * @returns {Object} Report (percent fields are numbers or null)
+ */
+export function analyzeSeries(rows, opts = {}) {
+  const windows = opts.windows || ANALYTICS_CONFIG.ROLLING_WINDOWS_DAYS;
+  const riskFreePct = opts.riskFreePct ?? ANALYTICS_CONFIG.RISK_FREE_RATE_PCT;
+  const topDrawdowns = opts.topDrawdowns ?? ANALYTICS_CONFIG.TOP_DRAWDOWNS;
+
+  const series = buildDailySeries(rows);
+  const first = series[0];
+  const last = series[series.length - 1];
+  const days = first ? last.day - first.day : 0;
+  const gaps = series.slice(1).map((p, i) => p.day - series[i].day).sort((a, b) => a - b);
+
+  const cagrPct = first ? annualize(last.price / first.price, days) : null;
+  const volatilityPct = annualizedVolatility(series);
+  const episodes = drawdownEpisodes(rows);
+  const deepest = [...episodes].sort((a, b) => b.depthPct - a.depthPct);
+
+  return {
+    firstDate: first?.date ?? null,
+    lastDate: last?.date ?? null,
+    firstBlock: first?.block ?? null,
+    lastBlock: last?.block ?? null,
+    days,
+    observations: rows.length,
+    datesSampled: series.length,
+    medianIntervalDays: gaps.length ? gaps[Math.floor(gaps.length / 2)] : null,
+    totalReturnPct: first && days > 0 ? (last.price / first.price - 1) * 100 : null,
+    cagrPct,
+    volatilityPct,
+    riskFreePct,
+    sharpe: cagrPct != null && volatilityPct ? (cagrPct - riskFreePct) / volatilityPct : null,
+    maxDrawdownPct: deepest.length ? deepest[0].depthPct : 0,
+    rolling: windows.map((w) => summarizeRolling(w, rollingApy(series, w))),
+    monthly: periodReturns(series, "month"),
+    quarterly: periodReturns(series, "quarter"),
+    drawdowns: deepest.slice(0, topDrawdowns),
+    drawdownCount: episodes.length,
+  };
+}
+
+/**
+ * Format a percent value for reports
+ * @private
+ */
+function pct(value, digits = 4) {
+  return value == null ? "n/a" : `${value.toFixed(digits)}%`;
+}
+
+/**
+ * Render a table as aligned text or a markdown table
+ * @private
+ */
+function renderTable(headers, rows, markdown) {
+  if (markdown) {
+    const line = (cells) => `| ${cells.join(" | ")} |`;
+    return [line(headers), line(headers.map(() => "---")), ...rows.map(line)].join("\n");
+  }
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map((r) => String(r[i]).length)));
+  const line = (cells) =>
+    cells
+      .map((c, i) => String(c).padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+  return [line(headers), line(widths.map((w) => "-".repeat(w))), ...rows.map(line)].join("\n");
+}
+
+/**
+ * Render a report as text, JSON or markdown
+ * @param {Object} report - Result of analyzeSeries (plus optional `source` label)
+ * @param {string} format - One of REPORT_FORMATS
+ * @returns {string} Report with trailing newline
+ * @throws {Error} If format is unknown
+ */
+export function formatReport(report, format = "text") {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`unsupported report format: ${format}; supported: ${REPORT_FORMATS.join(", ")}`);
+  }
+  if (format === "json") return `${JSON.stringify(report, null, 2)}\n`;
+
+  const markdown = format === "markdown";
+  const heading = (text) => (markdown ? `## ${text}` : `${text}\n${"=".repeat(text.length)}`);
+  const sections = [];
+
+  const title = `Yield Analytics${report.source ? `: ${report.source}` : ""}`;
+  sections.push(markdown ? `# ${title}` : title);
+  sections.push(
+    renderTable(
+      ["Metric", "Value"],
+      [
+        ["Range", `${report.firstDate ?? "n/a"} .. ${report.lastDate ?? "n/a"} (${report.days} days)`],
+        ["Blocks", `${report.firstBlock ?? "n/a"} .. ${report.lastBlock ?? "n/a"}`],
+        ["Observations", `${report.observations} rows, ${report.datesSampled} dates`],
+        ["Median Interval", report.medianIntervalDays == null ? "n/a" : `${report.medianIntervalDays} days`],
+        ["Total Return", pct(report.totalReturnPct)],
+        ["APY (CAGR)", pct(report.cagrPct)],
+        ["Annualized Volatility", pct(report.volatilityPct)],
+        ["Risk-Free Rate", pct(report.riskFreePct, 2)],
+        ["Sharpe", report.sharpe == null ? "n/a" : report.sharpe.toFixed(2)],
+        ["Max Drawdown", pct(report.maxDrawdownPct)],
+      ],
+      markdown
+    )
+  );
+
+  sections.push(heading("Rolling APY"));
+  sections.push(
+    renderTable(
+      ["Window", "Latest", "Mean", "Min", "Max", "Points"],
+      report.rolling.map((r) => [
+        `${r.windowDays}d`,
+        pct(r.latestPct),
+        pct(r.meanPct),
+        pct(r.minPct),
+        pct(r.maxPct),
+        r.points,
+      ]),
+      markdown
+    )
+  );
+
+  for (const [title, rows] of [
+    ["Monthly Returns", report.monthly],
+    ["Quarterly Returns", report.quarterly],
+  ]) {
+    sections.push(heading(title));
+    sections.push(
+      renderTable(
+        ["Period", "From", "To", "Days", "Return", "Annualized"],
+        rows.map((r) => [
+          `${r.period}${r.partial ? "*" : ""}`,
+          r.startDate,
+          r.endDate,
+          r.days,
+          pct(r.returnPct),
+          pct(r.annualizedPct),
+        ]),
+        markdown
+      )
+    );
+  }
+
+  sections.push(heading(`Drawdowns (top ${report.drawdowns.length} of ${report.drawdownCount})`));
+  if (report.drawdowns.length) {
+    sections.push(
+      renderTable(
+        ["Peak", "Trough", "Recovered", "Depth", "Days"],
+        report.drawdowns.map((d) => [
+          `${d.peakDate} (${d.peakBlock})`,
+          `${d.troughDate} (${d.troughBlock})`,
+          d.recoveryDate ? `${d.recoveryDate} (${d.recoveryBlock})` : "not recovered",
+          pct(d.depthPct),
+          d.days,
+        ]),
+        markdown
+      )
+    );
+  } else {
+    sections.push("no drawdowns");
+  }
+  sections.push("* partial period (series starts or ends inside it)");
+  return `${sections.join("\n\n")}\n`;
+}
@@ -0,0 +1,204 @@
+/**
+ * Anomaly detection over a price series: price drops, flat streaks and APR outliers
+ *
+ * A credit vault's share price should only go up: a drop means a loss or impairment, a long flat streak
+ * means accrual stopped, and an interval APR far from the recent norm means something changed. Each
+ * anomaly carries the date and block where it was observed.
+ *
+ * Epoch vaults (Pareto credit vaults update the price about once a month) are flat between updates by
+ * design, so "flat" and "interval" are measured against the vault's own update cadence: the stall
+ * threshold stretches to a multiple of the usual gap between price changes, and APRs are taken between
+ * consecutive price changes rather than between samples.
+ */
+
+import { ANOMALY_CONFIG } from "./config.js";
+import { buildDailySeries } from "./analytics.js";
+
+const DAY_MS = 86400000;
+
+/**
+ * Days between two YYYY-MM-DD dates
+ * @private
+ */
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Median of a non-empty numeric array
+ * @private
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Samples where the price differs from the sample before
+ * @private
+ */
+function priceChanges(rows) {
+  return rows.filter((row, i) => i > 0 && row.price !== rows[i - 1].price);
+}
+
+/**
+ * Stall threshold for a series: the configured floor, stretched to STALL_CADENCE_FACTOR times the median
+ * gap between price changes once the series has STALL_MIN_UPDATES of them
+ * @param {Array<{date: string, price: bigint}>} rows - Rows in block order
+ * @returns {number} Days of unchanged price tolerated before a stall is flagged
+ */
+export function stallThresholdDays(rows) {
+  const changes = priceChanges(rows);
+  if (changes.length < ANOMALY_CONFIG.STALL_MIN_UPDATES) return ANOMALY_CONFIG.STALL_DAYS;
+  const gaps = changes.slice(1).map((row, i) => daysBetween(changes[i].date, row.date));
+  return Math.max(ANOMALY_CONFIG.STALL_DAYS, Math.ceil(median(gaps) * ANOMALY_CONFIG.STALL_CADENCE_FACTOR));
+}
+
+/**
+ * Every sample priced below the one before it
+ * @private
+ */
+function findDrops(rows) {
+  const out = [];
+  for (let i = 1; i < rows.length; i++) {
+    const prev = rows[i - 1].price;
+    const { price } = rows[i];
+    if (price >= prev) continue;
+    out.push({
+      type: "drop",
+      date: rows[i].date,
+      block: rows[i].block,
+      price: price.toString(),
+      previousPrice: prev.toString(),
+      changePct: prev > 0n ? (Number(price - prev) / Number(prev)) * 100 : null,
+    });
+  }
+  return out;
+}
+
+/**
+ * Runs of unchanged price spanning more than stallDays (ongoing when the series ends inside one)
+ * flaggedDate/flaggedBlock is the first sample past the threshold, i.e. when the stall became one; a run that
+ * is still flat keeps the same flagged point however long it lasts.
+ * @private
+ */
+function findStalls(rows, stallDays) {
+  const out = [];
+  let start = 0;
+  for (let i = 1; i <= rows.length; i++) {
+    if (i < rows.length && rows[i].price === rows[start].price) continue;
+    const end = rows[i - 1];
+    const days = daysBetween(rows[start].date, end.date);
+    if (days > stallDays) {
+      const flagged = rows.slice(start, i).find((row) => daysBetween(rows[start].date, row.date) > stallDays);
+      out.push({
+        type: "stall",
+        date: rows[start].date,
+        block: rows[start].block,
+        endDate: end.date,
+        endBlock: end.block,
+        days,
+        thresholdDays: stallDays,
+        flaggedDate: flagged.date,
+        flaggedBlock: flagged.block,
+        price: rows[start].price.toString(),
+        ongoing: i === rows.length,
+      });
+    }
+    start = i;
+  }
+  return out;
+}
+
+/**
+ * Rising intervals whose annualized return is far from the trailing median
+ * Intervals run between consecutive price changes, so an epoch's accrual is annualized over the whole epoch
+ * instead of one day, and flat samples never enter the trailing window (which would pin its median and
+ * spread to 0). The trailing window is the rising intervals of the last windowDays, or the last minPoints of
+ * them when the window holds fewer (epoch vaults). Deviation is measured in scaled median absolute
+ * deviations, with an absolute floor so near-constant series do not flag rounding noise. Falling intervals
+ * are left to drops.
+ * @private
+ */
+function findAprOutliers(rows, opts) {
+  const series = buildDailySeries(rows).filter((p, i, all) => i === 0 || p.price !== all[i - 1].price);
+  const intervals = [];
+  for (let i = 1; i < series.length; i++) {
+    const days = series[i].day - series[i - 1].day;
+    const ratio = series[i].price / series[i - 1].price;
+    if (ratio > 1) intervals.push({ point: series[i], aprPct: (Math.pow(ratio, 365 / days) - 1) * 100 });
+  }
+
+  const out = [];
+  for (let j = 0; j < intervals.length; j++) {
+    const { point, aprPct } = intervals[j];
+    const trailing = [];
+    for (let k = j - 1; k >= 0; k--) {
+      const inWindow = intervals[k].point.day >= point.day - opts.windowDays;
+      if (!inWindow && trailing.length >= opts.minPoints) break;
+      trailing.push(intervals[k].aprPct);
+    }
+    if (trailing.length < opts.minPoints) continue;
+    const center = median(trailing);
+    const spread = 1.4826 * median(trailing.map((v) => Math.abs(v - center)));
+    const threshold = Math.max(opts.mads * spread, opts.minDeviationPct);
+    if (Math.abs(aprPct - center) <= threshold) continue;
+    out.push({ type: "apr-outlier", date: point.date, block: point.block, aprPct, trailingMedianPct: center });
+  }
+  return out;
+}
+
+/**
+ * Detect anomalies in a price series
+ * @param {Array<{date: string, block: number, price: bigint}>} rows - Rows in block order
+ * @param {Object} opts - { stallDays, aprWindowDays, aprMinPoints, aprOutlierMads, aprMinDeviationPct }
+ *   (defaults from ANOMALY_CONFIG; stallDays defaults to stallThresholdDays(rows))
+ * @returns {Array<Object>} Anomalies in block order: { type: "drop"|"stall"|"apr-outlier", date, block, ... };
+ *   stalls also carry flaggedDate/flaggedBlock (see isNewAnomaly)
+ */
+export function detectAnomalies(rows, opts = {}) {
+  const stallDays = opts.stallDays ?? stallThresholdDays(rows);
+  const aprOpts = {
+    windowDays: opts.aprWindowDays ?? ANOMALY_CONFIG.APR_WINDOW_DAYS,
+    minPoints: opts.aprMinPoints ?? ANOMALY_CONFIG.APR_MIN_POINTS,
+    mads: opts.aprOutlierMads ?? ANOMALY_CONFIG.APR_OUTLIER_MADS,
+    minDeviationPct: opts.aprMinDeviationPct ?? ANOMALY_CONFIG.APR_MIN_DEVIATION_PCT,
+  };
+  const anomalies = [...findDrops(rows), ...findStalls(rows, stallDays), ...findAprOutliers(rows, aprOpts)];
+  return anomalies.sort((a, b) => a.block - b.block);
+}
+
+/**
+ * Whether an anomaly was first observable after a block, so a resumed run reports each one once
+ * A stall counts from the sample where it crossed its threshold, not from its (moving) last sample.
+ * @param {Object} anomaly - Entry from detectAnomalies
+ * @param {number} block - Last block already reported (-1 for none)
+ * @returns {boolean} True when the anomaly is new after block
+ */
+export function isNewAnomaly(anomaly, block) {
+  return (anomaly.flaggedBlock ?? anomaly.block) > block;
+}
+
+/**
+ * One-line description of an anomaly for logs and the footer
+ * @param {Object} anomaly - Entry from detectAnomalies
+ * @returns {string} Description
+ */
+export function describeAnomaly(anomaly) {
+  const at = `${anomaly.date} block ${anomaly.block}`;
+  switch (anomaly.type) {
+    case "drop": {
+      const change = anomaly.changePct == null ? "" : ` (${anomaly.changePct.toFixed(4)}%)`;
+      return `${at} drop ${anomaly.previousPrice} -> ${anomaly.price}${change}`;
+    }
+    case "stall": {
+      const until = anomaly.ongoing ? " (ongoing)" : ` until ${anomaly.endDate}`;
+      return `${at} stall ${anomaly.days} days at ${anomaly.price}${until}`;
+    }
+    default: {
+      const trailing = anomaly.trailingMedianPct.toFixed(2);
+      return `${at} apr-outlier ${anomaly.aprPct.toFixed(2)}% vs trailing median ${trailing}%`;
+    }
+  }
+}
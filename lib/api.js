@@ -0,0 +1,343 @@
+/**
+ * Local HTTP API over the vault store
+ *
+ * Routes (JSON in and out; bigints are serialized as decimal strings):
+ *   GET  /vaults                                  stored vaults (index entries)
+ *   GET  /vaults/:chain/:address/prices           ?from=&to=&interval=all|day|week|month&fill=1
+ *   GET  /vaults/:chain/:address/summary          stored summary, analytics and anomalies (?fill=1)
+ *   POST /discover                                { vault, chain?, priceFn?, adapter?, backfill? }
+ *
+ * Price and summary requests fill missing ranges on demand: a vault that was never stored is backfilled
+ * from `from` (or its deploy block), a `from` before the stored start re-samples the whole range, and a
+ * vault whose last point is older than the requested end is resumed at most once per REFRESH_SEC.
+ * Pass fill=0 to answer from the store only.
+ */
+
+import http from "http";
+import { ethers } from "ethers";
+
+import { API_CONFIG } from "./config.js";
+import { isValidAddress } from "./utils.js";
+import { requireNetwork, normalizeChainKey, inferChainKey } from "./networks.js";
+import { resolveVaultInput } from "./resolver.js";
+import { connectChain, runBackfill } from "./backfill.js";
+import { rowRecord } from "./writers/index.js";
+import { analyzeSeries } from "./analytics.js";
+import { detectAnomalies } from "./anomalies.js";
+
+export const PRICE_INTERVALS = ["all", "day", "week", "month"];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error carrying the HTTP status to answer with
+ * @private
+ */
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * JSON body with bigints as decimal strings
+ * @private
+ */
+function toJson(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @private
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > API_CONFIG.MAX_BODY_BYTES) throw httpError(413, `request body over ${API_CONFIG.MAX_BODY_BYTES} bytes`);
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString("utf8").trim();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw httpError(400, "request body is not valid JSON");
+  }
+}
+
+/**
+ * Validate a YYYY-MM-DD query value
+ * @private
+ */
+function dateParam(params, name) {
+  const value = params.get(name);
+  if (value == null || value === "") return null;
+  if (!DATE_RE.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw httpError(400, `${name} must be a YYYY-MM-DD date, got ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Bucket a date falls in for an interval (week buckets are keyed by their Monday)
+ * @private
+ */
+function bucketOf(date, interval) {
+  if (interval === "month") return date.slice(0, 7);
+  if (interval === "week") {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    return d.toISOString().slice(0, 10);
+  }
+  return date;
+}
+
+/**
+ * Keep the last row of each interval bucket ("all" keeps every row)
+ * @private
+ */
+function downsample(rows, interval) {
+  if (interval === "all") return rows;
+  const out = [];
+  let lastBucket = null;
+  for (const row of rows) {
+    const bucket = bucketOf(row.date, interval);
+    if (bucket === lastBucket) out[out.length - 1] = row;
+    else out.push(row);
+    lastBucket = bucket;
+  }
+  return out;
+}
+
+/**
+ * Create the API server (not yet listening)
+ * @param {Object} opts - { store, connectOpts, vaultMap, log, warn, verbose }
+ *   store: createVaultStore(); connectOpts: options for connectChain (rpcUrls, maxRps, noProbe, noCache, cacheDir)
+ * @returns {http.Server} Server
+ */
+export function createApiServer(opts) {
+  const { store } = opts;
+  const log = opts.log || console.error;
+  const warn = opts.warn || console.warn;
+  const chains = new Map();
+  const fills = new Map();
+
+  // One connection per chain, made on first use; a failed connect is retried by the next request
+  const getChain = (chainKey) => {
+    if (!chains.has(chainKey)) {
+      const connecting = connectChain(chainKey, requireNetwork(chainKey), opts.connectOpts || {}).then((chain) => {
+        log(`[${chainKey}] rpc pool (${chain.rpcUrls.length}): ${chain.rpcUrls.join(", ")}`);
+        return chain;
+      });
+      connecting.catch(() => chains.delete(chainKey));
+      chains.set(chainKey, connecting);
+    }
+    return chains.get(chainKey);
+  };
+
+  const vaultParams = (rawChain, rawAddress) => {
+    const chainKey = normalizeChainKey(decodeURIComponent(rawChain));
+    try {
+      requireNetwork(chainKey);
+    } catch (err) {
+      throw httpError(404, err.message);
+    }
+    if (!isValidAddress(rawAddress)) throw httpError(400, `invalid address: ${rawAddress}`);
+    return { chainKey, address: ethers.getAddress(rawAddress) };
+  };
+
+  const backfill = async (chainKey, address, backfillOpts) => {
+    const prefix = `[${chainKey}:${address}]`;
+    const chain = await getChain(chainKey);
+    return runBackfill(
+      address,
+      {
+        ...backfillOpts,
+        mode: "daily",
+        format: store.format,
+        out: store.fileFor(chainKey, address),
+        log: opts.verbose ? (msg) => log(`${prefix} ${msg}`) : () => {},
+        warn: (msg) => warn(`${prefix} ${msg}`),
+      },
+      chain
+    );
+  };
+
+  const fill = async (chainKey, address, range, overrides) => {
+    const entry = store.get(chainKey, address);
+    const today = new Date().toISOString().slice(0, 10);
+    const wantedEnd = range.to && range.to < today ? range.to : today;
+    // entry.startDate is the requested start; null means the history goes back to the deploy block
+    const backward = entry && range.from && entry.startDate && range.from < entry.startDate;
+    const stale = !entry?.checkedAt || Date.now() - Date.parse(entry.checkedAt) > API_CONFIG.REFRESH_SEC * 1000;
+    const forward = entry && entry.lastDate < wantedEnd && stale;
+    if (entry && !backward && !forward) return entry;
+
+    const fnOverrides = overrides || entry?.overrides || {};
+    const startDate = entry && !backward ? entry.startDate : range.from;
+    const resume = Boolean(forward && !backward);
+    const action = resume ? `resuming after ${entry.lastDate}` : `backfilling from ${startDate || "deploy"}`;
+    log(`${chainKey}:${address} ${action}`);
+    const result = await backfill(chainKey, address, {
+      ...fnOverrides,
+      startDate: startDate || undefined,
+      resume,
+    });
+    const { discovery, stats } = result;
+    const updated = {
+      chain: chainKey,
+      address,
+      file: result.outfile,
+      format: result.format,
+      startDate: startDate || null,
+      deployBlock: result.deployBlock,
+      mode: discovery.mode,
+      sourceAddress: discovery.sourceAddress,
+      method: discovery.sourceFunction,
+      assetSymbol: discovery.assetSymbol ?? null,
+      assetAddress: discovery.assetAddress ?? null,
+      priceDecimals: discovery.priceDecimals ?? null,
+      overrides: Object.keys(fnOverrides).length ? fnOverrides : undefined,
+      firstDate: stats.firstDate,
+      lastDate: stats.lastDate,
+      firstBlock: stats.firstBlock,
+      lastBlock: stats.lastBlock,
+      observations: stats.observations,
+      anomalies: result.anomalies.length,
+      checkedAt: new Date().toISOString(),
+    };
+    store.put(updated);
+    return updated;
+  };
+
+  // Concurrent requests for the same vault share one fill
+  const ensureStored = (chainKey, address, range, overrides) => {
+    const key = `${chainKey}:${address}`;
+    if (!fills.has(key)) {
+      const running = fill(chainKey, address, range, overrides).finally(() => fills.delete(key));
+      fills.set(key, running);
+    }
+    return fills.get(key);
+  };
+
+  const storedVault = async (chainKey, address, params, range = {}) => {
+    if (params.get("fill") !== "0") return ensureStored(chainKey, address, range);
+    const entry = store.get(chainKey, address);
+    if (!entry) throw httpError(404, `${chainKey}:${address} is not stored; request it without fill=0 to backfill`);
+    return entry;
+  };
+
+  const routes = [
+    {
+      method: "GET",
+      pattern: /^\/vaults\/?$/,
+      handle: async () => ({ vaults: store.list() }),
+    },
+    {
+      method: "GET",
+      pattern: /^\/vaults\/([^/]+)\/([^/]+)\/prices\/?$/,
+      handle: async ([rawChain, rawAddress], params) => {
+        const { chainKey, address } = vaultParams(rawChain, rawAddress);
+        const from = dateParam(params, "from");
+        const to = dateParam(params, "to");
+        if (from && to && from > to) throw httpError(400, `from ${from} is after to ${to}`);
+        const interval = (params.get("interval") || "day").toLowerCase();
+        if (!PRICE_INTERVALS.includes(interval)) {
+          throw httpError(400, `unsupported interval: ${interval}; supported: ${PRICE_INTERVALS.join(", ")}`);
+        }
+
+        const vault = await storedVault(chainKey, address, params, { from, to });
+        const { rows } = await store.readRows(vault);
+        const inRange = rows.filter((r) => (!from || r.date >= from) && (!to || r.date <= to));
+        const meta = { priceDecimals: vault.priceDecimals, assetSymbol: vault.assetSymbol };
+        const prices = downsample(inRange, interval).map((row) => rowRecord(row, meta));
+        return { vault, from, to, interval, count: prices.length, prices };
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/vaults\/([^/]+)\/([^/]+)\/summary\/?$/,
+      handle: async ([rawChain, rawAddress], params) => {
+        const { chainKey, address } = vaultParams(rawChain, rawAddress);
+        const vault = await storedVault(chainKey, address, params);
+        const { rows, summary } = await store.readRows(vault);
+        return { vault, summary, analytics: analyzeSeries(rows), anomalies: detectAnomalies(rows) };
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/discover\/?$/,
+      handle: async (_, params, req) => {
+        const body = await readJsonBody(req);
+        if (!body.vault || typeof body.vault !== "string") throw httpError(400, "body needs a vault address or URL");
+        let target;
+        try {
+          target = await resolveVaultInput(body.vault, { mapFile: opts.vaultMap });
+        } catch (err) {
+          throw httpError(400, err.message);
+        }
+        const chainKey = normalizeChainKey(body.chain) || target.chainKey || inferChainKey(body.vault) || "ethereum";
+        const { address } = vaultParams(chainKey, target.address);
+        const overrides = {};
+        if (body.priceFn) overrides.priceFn = body.priceFn;
+        if (body.adapter) overrides.adapter = body.adapter;
+
+        const chain = await getChain(chainKey);
+        let result;
+        try {
+          const discoverWarn = (msg) => warn(`[${chainKey}:${address}] ${msg}`);
+          const discoverOpts = { ...overrides, discoverOnly: true, log: () => {}, warn: discoverWarn };
+          result = await runBackfill(address, discoverOpts, chain);
+        } catch (err) {
+          throw httpError(422, `could not discover a price source for ${address}: ${err.shortMessage || err.message}`);
+        }
+        const { discovery } = result;
+        const stored = body.backfill ? ensureStored(chainKey, address, {}, overrides) : store.get(chainKey, address);
+        const vault = await stored;
+        return {
+          chain: chainKey,
+          address,
+          resolvedFrom: target.source,
+          deployBlock: result.deployBlock,
+          latestBlock: result.endBlock,
+          discovery: {
+            mode: discovery.mode,
+            sourceAddress: discovery.sourceAddress,
+            method: discovery.sourceFunction,
+            minterAddress: discovery.minterAddress ?? null,
+            tokenSymbol: discovery.tokenSymbol ?? null,
+            assetAddress: discovery.assetAddress ?? null,
+            assetSymbol: discovery.assetSymbol ?? null,
+            priceDecimals: discovery.priceDecimals ?? null,
+            proxy: discovery.proxy ?? null,
+            matches: discovery.matches.map(({ adapter, reason }) => ({ adapter, reason })),
+            rejections: discovery.rejections.map(({ adapter, reason }) => ({ adapter, reason })),
+          },
+          vault,
+        };
+      },
+    },
+  ];
+
+  return http.createServer(async (req, res) => {
+    const started = Date.now();
+    const url = new URL(req.url, "http://localhost");
+    let status = 200;
+    let payload;
+    try {
+      const matching = routes.filter((r) => r.pattern.test(url.pathname));
+      if (!matching.length) throw httpError(404, `no route for ${url.pathname}`);
+      const route = matching.find((r) => r.method === req.method);
+      if (!route) throw httpError(405, `${req.method} not allowed on ${url.pathname}`);
+      payload = await route.handle(url.pathname.match(route.pattern).slice(1), url.searchParams, req);
+    } catch (err) {
+      status = err.status || 500;
+      payload = { error: err.shortMessage || err.message };
+      if (status === 500) warn(`${req.method} ${url.pathname} failed: ${err.stack || err.message}`);
+    }
+    res.writeHead(status, { "content-type": "application/json; charset=utf-8" });
+    res.end(`${toJson(payload)}\n`);
+    log(`${req.method} ${url.pathname}${url.search} ${status} ${Date.now() - started}ms`);
+  });
+}
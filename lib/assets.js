@@ -0,0 +1,65 @@
+/**
+ * Underlying asset resolution and decimal price formatting
+ */
+
+import { ethers } from "ethers";
+import { tryCall, isValidAddress } from "./utils.js";
+import { ASSET_GETTERS } from "./config.js";
+
+/**
+ * Resolve ERC20 symbol and decimals
+ * @param {string} address - Token address
+ * @param {string|number} blockTag - Block identifier
+ * @returns {Promise<{address: string, symbol: string|null, decimals: number|null}>} Token metadata
+ */
+export async function resolveTokenMetadata(address, blockTag = "latest") {
+  const sym = await tryCall(address, "function symbol() view returns (string)", "symbol", [], blockTag);
+  const dec = await tryCall(address, "function decimals() view returns (uint8)", "decimals", [], blockTag);
+  return {
+    address: ethers.getAddress(address),
+    symbol: sym.ok && typeof sym.value === "string" ? sym.value : null,
+    decimals: dec.ok ? Number(dec.value) : null,
+  };
+}
+
+/**
+ * Find the underlying asset of a price source by probing ASSET_GETTERS
+ * @param {string} sourceAddress - Price source contract
+ * @param {string|number} blockTag - Block identifier
+ * @returns {Promise<Object|null>} { address, symbol, decimals, getter } or null if none resolves to a token
+ */
+export async function resolveUnderlyingAsset(sourceAddress, blockTag = "latest") {
+  for (const fn of ASSET_GETTERS) {
+    const res = await tryCall(sourceAddress, `function ${fn}() view returns (address)`, fn, [], blockTag);
+    if (!res.ok || !isValidAddress(res.value) || res.value === ethers.ZeroAddress) continue;
+    const meta = await resolveTokenMetadata(res.value, blockTag);
+    if (meta.decimals === null) continue;
+    return { ...meta, getter: fn };
+  }
+  return null;
+}
+
+/**
+ * Asset fields for a discovery result from a resolved token (or nulls)
+ * @param {Object|null} asset - Result of resolveUnderlyingAsset/resolveTokenMetadata
+ * @returns {{assetAddress: string|null, assetSymbol: string|null, assetDecimals: number|null, priceDecimals: number|null}} Fields
+ */
+export function assetFields(asset) {
+  return {
+    assetAddress: asset?.address ?? null,
+    assetSymbol: asset?.symbol ?? null,
+    assetDecimals: asset?.decimals ?? null,
+    priceDecimals: asset?.decimals ?? null,
+  };
+}
+
+/**
+ * Format a raw price as a decimal string
+ * @param {bigint|null} price - Raw price
+ * @param {number|null} decimals - Price decimals
+ * @returns {string|null} Decimal string, or null when decimals are unknown
+ */
+export function formatPrice(price, decimals) {
+  if (price == null || decimals == null) return null;
+  return ethers.formatUnits(price, decimals);
+}
@@ -0,0 +1,525 @@
+/**
+ * Backfill pipeline shared by the CLI scripts: chain connection, discovery, sampling and CSV output
+ */
+
+import { ethers } from "ethers";
+
+import { parseDateToUnixSeconds, forEachWithConcurrency } from "./utils.js";
+import { SAMPLER_CONFIG } from "./config.js";
+import {
+  createProviderPool,
+  probeProviderPool,
+  runWithProviderPool,
+  rpcCall,
+  getBlockByTime,
+  getDeployBlock,
+} from "./provider.js";
+import { discoverPriceSource } from "./discovery.js";
+import { getAdapters, prepareAdapter, describeDiscovery, supplyCallsFor } from "./adapters/index.js";
+import { sampleBlocks, chunkBlocks, findEventBlocks } from "./sampler.js";
+import { getBlockHeaders } from "./multicall.js";
+import { describeAnalysis } from "./bytecode.js";
+import { loadImplementationHistory } from "./proxy.js";
+import { readCheckpoint, writeCheckpoint, clearCheckpoint } from "./csv.js";
+import { createWriter, resolveOutputFormat, defaultOutfile } from "./writers/index.js";
+import { summarizeSeries, summarizeTvl } from "./stats.js";
+import { detectAnomalies, describeAnomaly, isNewAnomaly } from "./anomalies.js";
+import { formatPrice, resolveTokenMetadata } from "./assets.js";
+import { createRpcCache } from "./cache.js";
+import { createBlockIndex } from "./blockindex.js";
+
+const SAMPLING_MODES = ["daily", "step", "events"];
+
+/**
+ * Env var prefix for a chain's RPC URLs (e.g. base-sepolia -> BASE_SEPOLIA)
+ * @private
+ */
+function rpcEnvPrefix(chainKey) {
+  return chainKey.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+}
+
+/**
+ * Build RPC URL list from --rpc-urls, chain-specific env, generic env, then built-in pool
+ * @param {Object} opts - Options with optional rpcUrls (comma-separated)
+ * @param {string} chainKey - Normalized chain key
+ * @param {Object} chainCfg - Chain configuration object
+ * @returns {string[]} Unique URLs in priority order
+ */
+export function buildRpcUrls(opts, chainKey, chainCfg) {
+  const fromArgs = (opts.rpcUrls || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const chainEnvPrefix = rpcEnvPrefix(chainKey);
+  const fromChainEnvList = (process.env[`${chainEnvPrefix}_RPC_URLS`] || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const fromChainEnvSingle = (process.env[`${chainEnvPrefix}_RPC_URL`] || "").trim();
+  const fromEnvList = (process.env.RPC_URLS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const fromEnvSingle = (process.env.RPC_URL || "").trim();
+
+  const all = [
+    ...fromArgs,
+    ...fromChainEnvList,
+    ...(fromChainEnvSingle ? [fromChainEnvSingle] : []),
+    ...fromEnvList,
+    ...(fromEnvSingle ? [fromEnvSingle] : []),
+    ...chainCfg.rpcUrls,
+  ];
+
+  const unique = [];
+  const seen = new Set();
+  for (const url of all) {
+    if (!url || seen.has(url)) continue;
+    seen.add(url);
+    unique.push(url);
+  }
+  return unique;
+}
+
+/**
+ * Pick the sampling mode from --mode and --block-step
+ * @private
+ */
+function resolveSamplingMode(mode, blockStep) {
+  const resolved = mode ? String(mode).toLowerCase() : blockStep ? "step" : "daily";
+  if (!SAMPLING_MODES.includes(resolved)) {
+    throw new Error(`unknown sampling mode: ${mode}; supported: ${SAMPLING_MODES.join(", ")}`);
+  }
+  if (resolved === "step" && !blockStep) throw new Error("--mode step needs --block-step <blocks>");
+  return resolved;
+}
+
+/**
+ * Create a provider pool for a chain and verify the endpoints serve the expected chainId
+ * Each endpoint is probed for chainId, head and archive depth; endpoints on another chain are dropped.
+ * With noProbe the pool is checked with a single getNetwork call instead.
+ * @param {string} chainKey - Normalized chain key
+ * @param {Object} chainCfg - Chain configuration object
+ * @param {Object} opts - { rpcUrls, noCache, cacheDir, noProbe, maxRps }
+ * @returns {Promise<Object>} Chain context { chainKey, chainCfg, rpcUrls, pool, probes, cache, blockIndex, network,
+ *   networkLabel }
+ * @throws {Error} If no endpoint serves the expected chainId
+ */
+export async function connectChain(chainKey, chainCfg, opts = {}) {
+  const rpcUrls = buildRpcUrls(opts, chainKey, chainCfg);
+  if (!rpcUrls.length) {
+    throw new Error(`no RPC URLs for ${chainKey}; pass --rpc-urls or set ${rpcEnvPrefix(chainKey)}_RPC_URLS`);
+  }
+  const cache = opts.noCache ? null : createRpcCache({ dir: opts.cacheDir, namespace: chainKey });
+  const blockIndex = opts.noCache ? null : createBlockIndex({ dir: opts.cacheDir, namespace: chainKey });
+  const pool = createProviderPool(rpcUrls, {
+    cache,
+    chainId: chainCfg.chainId,
+    maxRps: opts.maxRps,
+    blockTime: chainCfg.blockTime,
+    blockIndex,
+  });
+
+  const probes = opts.noProbe ? [] : await probeProviderPool(pool, { chainId: Number(chainCfg.chainId) });
+  // providers use a static network, so ask the endpoint itself rather than getNetwork()
+  const chainId = await runWithProviderPool(pool, () => rpcCall((p) => p.send("eth_chainId", [])));
+  if (BigInt(chainId) !== BigInt(chainCfg.chainId)) {
+    throw new Error(`rpc/network mismatch: expected chainId ${chainCfg.chainId} (${chainKey}) got ${BigInt(chainId)}`);
+  }
+  const network = ethers.Network.from(BigInt(chainId));
+  return {
+    chainKey,
+    chainCfg,
+    rpcUrls: pool.items.map((item) => item.url),
+    pool,
+    probes,
+    cache,
+    blockIndex,
+    network,
+    networkLabel: `${chainKey}:${network.chainId.toString()}`,
+  };
+}
+
+/**
+ * Human-readable probe results for startup logs
+ * @param {Object[]} probes - Results of probeProviderPool (chain.probes)
+ * @param {number|string} chainId - Expected chainId
+ * @returns {string[]} One line per endpoint
+ */
+export function describeProbes(probes, chainId) {
+  return probes.map((r) => {
+    if (!r.ok) return `${r.url}: unreachable (${r.error})`;
+    if (r.chainId !== Number(chainId)) return `${r.url}: dropped, serves chainId ${r.chainId}`;
+    let depth = `state depth ${r.archiveDepth} blocks`;
+    if (r.archiveDepth === Infinity) depth = "full archive";
+    else if (r.archiveDepth === 0) depth = "recent state only";
+    else if (r.archiveDepth == null) depth = "archive depth unknown";
+    return `${r.url}: head ${r.head}, ${depth}`;
+  });
+}
+
+/**
+ * Dated implementation history of a proxied source over a range
+ * The history is kept on the discovery, so a later run with the same start block (watch) only scans the blocks
+ * after the previous end.
+ * @private
+ */
+async function implementationHistoryFor(discovery, startBlock, endBlock) {
+  const { sourceAddress, proxy } = discovery;
+  const cached = discovery.implementationHistory;
+  let history;
+  if (cached && cached.startBlock === startBlock && cached.endBlock <= endBlock) {
+    history = [...cached.entries];
+    if (endBlock > cached.endBlock) {
+      const later = await loadImplementationHistory(sourceAddress, proxy, cached.endBlock, endBlock);
+      for (const change of later.slice(1)) {
+        if (change.implementation !== history[history.length - 1].implementation) history.push(change);
+      }
+    }
+  } else {
+    history = await loadImplementationHistory(sourceAddress, proxy, startBlock, endBlock);
+  }
+
+  const undated = history.filter((h) => !h.date);
+  const headers = await getBlockHeaders(undated.map((h) => h.block));
+  undated.forEach((h, i) => {
+    h.date = new Date(headers[i].timestamp * 1000).toISOString().slice(0, 10);
+  });
+  discovery.implementationHistory = { startBlock, endBlock, entries: history };
+  return history;
+}
+
+/**
+ * Discover price source and backfill its history into a CSV
+ * @param {string} inputAddress - Vault/token/source address
+ * @param {Object} opts - Backfill options (priceFn, adapter, startDate, endDate, startBlock, endBlock,
+ *   mode, blockStep, batchSize, concurrency, noMulticall, noTvl, out, format, noFooter, resume, discoverOnly,
+ *   stallDays, log, warn, discovery, deployBlock); discovery and deployBlock come from an earlier run on the same
+ *   input and skip discovery and the deploy-block search, and the adapter's prepare only loads blocks it has not seen
+ * @param {Object} chain - Chain context from connectChain
+ * @returns {Promise<Object>} { discovery, deployBlock, startBlock, endBlock, outfile?, stats?, anomalies?,
+ *   newAnomalies?, resumedFromBlock?, networkLabel? }; newAnomalies excludes those a resumed file already reported;
+ *   resumedFromBlock is the last block the output held before this run (null when it started empty)
+ */
+export async function runBackfill(inputAddress, opts, chain) {
+  const log = opts.log || console.log;
+  const warn = opts.warn || console.warn;
+  const { chainCfg, rpcUrls, network } = chain;
+  const blockStep = Number.isFinite(opts.blockStep) && opts.blockStep > 0 ? opts.blockStep : null;
+  const mode = resolveSamplingMode(opts.mode, blockStep);
+
+  return runWithProviderPool(chain.pool, async () => {
+    const discovery =
+      opts.discovery ?? (await discoverPriceSource(inputAddress, { ...opts, listAll: opts.discoverOnly }));
+    const sourceAddress = discovery.sourceAddress;
+
+    const latestBlock = await rpcCall((p) => p.getBlockNumber());
+    // archive routing measures state depth from the newest head seen (unset when probing was skipped)
+    if (!(chain.pool.head >= latestBlock)) chain.pool.head = latestBlock;
+    const deployBlock = opts.deployBlock ?? (await getDeployBlock(sourceAddress));
+    const deployMeta = await rpcCall((p) => p.getBlock(deployBlock));
+
+    let startBlock = opts.startBlock;
+    let endBlock = opts.endBlock;
+
+    if (opts.startDate) startBlock = await getBlockByTime(parseDateToUnixSeconds(opts.startDate), 0, latestBlock);
+    if (opts.endDate) endBlock = await getBlockByTime(parseDateToUnixSeconds(opts.endDate), 0, latestBlock);
+
+    if (startBlock == null) startBlock = deployBlock;
+    if (endBlock == null) endBlock = latestBlock;
+
+    if (startBlock < deployBlock) {
+      warn(`start block ${startBlock} is before source deployment block ${deployBlock}; clamping to deploy block`);
+      startBlock = deployBlock;
+    }
+    if (endBlock < startBlock) throw new Error(`end block ${endBlock} is less than start block ${startBlock}`);
+
+    // prepare may scan the whole event history (provisioners); discovery alone does not need it
+    if (!opts.discoverOnly) await prepareAdapter(discovery, { deployBlock, startBlock, endBlock });
+
+    let implementationHistory = null;
+    if (discovery.proxy) {
+      try {
+        implementationHistory = await implementationHistoryFor(discovery, startBlock, endBlock);
+      } catch (err) {
+        warn(`could not load implementation history: ${err.shortMessage || err.message}`);
+      }
+    }
+
+    log(`rpc pool (${rpcUrls.length}): ${rpcUrls.join(", ")}`);
+    log(`input address: ${inputAddress}`);
+    if (discovery.minterAddress) log(`resolved minter: ${discovery.minterAddress}`);
+    if (discovery.tokenSymbol) log(`token symbol: ${discovery.tokenSymbol}`);
+    log(`source contract: ${sourceAddress}`);
+    log(`source mode: ${discovery.mode}`);
+    log(`source function: ${discovery.sourceFunction}`);
+    if (discovery.assetAddress || discovery.assetSymbol) {
+      log(`underlying asset: ${discovery.assetSymbol ?? "?"} ${discovery.assetAddress ?? ""}`.trim());
+    }
+    log(`price decimals: ${discovery.priceDecimals ?? "unknown (price_decimal column left empty)"}`);
+    for (const line of describeDiscovery(discovery)) log(line);
+    if (discovery.proxy) log(`proxy: ${discovery.proxy.kind} -> ${discovery.proxy.implementation}`);
+    if (implementationHistory) {
+      log(`implementation history (${implementationHistory.length - 1} upgrades in range):`);
+      for (const h of implementationHistory) log(`  ${h.date} block ${h.block}: ${h.implementation ?? "unset"} (${h.source})`);
+    }
+    log(`source deploy block: ${deployBlock} (${new Date(Number(deployMeta.timestamp) * 1000).toISOString()})`);
+    log(`range blocks: ${startBlock} -> ${endBlock}`);
+
+    if (opts.discoverOnly) {
+      const adapterNames = getAdapters().map((a) => a.name);
+      log(`adapters (${adapterNames.length}): ${adapterNames.join(", ")}`);
+      for (const m of discovery.matches) log(`  matched ${m.adapter}: ${m.reason}`);
+      for (const r of discovery.rejections) log(`  skipped ${r.adapter}: ${r.reason}`);
+      for (const analysis of discovery.bytecode) {
+        log(`bytecode ${describeAnalysis(analysis)}`);
+        for (const c of analysis.candidates) {
+          log(`  price candidate ${c.fn}(${c.args.join(",")}): ${c.ok ? c.value : "reverted"}`);
+        }
+        if (analysis.functions.length) log(`  known functions: ${analysis.functions.map((f) => f.fragment.name).join(", ")}`);
+        if (analysis.unknown.length) log(`  unknown selectors: ${analysis.unknown.join(", ")}`);
+      }
+      return { discovery, deployBlock, startBlock, endBlock };
+    }
+
+    if (mode === "step") log(`using fast block-step mode: ${blockStep}`);
+    if (mode === "events") log("using event-driven mode: price read at every block with a source event");
+    const batchSize = Number.isFinite(opts.batchSize) && opts.batchSize > 0 ? opts.batchSize : undefined;
+    if (opts.noMulticall) log("multicall batching disabled");
+
+    // totalSupply/totalAssets are read with the price; TVL needs the share token's decimals
+    const supplyCalls = opts.noTvl ? [] : supplyCallsFor(discovery);
+    const supplyToken = supplyCalls.find((c) => c.name === "totalSupply")?.target;
+    const shareDecimals = supplyToken ? (await resolveTokenMetadata(supplyToken)).decimals : null;
+    const shareScale = shareDecimals == null ? null : 10n ** BigInt(shareDecimals);
+    if (opts.noTvl) log("supply/TVL columns disabled");
+    else if (!supplyCalls.length) log("supply/TVL columns: no supply calls for this source");
+    else log(`supply/TVL columns: ${supplyCalls.map((c) => `${c.name} = ${c.fn}() on ${c.target}`).join(", ")}`);
+
+    const format = resolveOutputFormat(opts.format, opts.out || opts.outfile);
+    const outfile = opts.out || opts.outfile || defaultOutfile(format);
+    const { networkLabel } = chain;
+    const samplingMode = mode === "step" ? `blockStep=${blockStep}` : mode;
+    const runMeta = { sourceAddress, method: discovery.sourceFunction, network: networkLabel, samplingMode };
+    const writer = await createWriter(format, {
+      path: outfile,
+      chainKey: chain.chainKey,
+      address: inputAddress,
+      priceDecimals: discovery.priceDecimals,
+      assetSymbol: discovery.assetSymbol,
+      footer: !opts.noFooter,
+    });
+
+    const series = [];
+    const existing = opts.resume ? writer.readExisting() : null;
+    if (existing) {
+      const checkpoint = readCheckpoint(writer.checkpointPath);
+      const recordedSource = existing.summary?.sourceAddress || checkpoint?.sourceAddress;
+      if (recordedSource && recordedSource.toLowerCase() !== sourceAddress.toLowerCase()) {
+        throw new Error(`cannot resume ${outfile}: it was written for source ${recordedSource}, not ${sourceAddress}`);
+      }
+      const recordedMethod = existing.summary?.method || checkpoint?.method;
+      if (recordedMethod && recordedMethod !== discovery.sourceFunction) {
+        throw new Error(`cannot resume ${outfile}: it was written with method ${recordedMethod}, not ${discovery.sourceFunction}`);
+      }
+      series.push(...existing.rows);
+    }
+
+    let lastDate = "";
+    let prevPrice = null;
+    if (series.length) {
+      const lastRow = series[series.length - 1];
+      lastDate = lastRow.date;
+      prevPrice = lastRow.price;
+
+      let resumeBlock;
+      if (mode === "step") {
+        resumeBlock = lastRow.block + blockStep;
+      } else if (mode === "events") {
+        resumeBlock = lastRow.block + 1;
+      } else {
+        const lastMeta = await rpcCall((p) => p.getBlock(lastRow.block));
+        resumeBlock = await getBlockByTime(Number(lastMeta.timestamp) + 24 * 3600, lastRow.block + 1, latestBlock);
+      }
+      startBlock = Math.max(startBlock, resumeBlock);
+      log(`resuming ${outfile} after ${lastRow.date} (block ${lastRow.block}, ${series.length} rows)`);
+    } else if (opts.resume) {
+      log(`no existing rows in ${outfile}; starting fresh`);
+    }
+
+    // Rows are flushed with a checkpoint as they are sampled; the summary is only written at the end,
+    // so a killed run leaves summary-less output that --resume continues from
+    log(`output format: ${format}`);
+    writer.begin(series);
+
+    let pending = [];
+    const flush = () => {
+      if (!pending.length) return;
+      writer.append(pending);
+      pending = [];
+      writeCheckpoint(writer.checkpointPath, { ...runMeta, lastBlock: series[series.length - 1].block });
+    };
+
+    // Daily/step keep the first sample of each date; events keep every price change plus the range end
+    const recordSample = (sample) => {
+      const { block, timestamp, price: priceValue, extras } = sample;
+      const date = new Date(timestamp * 1000).toISOString().slice(0, 10);
+      if (priceValue === null) return;
+      if (mode === "events") {
+        if (prevPrice !== null && priceValue === prevPrice && block !== endBlock) return;
+      } else if (date === lastDate) {
+        return;
+      }
+
+      const delta = prevPrice === null ? 0n : priceValue - prevPrice;
+      const totalSupply = extras.totalSupply == null ? null : BigInt(extras.totalSupply);
+      const totalAssets = extras.totalAssets == null ? null : BigInt(extras.totalAssets);
+      // tvl is in price units: share supply times the price of one whole share
+      const tvl = totalSupply === null || shareScale === null ? null : (totalSupply * priceValue) / shareScale;
+      const row = { date, block, price: priceValue, delta, totalSupply, totalAssets, tvl };
+      pending.push(row);
+      series.push(row);
+      prevPrice = priceValue;
+      lastDate = date;
+    };
+
+    const samplerOpts = { multicall: !opts.noMulticall, extraCalls: supplyCalls };
+    const concurrency =
+      Number.isFinite(opts.concurrency) && opts.concurrency > 0 ? opts.concurrency : SAMPLER_CONFIG.CONCURRENCY;
+    // Batches are sampled concurrently but recorded (and flushed) in block order
+    const onBatch = (samples) => {
+      for (const sample of samples) recordSample(sample);
+      flush();
+    };
+    const lastRecordedBlock = series.length ? series[series.length - 1].block : -1;
+    if (startBlock > endBlock || endBlock <= lastRecordedBlock) {
+      log("no new blocks to sample");
+    } else if (mode === "events") {
+      const eventBlocks = await findEventBlocks(discovery, startBlock, endBlock);
+      const blocks = [...new Set([...(series.length ? [] : [startBlock]), ...eventBlocks, endBlock])];
+      log(`sampling ${blocks.length} blocks (${eventBlocks.length} with events) with concurrency ${concurrency}`);
+      await forEachWithConcurrency(
+        chunkBlocks(blocks, batchSize),
+        concurrency,
+        (batch) => sampleBlocks(discovery, batch, samplerOpts),
+        onBatch
+      );
+    } else if (mode === "step") {
+      // Sample blocks are known upfront, so headers and price reads go out in batches
+      const blocks = [];
+      for (let block = startBlock; block < endBlock; block += blockStep) blocks.push(block);
+      blocks.push(endBlock);
+      log(`sampling ${blocks.length} blocks with concurrency ${concurrency}`);
+      await forEachWithConcurrency(
+        chunkBlocks(blocks, batchSize),
+        concurrency,
+        (batch) => sampleBlocks(discovery, batch, samplerOpts),
+        onBatch
+      );
+    } else {
+      // One sample per 24h after the start block; each batch resolves its day blocks, then samples them
+      const [startHeader, endHeader] = await getBlockHeaders([startBlock, endBlock]);
+      const dayTimes = [];
+      for (let ts = startHeader.timestamp; ts < endHeader.timestamp; ts += 24 * 3600) dayTimes.push(ts);
+      dayTimes.push(endHeader.timestamp);
+      log(`sampling ${dayTimes.length} days with concurrency ${concurrency}`);
+      await forEachWithConcurrency(
+        chunkBlocks(dayTimes, batchSize),
+        concurrency,
+        async (times) => {
+          const blocks = await Promise.all(times.map((ts) => getBlockByTime(ts, startBlock, endBlock)));
+          return sampleBlocks(discovery, [...new Set(blocks)], samplerOpts);
+        },
+        onBatch
+      );
+    }
+
+    let times = {};
+    if (series.length) {
+      const [firstHeader, lastHeader] = await getBlockHeaders([series[0].block, series[series.length - 1].block]);
+      times = { firstTs: firstHeader.timestamp, lastTs: lastHeader.timestamp };
+    }
+    const stats = summarizeSeries(series, times);
+    const tvl = summarizeTvl(series);
+    const anomalies = detectAnomalies(series, { stallDays: opts.stallDays });
+    // anomalies observable before the resume point were already reported by the run that wrote them; a stall
+    // counts from where it crossed the threshold, so one that is still flat is not reported again
+    const newAnomalies = anomalies.filter((a) => isNewAnomaly(a, lastRecordedBlock));
+    log(`anomalies: ${anomalies.length} (${newAnomalies.length} new)`);
+    for (const a of anomalies) log(`  ${describeAnomaly(a)}`);
+
+    const footer = [
+      ["Start Date", stats.firstDate || "n/a"],
+      ["End Date", stats.lastDate || "n/a"],
+      ["Start Block", stats.firstBlock ?? "n/a"],
+      ["End Block", stats.lastBlock ?? "n/a"],
+      ["Start Price", stats.firstPriceRaw ?? "n/a"],
+      ["End Price", stats.lastPriceRaw ?? "n/a"],
+      ["Start Price (Decimal)", formatPrice(series[0]?.price, discovery.priceDecimals) ?? "n/a"],
+      ["End Price (Decimal)", formatPrice(series[series.length - 1]?.price, discovery.priceDecimals) ?? "n/a"],
+      ["Asset", discovery.assetSymbol ?? "n/a"],
+      ["Asset Address", discovery.assetAddress ?? "n/a"],
+      ["Price Decimals", discovery.priceDecimals ?? "n/a"],
+      ["Total Return", stats.totalReturnPct],
+      ["Days", stats.days],
+      ["Observations", stats.observations],
+      ["Missing Days", stats.missingDays],
+      ["Average APR", stats.avgAprPct],
+      ["Max Drawdown", `${stats.maxDrawdown.toFixed(2)}%`],
+      ["Volatility", stats.volatilityPct],
+    ];
+    if (tvl) {
+      const describeTvl = (row) => `${formatPrice(row.tvl, discovery.priceDecimals) ?? row.tvl} (${row.date})`;
+      footer.push(
+        ["Start TVL", describeTvl(tvl.first)],
+        ["End TVL", describeTvl(tvl.last)],
+        ["Peak TVL", describeTvl(tvl.peak)]
+      );
+    }
+    footer.push(
+      ["Anomalies", anomalies.length],
+      ...(anomalies.length ? [["Anomaly List", anomalies.map(describeAnomaly).join("; ")]] : []),
+      ["Method", discovery.sourceFunction],
+      ["Source Address", sourceAddress],
+      ["Discovery Mode", discovery.mode]
+    );
+    if (discovery.priceToken) footer.push(["Price Token", discovery.priceToken]);
+    if (discovery.proxy) {
+      footer.push(["Proxy Kind", discovery.proxy.kind], ["Implementation", discovery.proxy.implementation]);
+    }
+    if (implementationHistory) {
+      footer.push(
+        ["Implementation Upgrades", implementationHistory.length - 1],
+        [
+          "Implementation History",
+          implementationHistory.map((h) => `${h.date} block ${h.block} ${h.implementation ?? "unset"}`).join("; "),
+        ]
+      );
+    }
+    footer.push(
+      ["Network", networkLabel],
+      ["Chain ID", network.chainId.toString()],
+      ["Sampling Mode", samplingMode],
+      ["RPC Endpoints Used", rpcUrls.length],
+      ["RPC Endpoint List", rpcUrls.join(", ")],
+      ["Generated At (UTC)", new Date().toISOString()]
+    );
+    if (chainCfg.explorer) footer.push(["Explorer", chainCfg.explorer]);
+    writer.finish(footer);
+    clearCheckpoint(writer.checkpointPath);
+    log(`output written to ${outfile}`);
+    return {
+      discovery,
+      deployBlock,
+      startBlock,
+      endBlock,
+      outfile,
+      format,
+      stats,
+      anomalies,
+      newAnomalies,
+      resumedFromBlock: lastRecordedBlock >= 0 ? lastRecordedBlock : null,
+      networkLabel,
+    };
+  });
+}
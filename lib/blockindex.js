@@ -0,0 +1,144 @@
+/**
+ * Persistent per-chain index of block timestamps for timestamp -> block resolution
+ *
+ * Every header seen while resolving a date is recorded as a (block, timestamp) point in
+ * `<cache dir>/<chain>.blocks.jsonl`, so later searches (other vaults, later runs) start from a
+ * bracket a few blocks wide instead of the whole chain. Only blocks at least REORG_SAFETY_BLOCKS
+ * behind the observed head are stored.
+ */
+
+import fs from "fs";
+import path from "path";
+import { CACHE_CONFIG } from "./config.js";
+import { resolveCacheDir } from "./cache.js";
+
+/**
+ * Path of a chain's block index file
+ * @private
+ */
+function indexFile(dir, namespace) {
+  return path.join(dir, `${namespace}.blocks.jsonl`);
+}
+
+/**
+ * Position of the first element in a sorted array that is greater than value
+ * @private
+ */
+function upperBound(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Create a block index for one chain, loading existing points from disk
+ * @param {Object} opts - { dir, namespace }
+ * @returns {Object} Index with add/bracket/observeHead/flush/stats
+ */
+export function createBlockIndex(opts) {
+  const dir = resolveCacheDir(opts.dir);
+  const file = indexFile(dir, opts.namespace);
+  // Parallel arrays sorted by block (timestamps are non-decreasing in block order)
+  const blocks = [];
+  const times = [];
+  let head = null;
+  let pending = "";
+  const counters = { loaded: 0, stored: 0, exact: 0 };
+
+  const insert = (block, timestamp) => {
+    const i = upperBound(blocks, block);
+    if (i > 0 && blocks[i - 1] === block) return false;
+    blocks.splice(i, 0, block);
+    times.splice(i, 0, timestamp);
+    return true;
+  };
+
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line) continue;
+      try {
+        const { b, t } = JSON.parse(line);
+        if (insert(b, t)) counters.loaded += 1;
+      } catch {
+        // skip partial line from an interrupted write
+      }
+    }
+  }
+
+  return {
+    namespace: opts.namespace,
+    file,
+
+    /**
+     * Record a header (ignored while head is unknown or the block could still be reorged)
+     */
+    add(block, timestamp) {
+      if (head === null || block > head - CACHE_CONFIG.REORG_SAFETY_BLOCKS) return;
+      if (!insert(block, timestamp)) return;
+      pending += `${JSON.stringify({ b: block, t: timestamp })}\n`;
+      counters.stored += 1;
+    },
+
+    /**
+     * Closest known points around a timestamp within [low, high]
+     * @returns {{below: {block: number, timestamp: number}|null, above: {block: number, timestamp: number}|null}}
+     *   below is the last point with timestamp <= target, above the first point after it with a larger timestamp
+     */
+    bracket(targetTs, low, high) {
+      const i = upperBound(times, targetTs);
+      let below = null;
+      let above = null;
+      for (let j = i - 1; j >= 0; j--) {
+        if (blocks[j] >= low && blocks[j] <= high) {
+          below = { block: blocks[j], timestamp: times[j] };
+          break;
+        }
+        if (blocks[j] < low) break;
+      }
+      for (let j = i; j < blocks.length; j++) {
+        if (blocks[j] >= low && blocks[j] <= high) {
+          above = { block: blocks[j], timestamp: times[j] };
+          break;
+        }
+        if (blocks[j] > high) break;
+      }
+      if (below && above && above.block === below.block + 1) counters.exact += 1;
+      return { below, above };
+    },
+
+    /**
+     * Track chain head to decide which headers are final
+     */
+    observeHead(blockNumber) {
+      if (Number.isFinite(blockNumber) && (head === null || blockNumber > head)) head = blockNumber;
+    },
+
+    flush() {
+      if (!pending) return;
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(file, pending);
+      pending = "";
+    },
+
+    stats() {
+      return { ...counters, points: blocks.length };
+    },
+  };
+}
+
+/**
+ * Delete a chain's block index file
+ * @param {Object} opts - { dir, namespace }
+ * @returns {boolean} True if a file was removed
+ */
+export function pruneBlockIndex(opts) {
+  const file = indexFile(resolveCacheDir(opts.dir), opts.namespace);
+  if (!fs.existsSync(file)) return false;
+  fs.rmSync(file);
+  return true;
+}
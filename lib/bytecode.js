@@ -0,0 +1,162 @@
+/**
+ * Runtime bytecode analysis: dispatcher selectors, proxy resolution and price-like view probing
+ */
+
+import { ethers } from "ethers";
+import { SELECTOR_CONFIG } from "./config.js";
+import { rpcCall } from "./provider.js";
+import { tryCall } from "./utils.js";
+import { lookupSelector } from "./signatures.js";
+import { detectProxy } from "./proxy.js";
+
+const OP_PUSH1 = 0x60;
+const OP_PUSH4 = 0x63;
+const OP_PUSH32 = 0x7f;
+const OP_EQ = 0x14;
+
+/**
+ * Disassemble runtime bytecode into opcodes with inline push data
+ * @param {string} code - 0x-prefixed runtime bytecode
+ * @returns {Array<{pc: number, op: number, data: string|null}>} Instructions (data is 0x-hex for PUSHn)
+ */
+export function disassemble(code) {
+  const bytes = ethers.getBytes(code || "0x");
+  const out = [];
+  for (let pc = 0; pc < bytes.length; pc++) {
+    const op = bytes[pc];
+    if (op >= OP_PUSH1 && op <= OP_PUSH32) {
+      const size = op - OP_PUSH1 + 1;
+      out.push({ pc, op, data: ethers.hexlify(bytes.slice(pc + 1, pc + 1 + size)) });
+      pc += size;
+    } else {
+      out.push({ pc, op, data: null });
+    }
+  }
+  return out;
+}
+
+/**
+ * Extract function selectors from the dispatcher: PUSH4 values compared with EQ within the next two ops
+ * (covers `DUP1 PUSH4 sel EQ` and `PUSH4 sel DUP2 EQ`; error selectors pushed for reverts are skipped)
+ * @param {string} code - 0x-prefixed runtime bytecode
+ * @returns {string[]} Unique 0x-prefixed selectors in dispatcher order
+ */
+export function extractSelectors(code) {
+  const ops = disassemble(code);
+  const seen = new Set();
+  for (let i = 0; i < ops.length; i++) {
+    if (ops[i].op !== OP_PUSH4) continue;
+    if (!ops.slice(i + 1, i + 3).some((o) => o.op === OP_EQ)) continue;
+    const selector = ops[i].data.toLowerCase();
+    if (selector !== "0xffffffff" && selector !== "0x00000000") seen.add(selector);
+  }
+  return [...seen];
+}
+
+/**
+ * Check whether a function looks like a share-price view worth probing
+ * @param {Object} fragment - ethers FunctionFragment
+ * @returns {boolean} True for view/pure functions returning one number with no args or one uint256 share amount
+ */
+export function isPriceLike(fragment) {
+  if (!["view", "pure"].includes(fragment.stateMutability)) return false;
+  if (fragment.outputs.length !== 1 || !/^u?int\d*$/.test(fragment.outputs[0].type)) return false;
+  if (fragment.inputs.length > 1 || (fragment.inputs.length === 1 && fragment.inputs[0].type !== "uint256")) return false;
+  const name = fragment.name.toLowerCase();
+  if (SELECTOR_CONFIG.PRICE_NAME_EXCLUDES.some((x) => name.includes(x))) return false;
+  return SELECTOR_CONFIG.PRICE_NAME_PATTERNS.some((x) => name.includes(x));
+}
+
+/**
+ * Rank of a price-like name (lower is better)
+ * @private
+ */
+function priceRank(name) {
+  const lower = name.toLowerCase();
+  const idx = SELECTOR_CONFIG.PRICE_NAME_PATTERNS.findIndex((x) => lower.includes(x));
+  return idx === -1 ? Infinity : idx;
+}
+
+/**
+ * Analyze a contract's runtime code, following proxies to the implementation
+ * Selectors are collected from every level (proxy admin functions plus implementation).
+ * @param {string} address - Contract address
+ * @param {string|number} blockTag - Block identifier
+ * @returns {Promise<Object>} { address, codeSize, proxies, implementation, selectors, functions, unknown }
+ */
+export async function analyzeContract(address, blockTag = "latest") {
+  const proxies = [];
+  const selectors = new Set();
+  let target = ethers.getAddress(address);
+  let codeSize = 0;
+
+  for (let depth = 0; depth <= SELECTOR_CONFIG.MAX_PROXY_DEPTH; depth++) {
+    const code = await rpcCall((p) => p.getCode(target, blockTag), { blockTag });
+    if (depth === 0) codeSize = ethers.dataLength(code || "0x");
+    for (const sel of extractSelectors(code)) selectors.add(sel);
+
+    const proxy = depth < SELECTOR_CONFIG.MAX_PROXY_DEPTH ? await detectProxy(target, code, blockTag) : null;
+    if (!proxy || proxies.some((p) => p.implementation === proxy.implementation)) break;
+    proxies.push({ address: target, ...proxy });
+    target = proxy.implementation;
+  }
+
+  const functions = [];
+  const unknown = [];
+  for (const selector of selectors) {
+    const hit = lookupSelector(selector);
+    if (hit) functions.push({ selector, signature: hit.signature, fragment: hit.fragment });
+    else unknown.push(selector);
+  }
+
+  return {
+    address: ethers.getAddress(address),
+    codeSize,
+    proxies,
+    implementation: proxies.length ? target : null,
+    selectors: [...selectors],
+    functions,
+    unknown,
+  };
+}
+
+/**
+ * Call every price-like view found in an analysis (through the original address, so proxies delegate)
+ * One-arg conversions are called with one whole share (10^decimals, decimals() or 18).
+ * @param {Object} analysis - Result of analyzeContract
+ * @param {string|number} blockTag - Block identifier
+ * @returns {Promise<Object[]>} [{ fn, signature, args, ok, value }] best-named first
+ */
+export async function probePriceCandidates(analysis, blockTag = "latest") {
+  const candidates = analysis.functions.filter((f) => isPriceLike(f.fragment));
+  candidates.sort((a, b) => priceRank(a.fragment.name) - priceRank(b.fragment.name));
+
+  let oneShare = null;
+  const results = [];
+  for (const { signature, fragment } of candidates) {
+    const args = [];
+    if (fragment.inputs.length === 1) {
+      if (oneShare == null) {
+        const dec = await tryCall(analysis.address, "function decimals() view returns (uint8)", "decimals", [], blockTag);
+        oneShare = 10n ** BigInt(dec.ok && Number(dec.value) <= 30 ? Number(dec.value) : 18);
+      }
+      args.push(oneShare);
+    }
+    const res = await tryCall(analysis.address, signature, fragment.name, args, blockTag);
+    results.push({ fn: fragment.name, signature, args, ok: res.ok, value: res.ok ? res.value : null });
+  }
+  return results;
+}
+
+/**
+ * One-line summary of an analysis for logs and error messages
+ * @param {Object} analysis - Result of analyzeContract
+ * @returns {string} Summary
+ */
+export function describeAnalysis(analysis) {
+  const proxy = analysis.proxies.map((p) => `${p.kind} -> ${p.implementation}`).join(", ");
+  return (
+    `${analysis.address}: ${analysis.codeSize} bytes, ${analysis.selectors.length} selectors ` +
+    `(${analysis.functions.length} known)${proxy ? `, proxy ${proxy}` : ""}`
+  );
+}
@@ -0,0 +1,214 @@
+/**
+ * Persistent on-disk cache for immutable historical RPC responses
+ *
+ * Entries are JSON lines ({ k, v }) in one file per chain under the cache dir.
+ * Only queries pinned to a numeric block at least REORG_SAFETY_BLOCKS behind the
+ * observed head are cached; "latest"/"pending"/"safe"/"finalized" never are.
+ */
+
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { CACHE_CONFIG } from "./config.js";
+
+// Position of the block tag in params for each cacheable method
+const BLOCK_PARAM_INDEX = {
+  eth_call: 1,
+  eth_getCode: 1,
+  eth_getBalance: 1,
+  eth_getStorageAt: 2,
+  eth_getBlockByNumber: 0,
+};
+
+/**
+ * Resolve cache directory from option, env, or default
+ * @param {string|undefined} dir - Explicit directory
+ * @returns {string} Cache directory
+ */
+export function resolveCacheDir(dir) {
+  return dir || process.env[CACHE_CONFIG.DIR_ENV] || CACHE_CONFIG.DEFAULT_DIR;
+}
+
+/**
+ * Path of a chain's cache file
+ * @private
+ */
+function cacheFile(dir, namespace) {
+  return path.join(dir, `${namespace}.jsonl`);
+}
+
+/**
+ * Parse a hex block quantity; null for named tags, hashes, or anything else
+ * @private
+ */
+function numericBlock(tag) {
+  if (typeof tag !== "string" || !/^0x[0-9a-fA-F]{1,16}$/.test(tag)) return null;
+  return Number(BigInt(tag));
+}
+
+/**
+ * Create a cache for one chain, loading existing entries from disk
+ * @param {Object} opts - { dir, namespace }
+ * @returns {Object} Cache with keyFor/get/set/observeHead/flush/stats
+ */
+export function createRpcCache(opts) {
+  const dir = resolveCacheDir(opts.dir);
+  const file = cacheFile(dir, opts.namespace);
+  const entries = new Map();
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line) continue;
+      try {
+        const { k, v } = JSON.parse(line);
+        entries.set(k, v);
+      } catch {
+        // skip partial line from an interrupted write
+      }
+    }
+  }
+
+  let head = null;
+  let pending = "";
+  const counters = { hits: 0, misses: 0, stored: 0, loaded: entries.size };
+
+  /**
+   * Highest block that is safe from reorgs, or null while head is unknown
+   * @private
+   */
+  const safeBlock = () => (head === null ? null : head - CACHE_CONFIG.REORG_SAFETY_BLOCKS);
+
+  return {
+    namespace: opts.namespace,
+    file,
+
+    /**
+     * Cache key for a JSON-RPC payload, or null if the response may change
+     */
+    keyFor(payload) {
+      const safe = safeBlock();
+      if (safe === null) return null;
+      const { method, params = [] } = payload;
+      if (method === "eth_getLogs") {
+        const filter = params[0] || {};
+        if (filter.blockHash) return `${method}:${JSON.stringify(params)}`;
+        const to = numericBlock(filter.toBlock);
+        if (to === null || numericBlock(filter.fromBlock) === null || to > safe) return null;
+        return `${method}:${JSON.stringify(params)}`;
+      }
+      if (!(method in BLOCK_PARAM_INDEX)) return null;
+      const block = numericBlock(params[BLOCK_PARAM_INDEX[method]]);
+      if (block === null || block > safe) return null;
+      return `${method}:${JSON.stringify(params)}`;
+    },
+
+    get(key) {
+      if (!entries.has(key)) {
+        counters.misses += 1;
+        return undefined;
+      }
+      counters.hits += 1;
+      return entries.get(key);
+    },
+
+    set(key, value) {
+      if (value == null || entries.has(key)) return;
+      entries.set(key, value);
+      pending += `${JSON.stringify({ k: key, v: value })}\n`;
+      counters.stored += 1;
+    },
+
+    /**
+     * Track chain head from eth_blockNumber responses to decide finality
+     */
+    observeHead(blockNumber) {
+      if (Number.isFinite(blockNumber) && (head === null || blockNumber > head)) head = blockNumber;
+    },
+
+    flush() {
+      if (!pending) return;
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(file, pending);
+      pending = "";
+    },
+
+    stats() {
+      return { ...counters, entries: entries.size };
+    },
+  };
+}
+
+/**
+ * JsonRpcProvider that answers cacheable requests from an RpcCache and stores new results
+ */
+export class CachingJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(url, cache, network, options) {
+    super(url, network, options);
+    this.rpcCache = cache;
+  }
+
+  async _send(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const cached = [];
+    const misses = [];
+    const keys = new Map();
+    for (const p of payloads) {
+      const key = this.rpcCache.keyFor(p);
+      const value = key ? this.rpcCache.get(key) : undefined;
+      if (value !== undefined) {
+        cached.push({ id: p.id, jsonrpc: "2.0", result: value });
+      } else {
+        misses.push(p);
+        if (key) keys.set(p.id, key);
+      }
+    }
+    if (!misses.length) return cached;
+
+    const fetched = await super._send(misses);
+    for (const r of fetched) {
+      const sent = misses.find((p) => p.id === r.id);
+      if (sent?.method === "eth_blockNumber" && r.result) this.rpcCache.observeHead(Number(BigInt(r.result)));
+      const key = keys.get(r.id);
+      if (key && !r.error && r.result != null) this.rpcCache.set(key, r.result);
+    }
+    this.rpcCache.flush();
+    return [...cached, ...fetched];
+  }
+}
+
+/**
+ * Summarize a chain's cache file without loading it into a provider
+ * @param {Object} opts - { dir, namespace }
+ * @returns {{file: string, exists: boolean, bytes: number, entries: number, byMethod: Object}} Cache info
+ */
+export function inspectRpcCache(opts) {
+  const file = cacheFile(resolveCacheDir(opts.dir), opts.namespace);
+  if (!fs.existsSync(file)) return { file, exists: false, bytes: 0, entries: 0, byMethod: {} };
+
+  const byMethod = {};
+  const keys = new Set();
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line) continue;
+    try {
+      const { k } = JSON.parse(line);
+      if (keys.has(k)) continue;
+      keys.add(k);
+      const method = k.slice(0, k.indexOf(":"));
+      byMethod[method] = (byMethod[method] || 0) + 1;
+    } catch {
+      // ignore partial line
+    }
+  }
+  return { file, exists: true, bytes: fs.statSync(file).size, entries: keys.size, byMethod };
+}
+
+/**
+ * Delete a chain's cache file
+ * @param {Object} opts - { dir, namespace }
+ * @returns {boolean} True if a file was removed
+ */
+export function pruneRpcCache(opts) {
+  const file = cacheFile(resolveCacheDir(opts.dir), opts.namespace);
+  if (!fs.existsSync(file)) return false;
+  fs.rmSync(file);
+  return true;
+}
@@ -0,0 +1,225 @@
+/**
+ * Idle/Pareto tranche CDOs viewed whole: AA and BB prices sampled together with the CDO's own APR and split getters
+ *
+ * Discovery follows one tranche at a time (priceAA for AA symbols, priceBB for BB); this module resolves both
+ * tranche tokens from either tranche or the CDO itself and reads everything at the same blocks, so senior and
+ * junior performance can be compared and each realized APR set against what the contract reports.
+ */
+
+import { ethers } from "ethers";
+
+import { CDO_CONFIG } from "./config.js";
+import { tryCall, isValidAddress } from "./utils.js";
+import { resolveTokenMetadata, formatPrice } from "./assets.js";
+import { getBlockHeaders, readCallsAtBlocks } from "./multicall.js";
+import { summarizeSeries } from "./stats.js";
+
+const YEAR_SECONDS = 365 * 86400;
+
+export const CDO_COLUMNS = [
+  "date",
+  "block",
+  "price_aa",
+  "price_bb",
+  "price_aa_decimal",
+  "price_bb_decimal",
+  "realized_apr_aa",
+  "realized_apr_bb",
+  "reported_apr_aa",
+  "reported_apr_bb",
+  "aa_apr_split_pct",
+  "aa_tvl_ratio_pct",
+  "tvl_aa",
+  "tvl_bb",
+  "contract_value",
+  "asset",
+];
+
+/**
+ * Resolve a CDO and both tranche tokens from a tranche token (via minter()) or the CDO address
+ * @param {string} address - Tranche token or CDO address
+ * @param {string|number} blockTag - Block identifier
+ * @returns {Promise<Object>} { cdo, aa, bb, asset, priceDecimals } where aa/bb/asset are { address, symbol, decimals }
+ *   (asset null when token() is missing)
+ * @throws {Error} If neither the address nor its minter exposes AATranche()/BBTranche()
+ */
+export async function resolveCdo(address, blockTag = "latest") {
+  const minter = await tryCall(address, "function minter() view returns (address)", "minter", [], blockTag);
+  const cdo = ethers.getAddress(minter.ok && isValidAddress(minter.value) ? minter.value : address);
+  const aa = await tryCall(cdo, "function AATranche() view returns (address)", "AATranche", [], blockTag);
+  const bb = await tryCall(cdo, "function BBTranche() view returns (address)", "BBTranche", [], blockTag);
+  if (!aa.ok || !bb.ok) {
+    throw new Error(`${address} is not a tranche CDO or tranche token: AATranche()/BBTranche() not callable on ${cdo}`);
+  }
+  const token = await tryCall(cdo, "function token() view returns (address)", "token", [], blockTag);
+  const asset = token.ok && isValidAddress(token.value) ? await resolveTokenMetadata(token.value, blockTag) : null;
+  return {
+    cdo,
+    aa: await resolveTokenMetadata(aa.value, blockTag),
+    bb: await resolveTokenMetadata(bb.value, blockTag),
+    asset,
+    // priceAA/priceBB and getContractValue() are in underlying units
+    priceDecimals: asset?.decimals ?? null,
+  };
+}
+
+/**
+ * View calls read at every sampled block
+ * @param {Object} cdo - Result of resolveCdo
+ * @returns {Object[]} View calls (see multicall.js ViewCall); failing calls read as null
+ */
+export function cdoCalls(cdo) {
+  const view = (name, target, signature, fn, args) => ({ name, target, signature, fn, args });
+  const supply = "function totalSupply() view returns (uint256)";
+  const apr = "function getApr(address) view returns (uint256)";
+  return [
+    view("priceAA", cdo.cdo, "function priceAA() view returns (uint256)", "priceAA"),
+    view("priceBB", cdo.cdo, "function priceBB() view returns (uint256)", "priceBB"),
+    view("aprAA", cdo.cdo, apr, "getApr", [cdo.aa.address]),
+    view("aprBB", cdo.cdo, apr, "getApr", [cdo.bb.address]),
+    view("splitRatio", cdo.cdo, "function trancheAPRSplitRatio() view returns (uint256)", "trancheAPRSplitRatio"),
+    view("aaRatio", cdo.cdo, "function getCurrentAARatio() view returns (uint256)", "getCurrentAARatio"),
+    view("supplyAA", cdo.aa.address, supply, "totalSupply"),
+    view("supplyBB", cdo.bb.address, supply, "totalSupply"),
+    view("contractValue", cdo.cdo, "function getContractValue() view returns (uint256)", "getContractValue"),
+  ];
+}
+
+/**
+ * Sample a CDO at the given blocks
+ * @param {Object} cdo - Result of resolveCdo
+ * @param {number[]} blocks - Block numbers
+ * @param {Object} opts - { multicall: boolean }
+ * @returns {Promise<Object[]>} { block, timestamp, date, priceAA, priceBB, aprAA, aprBB, splitRatio, aaRatio,
+ *   supplyAA, supplyBB, contractValue } per block in input order (values bigint or null)
+ */
+export async function sampleCdo(cdo, blocks, opts = {}) {
+  const headers = await getBlockHeaders(blocks);
+  const values = await readCallsAtBlocks(cdoCalls(cdo), blocks, { multicall: opts.multicall });
+  return blocks.map((block, i) => {
+    const sample = { block, timestamp: headers[i].timestamp };
+    sample.date = new Date(sample.timestamp * 1000).toISOString().slice(0, 10);
+    for (const [name, value] of Object.entries(values[i])) sample[name] = value == null ? null : BigInt(value);
+    return sample;
+  });
+}
+
+/**
+ * Simple annualized return between two prices, in percent
+ * @private
+ */
+function realizedApr(price, prevPrice, seconds) {
+  if (price == null || prevPrice == null || prevPrice <= 0n || seconds <= 0) return null;
+  return (Number(price - prevPrice) / Number(prevPrice)) * (YEAR_SECONDS / seconds) * 100;
+}
+
+/**
+ * Percentage from a FULL_ALLOC-scaled ratio
+ * @private
+ */
+function ratioPct(value) {
+  return value == null ? null : (Number(value) / CDO_CONFIG.FULL_ALLOC) * 100;
+}
+
+/**
+ * Round for output, keeping null
+ * @private
+ */
+function round(value, digits = 4) {
+  return value == null ? null : Number(value.toFixed(digits));
+}
+
+/**
+ * Serialize a sample into an output record (see CDO_COLUMNS)
+ * Realized APRs annualize the price change since the previous sample; reported APRs come from getApr(tranche).
+ * @param {Object} cdo - Result of resolveCdo
+ * @param {Object} sample - Sample from sampleCdo
+ * @param {Object|null} prev - Previous sample (null for the first)
+ * @returns {Object} Record keyed by CDO_COLUMNS
+ */
+export function cdoRecord(cdo, sample, prev) {
+  const seconds = prev ? sample.timestamp - prev.timestamp : 0;
+  const reportedApr = (value) => (value == null ? null : ethers.formatUnits(value, CDO_CONFIG.APR_DECIMALS));
+  const trancheTvl = (supply, price, decimals) => {
+    if (supply == null || price == null || decimals == null) return null;
+    return formatPrice((supply * price) / 10n ** BigInt(decimals), cdo.priceDecimals);
+  };
+  return {
+    date: sample.date,
+    block: sample.block,
+    price_aa: sample.priceAA?.toString() ?? null,
+    price_bb: sample.priceBB?.toString() ?? null,
+    price_aa_decimal: formatPrice(sample.priceAA, cdo.priceDecimals),
+    price_bb_decimal: formatPrice(sample.priceBB, cdo.priceDecimals),
+    realized_apr_aa: round(realizedApr(sample.priceAA, prev?.priceAA, seconds)),
+    realized_apr_bb: round(realizedApr(sample.priceBB, prev?.priceBB, seconds)),
+    reported_apr_aa: reportedApr(sample.aprAA),
+    reported_apr_bb: reportedApr(sample.aprBB),
+    aa_apr_split_pct: round(ratioPct(sample.splitRatio)),
+    aa_tvl_ratio_pct: round(ratioPct(sample.aaRatio)),
+    tvl_aa: trancheTvl(sample.supplyAA, sample.priceAA, cdo.aa.decimals),
+    tvl_bb: trancheTvl(sample.supplyBB, sample.priceBB, cdo.bb.decimals),
+    contract_value: formatPrice(sample.contractValue, cdo.priceDecimals),
+    asset: cdo.asset?.symbol ?? null,
+  };
+}
+
+/**
+ * Per-tranche performance over a sampled range
+ * @param {Object[]} samples - Samples from sampleCdo in block order
+ * @returns {{aa: Object, bb: Object}} summarizeSeries() stats per tranche plus avgReportedAprPct (mean of
+ *   getApr over the samples, percent) and lastReportedAprPct
+ */
+export function summarizeCdo(samples) {
+  const tranche = (priceKey, aprKey) => {
+    const rows = samples.filter((s) => s[priceKey] != null).map((s) => ({ ...s, price: s[priceKey] }));
+    const times = rows.length ? { firstTs: rows[0].timestamp, lastTs: rows[rows.length - 1].timestamp } : {};
+    const stats = summarizeSeries(rows, times);
+    const aprs = samples
+      .filter((s) => s[aprKey] != null)
+      .map((s) => Number(ethers.formatUnits(s[aprKey], CDO_CONFIG.APR_DECIMALS)));
+    return {
+      ...stats,
+      avgReportedAprPct: aprs.length ? aprs.reduce((a, b) => a + b, 0) / aprs.length : null,
+      lastReportedAprPct: aprs.length ? aprs[aprs.length - 1] : null,
+    };
+  };
+  return { aa: tranche("priceAA", "aprAA"), bb: tranche("priceBB", "aprBB") };
+}
+
+/**
+ * Footer/summary entries for a CDO run
+ * @param {Object} cdo - Result of resolveCdo
+ * @param {Object} summary - Result of summarizeCdo
+ * @param {Object[]} samples - Samples in block order
+ * @returns {Array<[string, any]>} Ordered [label, value] pairs
+ */
+export function cdoSummaryEntries(cdo, summary, samples) {
+  const last = samples[samples.length - 1];
+  const pct = (value) => (value == null ? "n/a" : `${value.toFixed(4)}%`);
+  const entries = [
+    ["CDO", cdo.cdo],
+    ["Asset", cdo.asset ? `${cdo.asset.symbol ?? "?"} ${cdo.asset.address}` : "n/a"],
+  ];
+  for (const [label, key] of [["AA", "aa"], ["BB", "bb"]]) {
+    const s = summary[key];
+    entries.push(
+      [`${label} Tranche`, `${cdo[key].symbol ?? "?"} ${cdo[key].address}`],
+      [`${label} Start Price`, formatPrice(s.firstPriceRaw, cdo.priceDecimals) ?? s.firstPriceRaw ?? "n/a"],
+      [`${label} End Price`, formatPrice(s.lastPriceRaw, cdo.priceDecimals) ?? s.lastPriceRaw ?? "n/a"],
+      [`${label} Total Return`, s.totalReturnPct],
+      [`${label} Realized APR`, s.avgAprPct],
+      [`${label} Reported APR (Avg)`, pct(s.avgReportedAprPct)],
+      [`${label} Reported APR (Last)`, pct(s.lastReportedAprPct)],
+      [`${label} Max Drawdown`, `${s.maxDrawdown.toFixed(2)}%`]
+    );
+  }
+  entries.push(
+    ["AA APR Split (Last)", pct(ratioPct(last?.splitRatio))],
+    ["AA TVL Ratio (Last)", pct(ratioPct(last?.aaRatio))],
+    ["Start Date", samples[0]?.date ?? "n/a"],
+    ["End Date", last?.date ?? "n/a"],
+    ["Observations", samples.length]
+  );
+  return entries;
+}
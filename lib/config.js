@@ -5,15 +5,31 @@
 // RPC and retry configuration
 export const RPC_CONFIG = {
   MAX_RETRIES_PER_PROVIDER: 2,
-  RETRY_DELAY_MS: 500,
+  RETRY_DELAY_MS: 500, // base for exponential backoff (doubles per attempt, with jitter)
+  MAX_RETRY_DELAY_MS: 10000,
+  RATE_LIMIT_DELAY_MS: 2000, // minimum backoff after a rate-limit response
+  CIRCUIT_FAILURE_THRESHOLD: 3, // consecutive failures before an endpoint is skipped
+  CIRCUIT_OPEN_MS: 30000, // first skip period; doubles on each re-open
+  CIRCUIT_MAX_OPEN_MS: 300000,
+  LATENCY_EWMA_ALPHA: 0.2,
+  PROBE_TIMEOUT_MS: 10000,
+  // Blocks behind head probed at startup to measure archive depth (block 1 is probed last for full archive)
+  ARCHIVE_PROBE_DEPTHS: [128, 10000, 1000000],
+  RECENT_STATE_BLOCKS: 128, // state this close to head is served by non-archive nodes too
+  MAX_RPS_PER_PROVIDER: 25, // token-bucket limit per endpoint (0 disables); override with --max-rps
 };
 
-// Network configurations with RPC endpoints and explorer URLs
+// Built-in network configurations with RPC endpoints and explorer URLs
+// aliases: extra names accepted by --chain and matched as app URL path segments (e.g. app.morpho.org/base/...)
+// explorerHosts: extra hosts (beyond the explorer URL's) that identify the chain in pasted URLs
 export const NETWORKS = {
   ethereum: {
     chainId: 1,
     sourcifyChainId: 1,
+    blockTime: 12, // average seconds per block, seeds timestamp -> block search
     explorer: "https://etherscan.io/",
+    aliases: ["mainnet", "eth"],
+    explorerHosts: ["eth.blockscout.com"],
     rpcUrls: [
       "https://ethereum-rpc.publicnode.com/",
       "https://eth.drpc.org",
@@ -23,20 +39,232 @@ export const NETWORKS = {
   base: {
     chainId: 8453,
     sourcifyChainId: 8453,
+    blockTime: 2,
     explorer: "https://basescan.org/",
+    aliases: ["base-mainnet"],
+    explorerHosts: ["base.blockscout.com"],
     rpcUrls: [
       "https://base-rpc.publicnode.com",
       "https://base.lava.build",
       "https://base.drpc.org",
     ],
   },
+  arbitrum: {
+    chainId: 42161,
+    sourcifyChainId: 42161,
+    blockTime: 0.25,
+    explorer: "https://arbiscan.io/",
+    aliases: ["arbitrum-one", "arb", "arb1"],
+    explorerHosts: ["arbitrum.blockscout.com"],
+    rpcUrls: [
+      "https://arbitrum-one-rpc.publicnode.com",
+      "https://arbitrum.drpc.org",
+      "https://arb1.arbitrum.io/rpc",
+    ],
+  },
+  optimism: {
+    chainId: 10,
+    sourcifyChainId: 10,
+    blockTime: 2,
+    explorer: "https://optimistic.etherscan.io/",
+    aliases: ["op", "oeth", "op-mainnet", "optimism-mainnet"],
+    explorerHosts: ["optimism.blockscout.com"],
+    rpcUrls: [
+      "https://optimism-rpc.publicnode.com",
+      "https://optimism.drpc.org",
+      "https://mainnet.optimism.io",
+    ],
+  },
+  polygon: {
+    chainId: 137,
+    sourcifyChainId: 137,
+    blockTime: 2,
+    explorer: "https://polygonscan.com/",
+    aliases: ["matic", "pol", "polygon-pos"],
+    explorerHosts: ["polygon.blockscout.com"],
+    rpcUrls: [
+      "https://polygon-bor-rpc.publicnode.com",
+      "https://polygon.drpc.org",
+      "https://polygon-rpc.com",
+    ],
+  },
+};
+
+// User-defined networks: JSON file ({ "networks": { "<key>": { chainId, explorer, rpcUrls, aliases } } })
+// or the same object inline in an env var; entries for a built-in key override its fields
+export const NETWORK_CONFIG = {
+  CONFIG_ENV: "NETWORKS_CONFIG",
+  JSON_ENV: "NETWORKS_JSON",
+  DEFAULT_CONFIG_FILE: "networks.json",
+};
+
+// Slug-based app URL resolution (lib/resolver.js): the local map file overrides built-in VAULT_SLUGS
+export const RESOLVER_CONFIG = {
+  MAP_ENV: "VAULT_MAP_FILE",
+  DEFAULT_MAP_FILE: "vault-map.json",
+  FETCH_TIMEOUT_MS: 15000,
+  NEAR_SLUG_CHARS: 400, // HTML window around the slug that boosts a candidate address
+  IGNORED_ADDRESSES: [
+    "0x0000000000000000000000000000000000000000",
+    "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE",
+    "0xcA11bde05977b3631167028862bE2a173976CA11",
+  ],
+};
+
+// Known app slugs -> addresses, keyed "<site>:<slug>"; `address` is what discovery should be pointed at
+export const VAULT_SLUGS = {
+  "gauntlet:gpaafalconx": {
+    chain: "ethereum",
+    symbol: "gpAAFalconX",
+    token: "0x00000000d8f3d6c5DFeB2D2b5ED2276095f3aF44",
+    provisioner: "0x21994912f1D286995c4d4961303cBB8E44939944",
+    address: "0x21994912f1D286995c4d4961303cBB8E44939944",
+    note: "Aera vault; priced from Enter/Exit settlements on the vault, provisioner resolved from the token",
+  },
 };
 
 // Price function detection and preference order
 export const PRICE_FUNCTIONS = {
-  standard: ["priceAA", "priceBB", "price", "tokenPrice", "tranchePrice", "pricePerShare", "getPricePerFullShare"],
-  AA: ["priceAA", "priceBB", "price", "tokenPrice", "tranchePrice", "pricePerShare", "getPricePerFullShare"],
-  BB: ["priceBB", "priceAA", "price", "tokenPrice", "tranchePrice", "pricePerShare", "getPricePerFullShare"],
+  standard: ["priceAA", "priceBB", "price", "tokenPrice", "tranchePrice"],
+  AA: ["priceAA", "priceBB", "price", "tokenPrice", "tranchePrice"],
+  BB: ["priceBB", "priceAA", "price", "tokenPrice", "tranchePrice"],
+};
+
+// Yearn-style share price getters (v2/v3 first, then v1)
+export const YEARN_FUNCTIONS = ["pricePerShare", "getPricePerFullShare"];
+
+// Price-source adapter loading: external adapters are tried before built-ins
+export const ADAPTER_CONFIG = {
+  DIR_ENV: "PRICE_ADAPTERS_DIR",
+  CONFIG_ENV: "PRICE_ADAPTERS_CONFIG",
+  DEFAULT_CONFIG_FILE: "adapters.json",
+};
+
+// Underlying asset getters probed on the price source (ERC4626 asset(), Idle CDO / Yearn token(), Compound-style underlying())
+export const ASSET_GETTERS = ["asset", "token", "underlying"];
+
+// Aera-style provisioner (async request/solve) detection and event signatures
+export const PROVISIONER_CONFIG = {
+  DETECT_FUNCTION: "function PRICE_FEE_CALCULATOR() view returns (address)",
+  DETECT_SELECTOR_SIGNATURE: "tokensDetails(address)",
+  VAULT_GETTERS: ["MULTI_DEPOSITOR_VAULT", "VAULT"],
+  PROVISIONER_GETTERS: ["provisioner"], // read on a vault token input to find its provisioner
+  DEFAULT_UNIT_DECIMALS: 18,
+  EVENTS: [
+    "event DepositRequested(address indexed user, address indexed token, uint256 tokensIn, uint256 minUnitsOut, uint256 solverTip, uint256 deadline, uint256 maxPriceAge, bool isFixedPrice, bytes32 depositRequestHash)",
+    "event RedeemRequested(address indexed user, address indexed token, uint256 minTokensOut, uint256 unitsIn, uint256 solverTip, uint256 deadline, uint256 maxPriceAge, bool isFixedPrice, bytes32 redeemRequestHash)",
+    "event DepositSolved(bytes32 indexed depositHash)",
+    "event RedeemSolved(bytes32 indexed redeemHash)",
+  ],
+  // Emitted by the vault when the provisioner mints/burns units; the settled amounts price the series
+  VAULT_EVENTS: [
+    "event Enter(address indexed sender, address indexed recipient, address indexed token, uint256 tokenAmount, uint256 unitsAmount)",
+    "event Exit(address indexed sender, address indexed recipient, address indexed token, uint256 tokenAmount, uint256 unitsAmount)",
+  ],
+};
+
+// Upgradeable proxy detection (EIP-1967 storage slots) and implementation history
+export const PROXY_CONFIG = {
+  IMPLEMENTATION_SLOT: "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc",
+  BEACON_SLOT: "0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50",
+  ADMIN_SLOT: "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103",
+  // keccak256("org.zeppelinos.proxy.implementation"), pre-EIP-1967 OpenZeppelin proxies
+  LEGACY_IMPLEMENTATION_SLOT: "0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3",
+  UUPS_SELECTOR_SIGNATURE: "proxiableUUID()",
+  EVENTS: [
+    "event Upgraded(address indexed implementation)",
+    "event BeaconUpgraded(address indexed beacon)",
+  ],
+};
+
+// Bytecode selector analysis (discovery fallback when no known adapter matches)
+export const SELECTOR_CONFIG = {
+  MAX_PROXY_DEPTH: 3,
+  // View names that look like a share price, best first; matched case-insensitively as substrings
+  PRICE_NAME_PATTERNS: ["pricepershare", "shareprice", "price", "toassets", "pershare", "pooledeth", "exchangerate", "getrate", "virtualprice", "nav"],
+  // Names that contain a pattern above but are not prices
+  PRICE_NAME_EXCLUDES: ["fee", "cap", "max", "min", "limit", "timeout", "age", "oracle", "calculator"],
+};
+
+// Multicall3 batching for historical sampling (same address on every supported chain)
+export const MULTICALL_CONFIG = {
+  ADDRESS: "0xcA11bde05977b3631167028862bE2a173976CA11",
+  BATCH_SIZE: 25, // blocks per JSON-RPC batch
+};
+
+// Historical sampling
+export const SAMPLER_CONFIG = {
+  CONCURRENCY: 4, // sample batches in flight; override with --concurrency
+  // --mode events: logs that only move balances, never the share price
+  IGNORED_EVENTS: ["Transfer(address,address,uint256)", "Approval(address,address,uint256)"],
+};
+
+// Analytics report defaults (scripts/analytics.js)
+export const ANALYTICS_CONFIG = {
+  ROLLING_WINDOWS_DAYS: [7, 30, 90], // override with --windows 7,30,90
+  ROLLING_MAX_STRETCH: 1.5, // skip rolling points whose nearest base sample is further back than this many windows
+  RISK_FREE_RATE_PCT: 0, // annual, percent; override with --risk-free
+  TOP_DRAWDOWNS: 5,
+};
+
+// Anomaly flags raised after a backfill; any new one makes the run exit with EXIT_CODE
+export const ANOMALY_CONFIG = {
+  STALL_DAYS: 3, // flag unchanged price spanning more days than this; override with --stall-days
+  STALL_CADENCE_FACTOR: 1.5, // ... or this many times the median gap between price changes (epoch vaults)
+  STALL_MIN_UPDATES: 3, // price changes needed before the cadence is trusted
+  APR_WINDOW_DAYS: 30, // trailing window an interval APR is compared against
+  APR_MIN_POINTS: 7, // trailing intervals needed before outliers are judged
+  APR_OUTLIER_MADS: 5, // deviation from the trailing median, in scaled median absolute deviations
+  APR_MIN_DEVIATION_PCT: 5, // ... and at least this many APR percentage points
+  EXIT_CODE: 3, // 1 stays reserved for errors
+};
+
+// Watch command: polling interval, default alert rules and webhook delivery
+export const WATCH_CONFIG = {
+  INTERVAL_SEC: 60, // head poll interval; override with --interval
+  RULES: {
+    priceDecrease: true, // price read at the new head below the previous read
+    anomalies: true, // new drops/stalls/APR outliers in the appended daily points (see ANOMALY_CONFIG)
+    poolDegraded: true, // fewer healthy endpoints than minHealthyEndpoints (default: every endpoint)
+    minHealthyEndpoints: null,
+    minAprPct: null, // trailing APR below this percent; null disables
+    aprWindowDays: 7,
+    depositCapPct: null, // deposits at or above this percent of the cap; null disables
+  },
+  WEBHOOK_TIMEOUT_MS: 10000,
+  WEBHOOK_RETRIES: 2,
+  WEBHOOK_RETRY_DELAY_MS: 1000,
+};
+
+// Holders command: balances replayed from Transfer logs
+export const HOLDERS_CONFIG = {
+  TOP_N: 10, // holders listed per snapshot; override with --top
+  SNAPSHOT_INTERVALS: ["daily", "weekly", "monthly"],
+  // Burn sinks left out of holder counts and concentration (their balances still count toward the supply check)
+  EXCLUDED_ADDRESSES: ["0x000000000000000000000000000000000000dEaD"],
+};
+
+// Tranche CDO view (cdo command): scales of the CDO's reported APR and ratio getters
+export const CDO_CONFIG = {
+  APR_DECIMALS: 18, // getApr(tranche) is a percentage with 18 decimals (1e18 = 1%)
+  FULL_ALLOC: 100000, // trancheAPRSplitRatio() and getCurrentAARatio() scale (100000 = 100% to AA)
+};
+
+// HTTP API (serve command): listen address, local store and on-demand refresh
+export const API_CONFIG = {
+  HOST: "127.0.0.1",
+  PORT: 8787,
+  STORE_DIR: "data", // per-vault price files plus the vaults.json index
+  STORE_FORMAT: "csv",
+  REFRESH_SEC: 300, // a vault behind the requested range is re-sampled at most this often
+  MAX_BODY_BYTES: 65536,
+};
+
+// Persistent RPC response cache for immutable historical queries
+export const CACHE_CONFIG = {
+  DEFAULT_DIR: ".cache/rpc",
+  DIR_ENV: "RPC_CACHE_DIR",
+  REORG_SAFETY_BLOCKS: 128, // only cache blocks at least this far behind the observed head
 };
 
 // Error detection patterns for RPC retry logic
@@ -54,17 +282,53 @@ export const RETRIABLE_ERROR_PATTERNS = [
   "too many requests",
   "historical state",
   "not available",
+  "econnrefused",
+  "econnreset",
+  "enotfound",
+  "etimedout",
+  "socket hang up",
+  "fetch failed",
+];
+
+// Errors meaning the endpoint has pruned the requested state (route to an archive node, don't retry here)
+export const ARCHIVE_ERROR_PATTERNS = [
+  "missing trie node",
+  "historical state",
+  "state not available",
+  "state is not available",
+  "pruned",
+  "archive",
+  "old data not available",
+];
+
+// Errors meaning the endpoint is throttling us (longer backoff, counted separately in stats)
+export const RATE_LIMIT_PATTERNS = ["429", "rate limit", "too many requests", "request limit", "free tier", "compute units"];
+
+// eth_getLogs errors meaning the block range or result set was too large (shrink the chunk and retry)
+export const LOG_RANGE_ERROR_PATTERNS = [
+  "block range",
+  "range is too large",
+  "range too large",
+  "range too wide",
+  "query returned more than",
+  "more than 10000 results",
+  "too many results",
+  "response size",
+  "log response",
+  "exceeds max results",
 ];
 
 // Query configuration for event dumping
 export const QUERY_CONFIG = {
   LOG_CHUNK_SIZE: 50000, // blocks per query to avoid timeouts
+  MIN_LOG_CHUNK_SIZE: 1, // getLogsChunked halves the chunk down to this on range/result-size errors
+  // Decoded when the contract's ABI (and its implementation's, for proxies) lacks them or is unavailable
+  COMMON_EVENTS: [
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Approval(address indexed owner, address indexed spender, uint256 value)",
+    "event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)",
+    "event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)",
+    "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  ],
   SOURCIFY_TIMEOUT_MS: 10000,
 };
-
-// Chain key normalization mappings
-export const CHAIN_ALIASES = {
-  mainnet: "ethereum",
-  eth: "ethereum",
-  "base-mainnet": "base",
-};
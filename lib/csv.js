@@ -0,0 +1,129 @@
+/**
+ * Price history CSV reading/writing and resume checkpoints
+ */
+
+import fs from "fs";
+
+// price is the exact raw uint256; price_decimal is price / 10^priceDecimals in the asset's units.
+// total_supply (share units) and total_assets (asset units) are raw reads; tvl is total_supply * price
+// in price units, so tvl_decimal is in the asset's units like price_decimal. Supply columns may be empty.
+export const PRICE_COLUMNS = [
+  "date",
+  "block",
+  "price",
+  "delta",
+  "price_decimal",
+  "asset",
+  "total_supply",
+  "total_assets",
+  "tvl",
+  "tvl_decimal",
+];
+
+/**
+ * Parse a price history CSV (rows plus optional "# Summary" footer)
+ * Lines that do not parse (e.g. a partial last row from a killed run) are skipped.
+ * @param {string} text - File contents
+ * @returns {{columns: string[], rows: Object[], summary: Object}} Parsed file; rows carry
+ *   typed date/block/price/delta plus every column's raw string under `raw`
+ */
+export function parsePriceCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const columns = (lines[0] || "").split(",").map((c) => c.trim());
+  if (!columns.includes("block") || !columns.includes("price")) {
+    throw new Error("not a price history csv: header must include block and price");
+  }
+
+  const rows = [];
+  const summary = {};
+  for (const line of lines.slice(1)) {
+    if (!line.trim()) continue;
+    if (line.startsWith("#")) {
+      const m = line.match(/^#\s*([^:]+):\s?(.*)$/);
+      if (m) summary[m[1].trim()] = m[2].trim();
+      continue;
+    }
+    const cells = line.split(",");
+    if (cells.length !== columns.length) continue;
+
+    const raw = Object.fromEntries(columns.map((c, i) => [c, cells[i]]));
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(raw.date) || !/^\d+$/.test(raw.block) || !/^-?\d+$/.test(raw.price)) continue;
+    rows.push({
+      date: raw.date,
+      block: Number(raw.block),
+      price: BigInt(raw.price),
+      delta: /^-?\d+$/.test(raw.delta || "") ? BigInt(raw.delta) : 0n,
+      raw,
+    });
+  }
+  return { columns, rows, summary };
+}
+
+/**
+ * Format one CSV row for the given columns (RFC 4180 quoting)
+ * @param {string[]} columns - Column names
+ * @param {Object} row - Row values keyed by column
+ * @returns {string} CSV line with trailing newline
+ */
+export function formatCsvRow(columns, row) {
+  return `${columns.map((c) => csvField(row[c])).join(",")}\n`;
+}
+
+/**
+ * Serialize one CSV field, quoting values that contain separators, quotes or newlines
+ * @private
+ */
+function csvField(value) {
+  if (value == null) return "";
+  const text = value.toString();
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format the "# Summary" footer
+ * @param {Array<[string, any]>} entries - Ordered [label, value] pairs
+ * @returns {string} Footer text
+ */
+export function formatSummary(entries) {
+  return `\n# Summary\n${entries.map(([label, value]) => `# ${label}: ${value}\n`).join("")}`;
+}
+
+/**
+ * Path of the resume checkpoint written next to an output file
+ * @param {string} outfile - Output file path
+ * @returns {string} Checkpoint path
+ */
+export function checkpointPath(outfile) {
+  return `${outfile}.checkpoint.json`;
+}
+
+/**
+ * Read resume checkpoint if present
+ * @param {string} file - Checkpoint path (see checkpointPath)
+ * @returns {Object|null} Checkpoint data or null
+ */
+export function readCheckpoint(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write resume checkpoint (after each flushed batch of rows)
+ * @param {string} file - Checkpoint path
+ * @param {Object} data - Checkpoint data
+ */
+export function writeCheckpoint(file, data) {
+  fs.writeFileSync(file, JSON.stringify({ ...data, updatedAt: new Date().toISOString() }, null, 2));
+}
+
+/**
+ * Remove resume checkpoint once the summary has been written
+ * @param {string} file - Checkpoint path
+ */
+export function clearCheckpoint(file) {
+  fs.rmSync(file, { force: true });
+}
@@ -7,6 +7,9 @@ import { ethers } from "ethers";
 import { tryCall, isValidAddress } from "./utils.js";
 import { PRICE_FUNCTIONS, QUERY_CONFIG } from "./config.js";
 import { rpcCall } from "./provider.js";
+import { getAdapters, resolveDiscoveryAsset } from "./adapters/index.js";
+import { analyzeContract, probePriceCandidates, describeAnalysis } from "./bytecode.js";
+import { detectProxy } from "./proxy.js";
 
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY;
 
@@ -28,7 +31,7 @@ export async function resolveMinter(tokenAddress, blockTag = "latest") {
   if (!isValidAddress(res.value)) return null;
 
   const checksum = ethers.getAddress(res.value);
-  const code = await rpcCall((p) => p.getCode(checksum, blockTag));
+  const code = await rpcCall((p) => p.getCode(checksum, blockTag), { blockTag });
   return code && code !== "0x" ? checksum : null;
 }
 
@@ -64,76 +67,108 @@ export function preferredFunctionsFromSymbol(symbol) {
 }
 
 /**
- * Discover price source (contract and function) from input address
+ * Discover price source by running detection for every registered adapter
  * @param {string} inputAddress - Input contract or token address
- * @param {Object} opts - Options with optional priceFn override
- * @returns {Promise<Object>} Discovery result with sourceAddress, sourceFunction, mode, etc.
- * @throws {Error} If price source cannot be discovered
+ * @param {Object} opts - Options with optional priceFn override, adapter name, and listAll flag
+ *   listAll runs every adapter (for --discoverOnly) instead of stopping at the first match
+ * @returns {Promise<Object>} Discovery result with sourceAddress, sourceFunction, mode, asset fields, proxy, matches, etc.
+ * @throws {Error} If no adapter matches
  */
-export async function discoverPriceSource(inputAddress, opts) {
+export async function discoverPriceSource(inputAddress, opts = {}) {
   const latest = await rpcCall((p) => p.getBlockNumber());
   const tokenSymbol = await resolveTokenSymbol(inputAddress, latest);
   const minter = await resolveMinter(inputAddress, latest);
 
-  const candidates = [];
-  if (minter) candidates.push({ address: minter, hint: "minter" });
-  candidates.push({ address: inputAddress, hint: "input" });
-
-  const functionOrder = opts.priceFn ? [opts.priceFn] : preferredFunctionsFromSymbol(tokenSymbol);
-
-  // Try direct price functions
-  for (const c of candidates) {
-    for (const fn of functionOrder) {
-      const sig = `function ${fn}() view returns (uint256)`;
-      const probe = await tryCall(c.address, sig, fn, [], latest);
-      if (probe.ok) {
-        return {
-          sourceAddress: c.address,
-          sourceFunction: fn,
-          mode: "direct",
-          tokenAddress: inputAddress,
-          tokenSymbol,
-          minterAddress: minter,
-        };
+  const inspected = new Map();
+  const ctx = {
+    inputAddress,
+    tokenSymbol,
+    minterAddress: minter,
+    blockTag: latest,
+    functionOrder: opts.priceFn ? [opts.priceFn] : preferredFunctionsFromSymbol(tokenSymbol),
+    opts,
+    inspectBytecode(address) {
+      if (!inspected.has(address)) {
+        inspected.set(
+          address,
+          analyzeContract(address, latest).then(async (analysis) => ({
+            ...analysis,
+            candidates: await probePriceCandidates(analysis, latest),
+          }))
+        );
       }
+      return inspected.get(address);
+    },
+  };
+
+  let adapters = getAdapters();
+  if (opts.adapter) {
+    adapters = adapters.filter((a) => a.name === opts.adapter);
+    if (!adapters.length) {
+      throw new Error(`unknown adapter: ${opts.adapter}; available: ${getAdapters().map((a) => a.name).join(", ")}`);
     }
   }
 
-  // Try ERC4626 convertToAssets
-  for (const c of candidates) {
-    const dec = await tryCall(c.address, "function decimals() view returns (uint8)", "decimals", [], latest);
-    if (!dec.ok) continue;
-
-    const decimals = Number(dec.value);
-    if (!Number.isFinite(decimals) || decimals < 0 || decimals > 30) continue;
-
-    const oneShare = 10n ** BigInt(decimals);
-    const probe = await tryCall(
-      c.address,
-      "function convertToAssets(uint256) view returns (uint256)",
-      "convertToAssets",
-      [oneShare],
-      latest
-    );
-    if (probe.ok) {
-      return {
-        sourceAddress: c.address,
-        sourceFunction: "convertToAssets",
-        mode: "erc4626",
-        oneShare,
-        shareDecimals: decimals,
+  const matches = [];
+  const rejections = [];
+  for (const adapter of adapters) {
+    let result;
+    try {
+      result = await adapter.detect(ctx);
+    } catch (err) {
+      result = { matched: false, reason: `detect failed: ${err.shortMessage || err.message}` };
+    }
+    if (!result?.matched) {
+      rejections.push({ adapter: adapter.name, reason: result?.reason || "no match" });
+      continue;
+    }
+    matches.push({
+      adapter: adapter.name,
+      reason: result.reason,
+      discovery: {
+        ...result.discovery,
+        mode: adapter.name,
         tokenAddress: inputAddress,
         tokenSymbol,
         minterAddress: minter,
-      };
+      },
+    });
+    if (!opts.listAll) break;
+  }
+
+  // Report what the selector scan saw whenever listing or failing, even if the bytecode adapter was skipped
+  const bytecode = [];
+  if (opts.listAll || !matches.length) {
+    for (const address of [inputAddress, minter].filter(Boolean)) {
+      try {
+        bytecode.push(await ctx.inspectBytecode(address));
+      } catch {
+        // analysis is best-effort reporting
+      }
     }
   }
 
-  throw new Error(
-    `could not discover price source for ${inputAddress}; tried candidates: ${candidates
-      .map((c) => c.address)
-      .join(", ")}`
-  );
+  if (!matches.length) {
+    const tried = rejections.map((r) => `${r.adapter} (${r.reason})`).join("; ");
+    const seen = bytecode.map((a) => {
+      const names = a.functions.map((f) => f.fragment.name);
+      return `${describeAnalysis(a)}${names.length ? `; functions: ${names.join(", ")}` : ""}`;
+    });
+    throw new Error(
+      `could not discover price source for ${inputAddress}; tried adapters: ${tried}` +
+        (seen.length ? `; bytecode: ${seen.join(" | ")}` : "")
+    );
+  }
+
+  const discovery = { ...matches[0].discovery, matches, rejections, bytecode };
+  Object.assign(discovery, await resolveDiscoveryAsset(discovery, latest));
+  // Calls go through the proxy address either way; the pattern is recorded so upgrades can be tracked
+  try {
+    discovery.proxy = await detectProxy(discovery.sourceAddress, undefined, latest);
+  } catch {
+    discovery.proxy = null;
+  }
+  return discovery;
 }
 
 /**
@@ -0,0 +1,254 @@
+/**
+ * Event log export: ABI loading, topic filters, decoding and CSV/NDJSON/address-list output
+ *
+ * Events are decoded with the contract's ABI (Etherscan, then Sourcify), the current implementation's ABI
+ * when the contract is a proxy, an optional local ABI file and QUERY_CONFIG.COMMON_EVENTS. Logs no fragment
+ * matches are still exported, with their raw topics and data.
+ */
+
+import fs from "fs";
+import { ethers } from "ethers";
+
+import { QUERY_CONFIG } from "./config.js";
+import { getAbiForAddress } from "./discovery.js";
+import { detectProxy } from "./proxy.js";
+import { formatCsvRow } from "./csv.js";
+
+export const EVENT_FORMATS = ["csv", "ndjson", "addresses"];
+
+const BASE_COLUMNS = ["block", "timestamp", "datetime", "tx_hash", "log_index", "address", "event"];
+const RAW_COLUMNS = ["topics", "data"];
+const EXTENSION_FORMATS = { csv: "csv", ndjson: "ndjson", jsonl: "ndjson", txt: "addresses" };
+
+/**
+ * Event fragments of an ABI (JSON array or human-readable strings)
+ * @private
+ */
+function eventFragments(abi) {
+  return new ethers.Interface(abi).fragments.filter((f) => f.type === "event");
+}
+
+/**
+ * Build the interface used to decode a contract's events
+ * The first fragment for each signature wins: local ABI file, contract, implementation, then common events.
+ * @param {string} address - Contract address
+ * @param {Object} chainCfg - Chain configuration object
+ * @param {Object} opts - { abiFile }
+ * @returns {Promise<{iface: ethers.Interface, sources: string[]}>} Interface and where its events came from
+ */
+export async function loadEventInterface(address, chainCfg, opts = {}) {
+  const sources = [];
+  const layers = [];
+  if (opts.abiFile) {
+    const parsed = JSON.parse(fs.readFileSync(opts.abiFile, "utf8"));
+    layers.push(Array.isArray(parsed) ? parsed : parsed.abi);
+    sources.push(`file ${opts.abiFile}`);
+  }
+  const abi = await getAbiForAddress(address, chainCfg);
+  if (abi.length) {
+    layers.push(abi);
+    sources.push(`contract ${address}`);
+  }
+  const proxy = await detectProxy(address);
+  if (proxy) {
+    const implAbi = await getAbiForAddress(proxy.implementation, chainCfg);
+    if (implAbi.length) {
+      layers.push(implAbi);
+      sources.push(`${proxy.kind} implementation ${proxy.implementation}`);
+    }
+  }
+  layers.push(QUERY_CONFIG.COMMON_EVENTS);
+  sources.push("common events");
+
+  const bySignature = new Map();
+  for (const layer of layers) {
+    for (const fragment of eventFragments(layer)) {
+      if (!bySignature.has(fragment.topicHash)) bySignature.set(fragment.topicHash, fragment);
+    }
+  }
+  return { iface: new ethers.Interface([...bySignature.values()]), sources };
+}
+
+/**
+ * Resolve --event values to topic0 hashes
+ * Each value is an event name known to the interface ("Transfer"), a full signature
+ * ("Transfer(address,address,uint256)") or a 32-byte topic hash.
+ * @param {ethers.Interface} iface - Interface from loadEventInterface
+ * @param {string[]} specs - Event specs
+ * @returns {string[]} Topic hashes
+ * @throws {Error} If a name is unknown or ambiguous
+ */
+export function resolveEventTopics(iface, specs) {
+  return specs.map((spec) => {
+    if (/^0x[0-9a-fA-F]{64}$/.test(spec)) return spec.toLowerCase();
+    if (spec.includes("(")) return ethers.EventFragment.from(spec).topicHash;
+    let fragment;
+    try {
+      fragment = iface.getEvent(spec);
+    } catch (err) {
+      throw new Error(`event ${spec} is ambiguous; pass its full signature (${err.shortMessage || err.message})`);
+    }
+    if (!fragment) {
+      const known = [];
+      iface.forEachEvent((f) => known.push(f.name));
+      throw new Error(`unknown event ${spec}; known: ${known.join(", ") || "none"} (or pass a signature or topic)`);
+    }
+    return fragment.topicHash;
+  });
+}
+
+/**
+ * Named arguments of a decoded event (unnamed inputs become arg0, arg1, ...)
+ * @private
+ */
+function namedArgs(fragment, args) {
+  const out = {};
+  fragment.inputs.forEach((input, i) => {
+    out[input.name || `arg${i}`] = plainValue(args[i]);
+  });
+  return out;
+}
+
+/**
+ * Convert decoded values to JSON-safe values (bigints as decimal strings, nested results as arrays)
+ * @private
+ */
+function plainValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return [...value].map(plainValue);
+  return value;
+}
+
+/**
+ * Decode one log into an export record
+ * @param {ethers.Interface} iface - Interface from loadEventInterface
+ * @param {Object} log - Log from getLogs
+ * @param {number} timestamp - Block timestamp (seconds)
+ * @returns {Object} { block, timestamp, datetime, tx_hash, log_index, address, event, signature, args } plus
+ *   topics and data when no fragment decodes the log (event, signature and args are then null)
+ */
+export function eventRecord(iface, log, timestamp) {
+  let parsed = null;
+  try {
+    parsed = iface.parseLog({ topics: [...log.topics], data: log.data });
+  } catch {
+    // topic matched but the data does not decode (different indexed layout); export raw
+  }
+  const record = {
+    block: log.blockNumber,
+    timestamp,
+    datetime: new Date(timestamp * 1000).toISOString(),
+    tx_hash: log.transactionHash,
+    log_index: log.index,
+    address: ethers.getAddress(log.address),
+    event: parsed?.name ?? null,
+    signature: parsed?.signature ?? null,
+    args: parsed ? namedArgs(parsed.fragment, parsed.args) : null,
+  };
+  if (!parsed) Object.assign(record, { topics: [...log.topics], data: log.data });
+  return record;
+}
+
+/**
+ * Argument columns for CSV output: the union of input names over the selected events, in ABI order
+ * @param {ethers.Interface} iface - Interface from loadEventInterface
+ * @param {string[]|null} topics - Selected topic hashes (null for every event)
+ * @returns {string[]} Column names
+ */
+export function argColumns(iface, topics) {
+  const columns = [];
+  iface.forEachEvent((fragment) => {
+    if (topics && !topics.includes(fragment.topicHash)) return;
+    fragment.inputs.forEach((input, i) => {
+      const name = input.name || `arg${i}`;
+      if (!columns.includes(name)) columns.push(name);
+    });
+  });
+  return columns;
+}
+
+/**
+ * Addresses a record mentions: address-typed args, or address-shaped topics of raw logs
+ * @param {Object} record - Result of eventRecord
+ * @returns {string[]} Checksummed addresses
+ */
+export function recordAddresses(record) {
+  const out = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) value.forEach(visit);
+    else if (typeof value === "string" && ethers.isAddress(value)) out.push(ethers.getAddress(value));
+  };
+  if (record.args) {
+    Object.values(record.args).forEach(visit);
+  } else {
+    for (const topic of record.topics.slice(1)) {
+      // a left-padded 20-byte value
+      if (/^0x0{24}[0-9a-fA-F]{40}$/.test(topic)) out.push(ethers.getAddress(`0x${topic.slice(26)}`));
+    }
+  }
+  return out;
+}
+
+/**
+ * Pick the export format from explicit option or output file extension (default csv)
+ * @param {string|undefined} format - Requested format
+ * @param {string|undefined} outfile - Output path
+ * @returns {string} Format name
+ * @throws {Error} If format is unknown
+ */
+export function resolveEventFormat(format, outfile) {
+  if (format) {
+    const f = format.toLowerCase();
+    if (!EVENT_FORMATS.includes(f)) {
+      throw new Error(`unsupported format: ${format}; supported: ${EVENT_FORMATS.join(", ")}`);
+    }
+    return f;
+  }
+  const ext = (outfile || "").split(".").pop().toLowerCase();
+  return EXTENSION_FORMATS[ext] || "csv";
+}
+
+/**
+ * Create an event writer
+ * csv: base columns, one column per argument name (arrays as JSON), then raw topics/data for undecoded logs
+ * (which also carry the row's base fields);
+ * ndjson: one record per line; addresses: sorted unique addresses, written on finish
+ * @param {string} format - See EVENT_FORMATS
+ * @param {Object} opts - { path, argColumns }
+ * @returns {Object} Writer with append(records) and finish() returning { records, addresses }
+ */
+export function createEventWriter(format, opts) {
+  const file = opts.path;
+  const addresses = new Set();
+  let records = 0;
+  // arguments named like a base column (e.g. "data") get an arg_ prefix
+  const argKey = (name) => (BASE_COLUMNS.includes(name) || RAW_COLUMNS.includes(name) ? `arg_${name}` : name);
+  const columns = [...BASE_COLUMNS, ...(opts.argColumns || []).map(argKey), ...RAW_COLUMNS];
+
+  if (format === "csv") fs.writeFileSync(file, `${columns.join(",")}\n`);
+  else if (format === "ndjson") fs.writeFileSync(file, "");
+
+  const csvLine = (record) => {
+    const row = { ...record, topics: record.topics?.join(" ") };
+    for (const [name, value] of Object.entries(record.args || {})) {
+      row[argKey(name)] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+    return formatCsvRow(columns, row);
+  };
+
+  return {
+    path: file,
+
+    append(batch) {
+      records += batch.length;
+      for (const record of batch) recordAddresses(record).forEach((a) => addresses.add(a));
+      if (format === "csv") fs.appendFileSync(file, batch.map(csvLine).join(""));
+      else if (format === "ndjson") fs.appendFileSync(file, batch.map((r) => `${JSON.stringify(r)}\n`).join(""));
+    },
+
+    finish() {
+      if (format === "addresses") fs.writeFileSync(file, [...addresses].sort().join("\n"));
+      return { records, addresses: addresses.size };
+    },
+  };
+}
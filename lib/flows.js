@@ -0,0 +1,362 @@
+/**
+ * Deposit/withdrawal flows from vault events, aggregated per UTC day
+ *
+ * Each adapter names the logs that count as flows (see flowSourcesFor): ERC4626 Deposit/Withdraw, share mints
+ * and burns (Transfer from/to the zero address) for tranche and other share tokens, or a provisioner's settlements
+ * (Enter/Exit on its vault, or solved requests when it exposes no vault). Events that carry underlying amounts are
+ * used as-is; share amounts are valued at the share price read at the event's block, so every flow ends up in the
+ * same asset units as the price CSV.
+ */
+
+import { ethers } from "ethers";
+
+import { QUERY_CONFIG, PROVISIONER_CONFIG } from "./config.js";
+import { getLogsChunked } from "./provider.js";
+import { getBlockHeaders } from "./multicall.js";
+import { sampleBlocks, chunkBlocks } from "./sampler.js";
+import { flowSourcesFor } from "./adapters/index.js";
+import { resolveTokenMetadata, formatPrice } from "./assets.js";
+
+const DAY_SECONDS = 86400;
+
+export const FLOW_COLUMNS = [
+  "date",
+  "inflow",
+  "outflow",
+  "net_flow",
+  "deposits",
+  "withdrawals",
+  "unique_depositors",
+  "unique_withdrawers",
+  "largest_inflow",
+  "largest_outflow",
+  "asset",
+];
+
+/**
+ * Interface holding the named event fragments from an event signature list
+ * @private
+ */
+function eventInterface(signatures, names) {
+  return new ethers.Interface(signatures.filter((s) => names.some((n) => s.startsWith(`event ${n}(`))));
+}
+
+/**
+ * Whether a token is the discovery's asset, i.e. its amounts need no valuation
+ * @private
+ */
+function isAssetToken(discovery, token) {
+  return Boolean(discovery.assetAddress) && token.toLowerCase() === discovery.assetAddress.toLowerCase();
+}
+
+/**
+ * Flow kinds by name: the event interface to fetch and a decoder from a parsed log to
+ * { direction: "in"|"out", account, assets?, shares? } (null when the log is not a flow)
+ * A decoder may also hold a flow back until it settles: { ..., request: hash } is counted only once a later log
+ * decodes to { settles: hash }, at that log's block.
+ */
+export const FLOW_KINDS = {
+  "mint-burn": {
+    iface: eventInterface(QUERY_CONFIG.COMMON_EVENTS, ["Transfer"]),
+    decode(parsed) {
+      const [from, to, value] = parsed.args;
+      if (from === to) return null;
+      if (from === ethers.ZeroAddress) return { direction: "in", account: to, shares: value };
+      if (to === ethers.ZeroAddress) return { direction: "out", account: from, shares: value };
+      return null;
+    },
+  },
+  erc4626: {
+    iface: eventInterface(QUERY_CONFIG.COMMON_EVENTS, ["Deposit", "Withdraw"]),
+    decode(parsed) {
+      const direction = parsed.name === "Deposit" ? "in" : "out";
+      return { direction, account: parsed.args.owner, assets: parsed.args.assets, shares: parsed.args.shares };
+    },
+  },
+  // The provisioner's solves on its vault: Enter mints units for a deposit, Exit burns them for a redeem
+  "provisioner-settlements": {
+    iface: eventInterface(PROVISIONER_CONFIG.VAULT_EVENTS, ["Enter", "Exit"]),
+    decode(parsed, discovery) {
+      const { sender, recipient, token, tokenAmount, unitsAmount } = parsed.args;
+      // other callers may enter the vault directly; only the provisioner's solves are depositor flows
+      if (sender.toLowerCase() !== discovery.sourceAddress.toLowerCase()) return null;
+      const direction = parsed.name === "Enter" ? "in" : "out";
+      // Amounts in the price token are exact; other tokens are valued from the units settled
+      if (isAssetToken(discovery, token)) return { direction, account: recipient, assets: tokenAmount };
+      return { direction, account: recipient, shares: unitsAmount };
+    },
+  },
+  // Fallback for provisioners without a known vault: requests count once solved; refunded ones never do
+  "provisioner-requests": {
+    iface: eventInterface(PROVISIONER_CONFIG.EVENTS, [
+      "DepositRequested",
+      "RedeemRequested",
+      "DepositSolved",
+      "RedeemSolved",
+    ]),
+    decode(parsed, discovery) {
+      if (parsed.name === "DepositSolved" || parsed.name === "RedeemSolved") return { settles: parsed.args[0] };
+      const { user, token, isFixedPrice } = parsed.args;
+      if (parsed.name === "RedeemRequested") {
+        return { direction: "out", account: user, shares: parsed.args.unitsIn, request: parsed.args.redeemRequestHash };
+      }
+      const deposit = { direction: "in", account: user, request: parsed.args.depositRequestHash };
+      if (isAssetToken(discovery, token)) return { ...deposit, assets: parsed.args.tokensIn };
+      // minUnitsOut is only a slippage bound unless the request is fixed-price; otherwise the deposit is unvalued
+      return { ...deposit, shares: isFixedPrice ? parsed.args.minUnitsOut : null };
+    },
+  },
+};
+
+/**
+ * Rescale a raw amount between decimal bases
+ * @private
+ */
+function rescale(value, fromDecimals, toDecimals) {
+  if (fromDecimals === toDecimals) return value;
+  if (toDecimals > fromDecimals) return value * 10n ** BigInt(toDecimals - fromDecimals);
+  return value / 10n ** BigInt(fromDecimals - toDecimals);
+}
+
+/**
+ * Collect a discovery's flows in a block range (runs in the active provider pool; prepareAdapter must have run)
+ * @param {Object} discovery - Discovery result
+ * @param {Object} opts - { fromBlock, toBlock, chunkSize, batchSize, multicall, onChunk, onShrink }
+ *   onChunk(source, range, flows) reports progress per log chunk
+ * @returns {Promise<Object>} { flows, sources, amountDecimals, unpriced } where each flow is { block, timestamp,
+ *   date, txHash, logIndex, kind, direction, account, amount } (amount in asset units, null when no share price
+ *   existed at the block or the event carries no settled amount; unpriced counts those). Held-back requests
+ *   (see FLOW_KINDS) made before fromBlock or not yet settled by toBlock are not counted.
+ * @throws {Error} If the adapter names no flow sources
+ */
+export async function collectFlows(discovery, opts) {
+  const sources = flowSourcesFor(discovery);
+  if (!sources.length) throw new Error(`${discovery.mode} sources have no deposit/withdrawal events`);
+  const amountDecimals = discovery.assetDecimals ?? discovery.priceDecimals ?? null;
+
+  const flows = [];
+  for (const source of sources) {
+    const kind = FLOW_KINDS[source.kind];
+    if (!kind) throw new Error(`unknown flow kind ${source.kind}; supported: ${Object.keys(FLOW_KINDS).join(", ")}`);
+    const shareDecimals = source.shareDecimals ?? (await resolveTokenMetadata(source.address)).decimals;
+    const topics = kind.iface.fragments.map((f) => f.topicHash);
+    const filter = { address: source.address, topics: [topics] };
+    const requests = new Map();
+    await getLogsChunked(filter, opts.fromBlock, opts.toBlock, opts.chunkSize, {
+      onShrink: opts.onShrink,
+      onChunk: (logs, range) => {
+        let found = 0;
+        for (const log of logs) {
+          let parsed;
+          try {
+            parsed = kind.iface.parseLog(log);
+          } catch {
+            continue;
+          }
+          let flow = parsed && kind.decode(parsed, discovery);
+          if (flow?.request) {
+            requests.set(flow.request, flow);
+            continue;
+          }
+          if (flow?.settles) {
+            flow = requests.get(flow.settles);
+            requests.delete(flow?.request);
+          }
+          if (!flow) continue;
+          flows.push({
+            block: log.blockNumber,
+            txHash: log.transactionHash,
+            logIndex: log.index ?? log.logIndex,
+            kind: source.kind,
+            direction: flow.direction,
+            account: ethers.getAddress(flow.account),
+            assets: flow.assets ?? null,
+            shares: flow.shares ?? null,
+            shareDecimals,
+          });
+          found += 1;
+        }
+        opts.onChunk?.(source, range, found);
+      },
+    });
+  }
+  flows.sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+
+  // Share amounts need the price at their block; blocks with only asset amounts just need a timestamp
+  const blocks = [...new Set(flows.map((f) => f.block))];
+  const priced = new Set(flows.filter((f) => f.assets == null && f.shares != null).map((f) => f.block));
+  const samples = new Map();
+  for (const batch of chunkBlocks(blocks, opts.batchSize)) {
+    const needPrice = batch.filter((b) => priced.has(b));
+    const headersOnly = batch.filter((b) => !priced.has(b));
+    if (needPrice.length) {
+      for (const s of await sampleBlocks(discovery, needPrice, { multicall: opts.multicall })) samples.set(s.block, s);
+    }
+    if (headersOnly.length) {
+      const headers = await getBlockHeaders(headersOnly);
+      headersOnly.forEach((block, i) => samples.set(block, { block, timestamp: headers[i].timestamp, price: null }));
+    }
+  }
+
+  let unpriced = 0;
+  const out = flows.map((f) => {
+    const sample = samples.get(f.block);
+    let amount = f.assets;
+    if (amount == null && f.shares != null && sample.price != null && f.shareDecimals != null) {
+      // shares * price is in price units; the asset decimals may differ from the price's
+      const value = (f.shares * sample.price) / 10n ** BigInt(f.shareDecimals);
+      const priceDecimals = discovery.priceDecimals ?? amountDecimals;
+      amount = priceDecimals == null || amountDecimals == null ? value : rescale(value, priceDecimals, amountDecimals);
+    }
+    if (amount == null) unpriced += 1;
+    const timestamp = Number(sample.timestamp);
+    return {
+      block: f.block,
+      timestamp,
+      date: new Date(timestamp * 1000).toISOString().slice(0, 10),
+      txHash: f.txHash,
+      logIndex: f.logIndex,
+      kind: f.kind,
+      direction: f.direction,
+      account: f.account,
+      amount,
+    };
+  });
+  return { flows: out, sources, amountDecimals, unpriced };
+}
+
+/**
+ * Aggregate flows per UTC day, with a zero row for every day in range so the series joins the price CSV by date
+ * Unpriced flows count toward deposits/withdrawals and unique accounts but not toward the amounts.
+ * @param {Object[]} flows - Flows from collectFlows in block order
+ * @param {number} startTs - Range start (seconds)
+ * @param {number} endTs - Range end (seconds, inclusive)
+ * @returns {Object[]} { date, inflow, outflow, net, deposits, withdrawals, depositors, withdrawers, largestIn,
+ *   largestOut } per day (amounts bigint, largest null on days without a priced flow; depositors/withdrawers counts)
+ */
+export function dailyFlows(flows, startTs, endTs) {
+  const days = new Map();
+  const dayOf = (ts) => new Date(ts * 1000).toISOString().slice(0, 10);
+  for (let ts = Math.floor(startTs / DAY_SECONDS) * DAY_SECONDS; ts <= endTs; ts += DAY_SECONDS) {
+    days.set(dayOf(ts), { inflow: 0n, outflow: 0n, deposits: 0, withdrawals: 0, in: new Set(), out: new Set() });
+  }
+  for (const f of flows) {
+    let day = days.get(f.date);
+    if (!day) {
+      day = { inflow: 0n, outflow: 0n, deposits: 0, withdrawals: 0, in: new Set(), out: new Set() };
+      days.set(f.date, day);
+    }
+    const inbound = f.direction === "in";
+    if (inbound) day.deposits += 1;
+    else day.withdrawals += 1;
+    day[f.direction].add(f.account);
+    if (f.amount == null) continue;
+    const largestKey = inbound ? "largestIn" : "largestOut";
+    if (inbound) day.inflow += f.amount;
+    else day.outflow += f.amount;
+    if (day[largestKey] == null || f.amount > day[largestKey]) day[largestKey] = f.amount;
+  }
+  return [...days.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([date, d]) => ({
+      date,
+      inflow: d.inflow,
+      outflow: d.outflow,
+      net: d.inflow - d.outflow,
+      deposits: d.deposits,
+      withdrawals: d.withdrawals,
+      depositors: d.in.size,
+      withdrawers: d.out.size,
+      largestIn: d.largestIn ?? null,
+      largestOut: d.largestOut ?? null,
+    }));
+}
+
+/**
+ * Format a raw amount in asset units (raw when decimals are unknown)
+ * @private
+ */
+function formatAmount(value, decimals) {
+  if (value == null) return null;
+  return formatPrice(value, decimals) ?? value.toString();
+}
+
+/**
+ * Serialize a day into an output record (see FLOW_COLUMNS)
+ * @param {Object} day - Day from dailyFlows
+ * @param {number|null} amountDecimals - Asset decimals from collectFlows
+ * @param {string|null} assetSymbol - Asset label
+ * @returns {Object} Record keyed by FLOW_COLUMNS
+ */
+export function flowRecord(day, amountDecimals, assetSymbol) {
+  return {
+    date: day.date,
+    inflow: formatAmount(day.inflow, amountDecimals),
+    outflow: formatAmount(day.outflow, amountDecimals),
+    net_flow: formatAmount(day.net, amountDecimals),
+    deposits: day.deposits,
+    withdrawals: day.withdrawals,
+    unique_depositors: day.depositors,
+    unique_withdrawers: day.withdrawers,
+    largest_inflow: formatAmount(day.largestIn, amountDecimals),
+    largest_outflow: formatAmount(day.largestOut, amountDecimals),
+    asset: assetSymbol ?? null,
+  };
+}
+
+/**
+ * Totals over a flow range
+ * @param {Object[]} flows - Flows from collectFlows
+ * @param {Object[]} days - Days from dailyFlows
+ * @returns {Object} { inflow, outflow, net, deposits, withdrawals, depositors, withdrawers, activeDays,
+ *   largestIn, largestOut } where largestIn/largestOut are the flows themselves (null when none was priced)
+ */
+export function summarizeFlows(flows, days) {
+  const largest = (direction) =>
+    flows
+      .filter((f) => f.direction === direction && f.amount != null)
+      .reduce((best, f) => (best == null || f.amount > best.amount ? f : best), null);
+  const accounts = (direction) => new Set(flows.filter((f) => f.direction === direction).map((f) => f.account)).size;
+  const inflow = days.reduce((sum, d) => sum + d.inflow, 0n);
+  const outflow = days.reduce((sum, d) => sum + d.outflow, 0n);
+  return {
+    inflow,
+    outflow,
+    net: inflow - outflow,
+    deposits: flows.filter((f) => f.direction === "in").length,
+    withdrawals: flows.filter((f) => f.direction === "out").length,
+    depositors: accounts("in"),
+    withdrawers: accounts("out"),
+    activeDays: days.filter((d) => d.deposits || d.withdrawals).length,
+    largestIn: largest("in"),
+    largestOut: largest("out"),
+  };
+}
+
+/**
+ * Footer/summary entries for a flows run
+ * @param {Object} summary - Result of summarizeFlows
+ * @param {Object} ctx - { amountDecimals, assetSymbol, sources, days, unpriced }
+ * @returns {Array<[string, any]>} Ordered [label, value] pairs
+ */
+export function flowSummaryEntries(summary, ctx) {
+  const amount = (value) => formatAmount(value, ctx.amountDecimals) ?? "n/a";
+  const describeLargest = (f) => (f ? `${amount(f.amount)} (${f.date}, ${f.account}, tx ${f.txHash})` : "n/a");
+  return [
+    ["Flow Sources", ctx.sources.map((s) => `${s.kind} ${s.address}`).join("; ")],
+    ["Asset", ctx.assetSymbol ?? "n/a"],
+    ["Total Inflow", amount(summary.inflow)],
+    ["Total Outflow", amount(summary.outflow)],
+    ["Net Flow", amount(summary.net)],
+    ["Deposits", summary.deposits],
+    ["Withdrawals", summary.withdrawals],
+    ["Unique Depositors", summary.depositors],
+    ["Unique Withdrawers", summary.withdrawers],
+    ["Largest Inflow", describeLargest(summary.largestIn)],
+    ["Largest Outflow", describeLargest(summary.largestOut)],
+    ["Unpriced Flows", ctx.unpriced],
+    ["Start Date", ctx.days[0]?.date ?? "n/a"],
+    ["End Date", ctx.days[ctx.days.length - 1]?.date ?? "n/a"],
+    ["Active Days", summary.activeDays],
+  ];
+}
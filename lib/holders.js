@@ -0,0 +1,177 @@
+/**
+ * Holder balances reconstructed from ERC20 Transfer logs, with concentration metrics per snapshot
+ *
+ * Balances are replayed from the token's Transfer(from, to, value) logs in block order; mints come from and
+ * burns go to the zero address. Each snapshot compares the reconstructed supply (the sum of every non-zero
+ * address balance) with totalSupply() at the same block, so rebasing, fee-on-transfer or missed logs show up
+ * as drift instead of silently skewing the numbers.
+ */
+
+import { ethers } from "ethers";
+
+import { HOLDERS_CONFIG } from "./config.js";
+import { getLogsChunked } from "./provider.js";
+import { getBlockHeaders, readCallsAtBlocks } from "./multicall.js";
+import { chunkBlocks } from "./sampler.js";
+
+const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+const DAY_SECONDS = 86400;
+
+/**
+ * Snapshot times between two timestamps: UTC midnights (daily/weekly) or first days of months (monthly)
+ * @param {number} startTs - Range start (seconds)
+ * @param {number} endTs - Range end (seconds, exclusive)
+ * @param {string} interval - One of HOLDERS_CONFIG.SNAPSHOT_INTERVALS
+ * @returns {number[]} Timestamps in ascending order
+ * @throws {Error} If interval is unknown
+ */
+export function snapshotTimes(startTs, endTs, interval) {
+  if (!HOLDERS_CONFIG.SNAPSHOT_INTERVALS.includes(interval)) {
+    throw new Error(`unsupported interval: ${interval}; supported: ${HOLDERS_CONFIG.SNAPSHOT_INTERVALS.join(", ")}`);
+  }
+  const out = [];
+  if (interval === "monthly") {
+    const d = new Date(startTs * 1000);
+    let month = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1) / 1000;
+    while (month < endTs) {
+      out.push(month);
+      const next = new Date(month * 1000);
+      month = Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 1) / 1000;
+    }
+    return out;
+  }
+  const step = interval === "weekly" ? 7 * DAY_SECONDS : DAY_SECONDS;
+  for (let ts = Math.ceil(startTs / DAY_SECONDS) * DAY_SECONDS; ts < endTs; ts += step) out.push(ts);
+  return out;
+}
+
+/**
+ * Apply one log to a balance map
+ * @param {Map<string, bigint>} balances - Balances by lowercased address
+ * @param {Object} log - Log from getLogs
+ * @returns {boolean} False when the log is not an ERC20 Transfer (e.g. an ERC721 Transfer with an indexed id)
+ */
+export function applyTransfer(balances, log) {
+  if (log.topics.length !== 3 || log.topics[0].toLowerCase() !== TRANSFER_TOPIC || ethers.dataLength(log.data) !== 32) {
+    return false;
+  }
+  const from = `0x${log.topics[1].slice(26)}`.toLowerCase();
+  const to = `0x${log.topics[2].slice(26)}`.toLowerCase();
+  const value = BigInt(log.data);
+  balances.set(from, (balances.get(from) ?? 0n) - value);
+  balances.set(to, (balances.get(to) ?? 0n) + value);
+  return true;
+}
+
+/**
+ * Holder count and concentration of a balance map
+ * HHI is the sum of squared percent shares (0-10000; 10000 means one holder); Gini is 0 for equal balances
+ * and approaches 1 as one holder takes everything.
+ * @param {Map<string, bigint>} balances - Balances by lowercased address
+ * @param {Object} opts - { top, exclude: Set of lowercased addresses left out of the metrics }
+ * @returns {Object} { holders, heldSupply, reconstructedSupply, hhi, gini, top: [{ address, balance, sharePct }],
+ *   negative: [addresses] }
+ */
+export function concentration(balances, opts = {}) {
+  const top = opts.top ?? HOLDERS_CONFIG.TOP_N;
+  const exclude = opts.exclude || new Set();
+  const held = [];
+  const negative = [];
+  let reconstructedSupply = 0n;
+  for (const [address, balance] of balances) {
+    if (address === ethers.ZeroAddress) continue;
+    reconstructedSupply += balance;
+    if (balance < 0n) negative.push(ethers.getAddress(address));
+    else if (balance > 0n && !exclude.has(address)) held.push({ address, balance });
+  }
+  held.sort((a, b) => (a.balance === b.balance ? 0 : a.balance > b.balance ? -1 : 1));
+
+  const heldSupply = held.reduce((sum, h) => sum + h.balance, 0n);
+  const share = (balance) => (heldSupply > 0n ? Number((balance * 10n ** 12n) / heldSupply) / 1e12 : 0);
+  let hhi = 0;
+  let weighted = 0;
+  // Gini over balances in ascending order: (2 * sum(i * x_i)) / (n * sum(x)) - (n + 1) / n
+  held.forEach((h, i) => {
+    const s = share(h.balance);
+    hhi += (s * 100) ** 2;
+    weighted += (held.length - i) * s;
+  });
+  const n = held.length;
+  const gini = n ? (2 * weighted) / n - (n + 1) / n : null;
+
+  return {
+    holders: n,
+    heldSupply,
+    reconstructedSupply,
+    hhi: n ? hhi : null,
+    gini: gini === null ? null : Math.max(0, gini),
+    top: held.slice(0, top).map((h) => ({
+      address: ethers.getAddress(h.address),
+      balance: h.balance,
+      sharePct: share(h.balance) * 100,
+    })),
+    negative,
+  };
+}
+
+/**
+ * Replay a token's Transfer logs and take snapshots (runs in the active provider pool)
+ * A snapshot at block B reflects every transfer up to and including B.
+ * @param {string} token - Token address
+ * @param {Object} opts - { fromBlock, toBlock, snapshotBlocks, top, exclude, chunkSize, onChunk, onShrink }
+ *   snapshotBlocks: ascending blocks within the range; onChunk(range, transfers) reports progress
+ * @returns {Promise<Object>} { snapshots, transfers, skipped, balances } where each snapshot is concentration() plus
+ *   { block, timestamp, date, totalSupply, drift, driftPct }; balances is the map at the last block scanned
+ */
+export async function reconstructHolders(token, opts) {
+  const balances = new Map();
+  const pending = [...opts.snapshotBlocks];
+  const snapshots = [];
+  const metricOpts = { top: opts.top, exclude: opts.exclude };
+  let transfers = 0;
+  let skipped = 0;
+
+  const takeSnapshotsBefore = (block) => {
+    while (pending.length && pending[0] < block) {
+      snapshots.push({ block: pending.shift(), ...concentration(balances, metricOpts) });
+    }
+  };
+
+  await getLogsChunked({ address: token, topics: [TRANSFER_TOPIC] }, opts.fromBlock, opts.toBlock, opts.chunkSize, {
+    onShrink: opts.onShrink,
+    onChunk: (logs, range) => {
+      for (const log of logs) {
+        takeSnapshotsBefore(log.blockNumber);
+        if (applyTransfer(balances, log)) transfers += 1;
+        else skipped += 1;
+      }
+      takeSnapshotsBefore(range.toBlock + 1);
+      opts.onChunk?.(range, transfers);
+    },
+  });
+  takeSnapshotsBefore(Infinity);
+
+  const blocks = snapshots.map((s) => s.block);
+  const supplyCall = {
+    name: "totalSupply",
+    target: token,
+    signature: "function totalSupply() view returns (uint256)",
+    fn: "totalSupply",
+  };
+  const supplies = [];
+  const headers = [];
+  for (const batch of chunkBlocks(blocks)) {
+    supplies.push(...(await readCallsAtBlocks([supplyCall], batch)));
+    headers.push(...(await getBlockHeaders(batch)));
+  }
+
+  snapshots.forEach((s, i) => {
+    const totalSupply = supplies[i]?.totalSupply ?? null;
+    s.timestamp = headers[i].timestamp;
+    s.date = new Date(headers[i].timestamp * 1000).toISOString().slice(0, 10);
+    s.totalSupply = totalSupply;
+    s.drift = totalSupply === null ? null : s.reconstructedSupply - totalSupply;
+    s.driftPct = totalSupply ? (Number(s.drift) / Number(totalSupply)) * 100 : null;
+  });
+  return { snapshots, transfers, skipped, balances };
+}
@@ -0,0 +1,156 @@
+/**
+ * Batched historical reads: Multicall3 aggregate3 per block, JSON-RPC batches across blocks
+ */
+
+import { ethers } from "ethers";
+import { MULTICALL_CONFIG } from "./config.js";
+import { rpcCall, getActiveProviderPool } from "./provider.js";
+import { tryCall } from "./utils.js";
+
+const AGGREGATE3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+];
+
+// Multicall3 cannot self-destruct, so code at block N implies code at every later block.
+// Availability is tracked per provider pool since each pool serves one chain.
+const availability = new WeakMap();
+
+/**
+ * Check whether Multicall3 is deployed at a block
+ * @param {number} block - Block number
+ * @returns {Promise<boolean>} True if aggregate3 can be used at block
+ */
+export async function isMulticallDeployed(block) {
+  const pool = getActiveProviderPool();
+  if (!availability.has(pool)) availability.set(pool, { deployedFrom: null, missingUntil: -1 });
+  const state = availability.get(pool);
+
+  if (state.deployedFrom !== null && block >= state.deployedFrom) return true;
+  if (block <= state.missingUntil) return false;
+  const code = await rpcCall((p) => p.getCode(MULTICALL_CONFIG.ADDRESS, block), { blockTag: block });
+  if (code && code !== "0x") {
+    state.deployedFrom = state.deployedFrom === null ? block : Math.min(state.deployedFrom, block);
+    return true;
+  }
+  state.missingUntil = Math.max(state.missingUntil, block);
+  return false;
+}
+
+/**
+ * Fetch block headers as one JSON-RPC batch (ethers coalesces concurrent sends)
+ * @param {number[]} blocks - Block numbers
+ * @returns {Promise<Array<{number: number, timestamp: number}>>} Headers in input order
+ * @throws {Error} If any block is missing
+ */
+export async function getBlockHeaders(blocks) {
+  const raw = await rpcCall((p) =>
+    Promise.all(blocks.map((b) => p.send("eth_getBlockByNumber", [ethers.toQuantity(b), false])))
+  );
+  return raw.map((h, i) => {
+    if (!h) throw new Error(`block ${blocks[i]} not found`);
+    return { number: Number(BigInt(h.number)), timestamp: Number(BigInt(h.timestamp)) };
+  });
+}
+
+/**
+ * Describe a view call for batching
+ * @typedef {Object} ViewCall
+ * @property {string} name - Result key
+ * @property {string} target - Contract address
+ * @property {string} signature - Human-readable ABI fragment
+ * @property {string} fn - Function name
+ * @property {any[]} [args] - Function arguments
+ * @property {Function} [pick] - Map decoded result to value (default: first output)
+ * @property {boolean} [required] - Throw on failure instead of returning null
+ */
+
+/**
+ * Execute calls at one block through Multicall3 aggregate3
+ * @private
+ */
+async function aggregateAtBlock(provider, calls, block) {
+  const multicall = new ethers.Contract(MULTICALL_CONFIG.ADDRESS, AGGREGATE3_ABI, provider);
+  const encoded = calls.map((c) => {
+    const iface = new ethers.Interface([c.signature]);
+    return { iface, request: { target: c.target, allowFailure: true, callData: iface.encodeFunctionData(c.fn, c.args || []) } };
+  });
+  const results = await multicall.aggregate3.staticCall(
+    encoded.map((e) => e.request),
+    { blockTag: block }
+  );
+  return results.map((r, i) => {
+    if (!r.success) return { ok: false };
+    try {
+      const decoded = encoded[i].iface.decodeFunctionResult(calls[i].fn, r.returnData);
+      return { ok: true, value: decoded };
+    } catch {
+      return { ok: false };
+    }
+  });
+}
+
+/**
+ * Execute calls at one block one by one (fallback when Multicall3 is unavailable)
+ * @private
+ */
+async function callsAtBlock(calls, block) {
+  const out = [];
+  for (const c of calls) {
+    const res = await tryCall(c.target, c.signature, c.fn, c.args || [], block);
+    // tryCall returns the unwrapped first output; wrap to match decoded result shape
+    out.push(res.ok ? { ok: true, value: res.value, unwrapped: true } : { ok: false });
+  }
+  return out;
+}
+
+/**
+ * Map raw call results to a { name: value } object
+ * @private
+ */
+function collectResults(calls, results, block) {
+  const values = {};
+  calls.forEach((c, i) => {
+    const r = results[i];
+    if (!r.ok) {
+      if (c.required) throw new Error(`failed to read ${c.fn} at block ${block}`);
+      values[c.name] = null;
+      return;
+    }
+    if (r.unwrapped) values[c.name] = c.pick ? c.pick(Array.isArray(r.value) ? r.value : [r.value]) : r.value;
+    else values[c.name] = c.pick ? c.pick(r.value) : r.value[0];
+  });
+  return values;
+}
+
+/**
+ * Read a set of view calls at many blocks. Each block gets one aggregate3 eth_call and
+ * all blocks in the batch are sent together; blocks before Multicall3 deployment use
+ * per-call tryCall instead.
+ * @param {ViewCall[]} calls - Calls to make at every block
+ * @param {number[]} blocks - Block numbers
+ * @param {Object} opts - { multicall: false } forces the per-call path
+ * @returns {Promise<Object[]>} One { name: value } object per block, in input order
+ */
+export async function readCallsAtBlocks(calls, blocks, opts = {}) {
+  if (!blocks.length) return [];
+  if (!calls.length) return blocks.map(() => ({}));
+
+  const batched = [];
+  const fallback = [];
+  for (const block of blocks) {
+    if (opts.multicall !== false && (await isMulticallDeployed(block))) batched.push(block);
+    else fallback.push(block);
+  }
+
+  const byBlock = new Map();
+  if (batched.length) {
+    const results = await rpcCall((p) => Promise.all(batched.map((b) => aggregateAtBlock(p, calls, b))), {
+      blockTag: Math.min(...batched),
+    });
+    batched.forEach((b, i) => byBlock.set(b, collectResults(calls, results[i], b)));
+  }
+  for (const b of fallback) {
+    byBlock.set(b, collectResults(calls, await callsAtBlock(calls, b), b));
+  }
+  return blocks.map((b) => byBlock.get(b));
+}
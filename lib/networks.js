@@ -0,0 +1,206 @@
+/**
+ * Network registry: built-in chains from config.js plus user-defined chains
+ *
+ * Each network is an object with:
+ *   - key: registry name (also the RPC cache namespace and `<KEY>_RPC_URLS` env prefix)
+ *   - chainId, sourcifyChainId
+ *   - explorer: explorer base URL (used for the footer and URL inference)
+ *   - explorerHosts: extra hosts that identify the chain in pasted URLs
+ *   - aliases: extra names accepted by --chain and matched as app URL path segments
+ *   - rpcUrls: default public RPC pool
+ *   - blockTime: average seconds per block (optional; seeds timestamp -> block search)
+ */
+
+import fs from "fs";
+
+import { NETWORKS, NETWORK_CONFIG } from "./config.js";
+
+const registry = new Map();
+
+/**
+ * Validate and normalize a network definition, merging over an existing entry with the same key
+ * @private
+ */
+function buildNetwork(key, def, origin) {
+  const base = registry.get(key);
+  const merged = { ...(base || {}), ...def, key };
+  const chainId = Number(merged.chainId);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`network ${key} from ${origin} needs a positive integer chainId`);
+  }
+  if (merged.blockTime != null && !(Number(merged.blockTime) > 0)) {
+    throw new Error(`network ${key} from ${origin}: blockTime must be a positive number of seconds`);
+  }
+  for (const field of ["rpcUrls", "aliases", "explorerHosts"]) {
+    if (merged[field] != null && !Array.isArray(merged[field])) {
+      throw new Error(`network ${key} from ${origin}: ${field} must be an array`);
+    }
+  }
+  return {
+    ...merged,
+    chainId,
+    // A changed chainId without an explicit sourcifyChainId should not keep the built-in's
+    sourcifyChainId: Number(def.sourcifyChainId ?? (def.chainId != null ? chainId : merged.sourcifyChainId ?? chainId)),
+    explorer: merged.explorer || null,
+    aliases: (merged.aliases || []).map((a) => String(a).toLowerCase()),
+    explorerHosts: (merged.explorerHosts || []).map((h) => String(h).toLowerCase()),
+    rpcUrls: merged.rpcUrls || [],
+    blockTime: merged.blockTime != null ? Number(merged.blockTime) : null,
+  };
+}
+
+/**
+ * Register a network (replaces or extends any network with the same key)
+ * @param {string} key - Chain key
+ * @param {Object} def - { chainId, sourcifyChainId?, explorer?, explorerHosts?, aliases?, rpcUrls?, blockTime? }
+ * @param {string} [origin] - Where the definition came from, for error messages
+ * @returns {Object} Registered network
+ */
+export function registerNetwork(key, def, origin = "registerNetwork") {
+  const k = String(key || "").toLowerCase().trim();
+  if (!k) throw new Error(`network from ${origin} is missing a key`);
+  const network = buildNetwork(k, def || {}, origin);
+  registry.set(k, network);
+  return network;
+}
+
+for (const [key, def] of Object.entries(NETWORKS)) registerNetwork(key, def, "config.js");
+
+/**
+ * Get all registered networks
+ * @returns {Object[]} Networks in registration order
+ */
+export function getNetworks() {
+  return [...registry.values()];
+}
+
+/**
+ * Get network by key, alias or chainId
+ * @param {string|number} keyOrAlias - Chain key, alias or numeric chainId
+ * @returns {Object|null} Network or null if unknown
+ */
+export function getNetwork(keyOrAlias) {
+  const key = normalizeChainKey(keyOrAlias == null ? null : String(keyOrAlias));
+  return (key && registry.get(key)) || null;
+}
+
+/**
+ * Get network by key, alias or chainId, failing on unknown chains
+ * @param {string|number} keyOrAlias - Chain key, alias or numeric chainId
+ * @returns {Object} Network
+ * @throws {Error} If the chain is not registered
+ */
+export function requireNetwork(keyOrAlias) {
+  const network = getNetwork(keyOrAlias);
+  if (!network) {
+    throw new Error(`unsupported chain: ${keyOrAlias}; supported: ${[...registry.keys()].join(", ")}`);
+  }
+  return network;
+}
+
+/**
+ * Normalize chain key (resolves aliases and numeric chainIds)
+ * @param {string|null} raw - Raw chain name
+ * @returns {string|null} Registered chain key, the lowercased input if unknown, or null if empty
+ */
+export function normalizeChainKey(raw) {
+  if (!raw) return null;
+  const k = String(raw).toLowerCase().trim();
+  if (registry.has(k)) return k;
+  for (const network of registry.values()) {
+    if (network.aliases.includes(k) || String(network.chainId) === k) return network.key;
+  }
+  return k;
+}
+
+/**
+ * Hosts that identify a network in URLs (explorer host plus explorerHosts)
+ * @private
+ */
+function hostsFor(network) {
+  const hosts = [...network.explorerHosts];
+  if (network.explorer) {
+    try {
+      hosts.push(new URL(network.explorer).hostname.toLowerCase());
+    } catch {
+      // ignore malformed explorer URL
+    }
+  }
+  return hosts.map((h) => h.replace(/^www\./, ""));
+}
+
+/**
+ * Infer chain key from a URL or other string
+ * Checks explorer hosts first (longest match wins, so optimistic.etherscan.io beats etherscan.io),
+ * then `chain=`/`network=`/`chainId=` query values, Safe-style `arb1:0x...` prefixes and
+ * app URL path segments such as `/base/vault/0x...`.
+ * @param {string|null} input - Input string (URL or address)
+ * @returns {string|null} Inferred chain key or null
+ */
+export function inferChainKey(input) {
+  const s = String(input || "").toLowerCase().trim();
+  if (!s) return null;
+
+  let best = null;
+  for (const network of registry.values()) {
+    for (const host of hostsFor(network)) {
+      if (s.includes(host) && (!best || host.length > best.host.length)) best = { host, key: network.key };
+    }
+  }
+  if (best) return best.key;
+
+  const known = (token) => {
+    const key = normalizeChainKey(token);
+    return key && registry.has(key) ? key : null;
+  };
+
+  const query = s.match(/[?&#](?:chain|network|chainid|chain_id)=([a-z0-9-]+)/);
+  if (query && known(query[1])) return known(query[1]);
+
+  const prefixed = s.match(/(?:^|[/#?=])([a-z][a-z0-9-]*):0x[0-9a-f]{40}/);
+  if (prefixed && known(prefixed[1])) return known(prefixed[1]);
+
+  // Path segments only (skip scheme and host); aliases like "eth"/"op" must be a whole segment
+  const pathPart = s.replace(/^[a-z]+:\/\/[^/]+/, "");
+  for (const segment of pathPart.split(/[/#?]/)) {
+    if (!segment || /^0x/.test(segment)) continue;
+    const key = known(segment);
+    if (key && !/^\d+$/.test(segment)) return key;
+  }
+  return null;
+}
+
+/**
+ * Load user-defined networks from a JSON file and/or the NETWORKS_JSON env var
+ * Format: { "networks": { "<key>": { chainId, explorer, rpcUrls, aliases, explorerHosts } } }
+ * (a bare { "<key>": {...} } map is also accepted). Falls back to NETWORKS_CONFIG env, then
+ * ./networks.json if present.
+ * @param {Object} opts - { configFile }
+ * @returns {string[]} Keys of loaded networks
+ */
+export function loadNetworks(opts = {}) {
+  let configFile = opts.configFile || process.env[NETWORK_CONFIG.CONFIG_ENV];
+  if (!configFile && fs.existsSync(NETWORK_CONFIG.DEFAULT_CONFIG_FILE)) {
+    configFile = NETWORK_CONFIG.DEFAULT_CONFIG_FILE;
+  }
+
+  const sources = [];
+  if (configFile) sources.push([configFile, JSON.parse(fs.readFileSync(configFile, "utf8"))]);
+  const inline = process.env[NETWORK_CONFIG.JSON_ENV];
+  if (inline && inline.trim()) {
+    try {
+      sources.push([NETWORK_CONFIG.JSON_ENV, JSON.parse(inline)]);
+    } catch (e) {
+      throw new Error(`${NETWORK_CONFIG.JSON_ENV} is not valid JSON: ${e.message}`);
+    }
+  }
+
+  const loaded = [];
+  for (const [origin, cfg] of sources) {
+    const entries = cfg && typeof cfg.networks === "object" ? cfg.networks : cfg;
+    for (const [key, def] of Object.entries(entries || {})) {
+      loaded.push(registerNetwork(key, def, origin).key);
+    }
+  }
+  return loaded;
+}
@@ -0,0 +1,110 @@
+/**
+ * Portfolio files: a list of vaults sharing defaults, read by the portfolio and watch commands
+ */
+
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+
+import { loadNetworks, registerNetwork, requireNetwork, normalizeChainKey, inferChainKey } from "./networks.js";
+import { resolveFromMap } from "./resolver.js";
+import { loadAdapters } from "./adapters/index.js";
+import { OUTPUT_FORMATS, resolveOutputFormat, defaultOutfile } from "./writers/index.js";
+
+// Per-vault keys passed through to runBackfill
+export const VAULT_OPTION_KEYS = [
+  "priceFn",
+  "adapter",
+  "startDate",
+  "endDate",
+  "startBlock",
+  "endBlock",
+  "blockStep",
+  "mode",
+  "batchSize",
+  "sampleConcurrency",
+  "noMulticall",
+  "noTvl",
+  "resume",
+  "format",
+  "noFooter",
+  "stallDays",
+];
+
+/**
+ * Read portfolio file as JSON or YAML (by extension)
+ * @param {string} file - Portfolio file path
+ * @returns {Object} Parsed portfolio ({ vaults, defaults, outDir, networks, ... })
+ * @throws {Error} If the file lists no vaults
+ */
+export function loadPortfolio(file) {
+  const text = fs.readFileSync(file, "utf8");
+  // Drop YAML's hex-int tag so unquoted 0x addresses stay strings
+  const cfg = /\.ya?ml$/i.test(file)
+    ? YAML.parse(text, { customTags: (tags) => tags.filter((t) => t.format !== "HEX") })
+    : JSON.parse(text);
+  if (!cfg || !Array.isArray(cfg.vaults) || !cfg.vaults.length) {
+    throw new Error(`portfolio ${file} has no vaults`);
+  }
+  return cfg;
+}
+
+/**
+ * Turn a vault name into a file-safe slug
+ * @private
+ */
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Resolve one portfolio entry into address, chain and backfill options
+ * @param {Object} entry - Vault entry from the portfolio file
+ * @param {Object} cfg - Whole portfolio (for defaults)
+ * @param {string} outDir - Directory for per-vault output files
+ * @param {Object} overrides - { format, vaultMap } from the command line
+ * @returns {Object} { name, address, chainKey, entry, options }
+ */
+export function resolveEntry(entry, cfg, outDir, overrides) {
+  const raw = entry.vault || entry.contractAddress;
+  const target = resolveFromMap(raw, { mapFile: overrides.vaultMap });
+  if (!target) throw new Error(`vault entry ${JSON.stringify(entry)} has no address (slug URLs need a vault map entry)`);
+  const address = target.address;
+
+  const chainKey = requireNetwork(normalizeChainKey(entry.chain) || target.chainKey || inferChainKey(raw) || "ethereum").key;
+
+  const name = entry.name || address;
+  const options = {};
+  for (const key of VAULT_OPTION_KEYS) {
+    const value = entry[key] ?? cfg.defaults?.[key];
+    if (value !== undefined) options[key] = value;
+  }
+  if (overrides.format) options.format = overrides.format;
+  // sqlite output is one shared database keyed by chain/address; file formats get one file per vault
+  const format = resolveOutputFormat(options.format, entry.out);
+  const defaultOut = format === "sqlite" ? defaultOutfile(format) : `${slugify(name)}.${OUTPUT_FORMATS[format].extension}`;
+  const out = path.join(outDir, entry.out || defaultOut);
+  return { name, address, chainKey, entry, options: { ...options, out } };
+}
+
+/**
+ * Register the networks and adapters named on the command line or in the portfolio file
+ * @param {Object} cfg - Portfolio (networks, networksConfig, adaptersDir, adaptersConfig)
+ * @param {Object} opts - Command-line options (networksConfig, adaptersDir, adaptersConfig win over cfg)
+ * @param {string} configFile - Portfolio path, for error messages
+ * @returns {Promise<{networks: string[], adapters: string[]}>} Loaded network keys and adapter names
+ */
+export async function loadPortfolioExtensions(cfg, opts, configFile) {
+  const networks = loadNetworks({ configFile: opts.networksConfig || cfg.networksConfig });
+  for (const [key, def] of Object.entries(cfg.networks || {})) {
+    networks.push(registerNetwork(key, def, configFile).key);
+  }
+  const adapters = await loadAdapters({
+    dir: opts.adaptersDir || cfg.adaptersDir,
+    configFile: opts.adaptersConfig || cfg.adaptersConfig,
+  });
+  return { networks, adapters };
+}
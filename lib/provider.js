@@ -1,27 +1,130 @@
 /**
  * Provider pool management for RPC failover and load balancing
+ *
+ * Endpoints are probed for chainId and archive depth, then picked by health (latency, success rate)
+ * with per-endpoint circuit breaking; historical calls are routed to endpoints that keep that state.
  */
 
+import { AsyncLocalStorage } from "async_hooks";
 import { ethers } from "ethers";
-import { isRetriableRpcError, sleep } from "./utils.js";
-import { RPC_CONFIG } from "./config.js";
+import { classifyRpcError, sleep } from "./utils.js";
+import { RPC_CONFIG, QUERY_CONFIG } from "./config.js";
+import { CachingJsonRpcProvider } from "./cache.js";
 
-let providerPool = [];
-let providerCursor = 0;
+// Pool used when no pool is bound to the current async context (see runWithProviderPool)
+let defaultPool = null;
+const poolContext = new AsyncLocalStorage();
 
 /**
- * Initialize the RPC provider pool
+ * Fresh per-endpoint health counters
+ * @private
+ */
+function createStats() {
+  return {
+    calls: 0,
+    successes: 0,
+    errors: 0,
+    rateLimited: 0,
+    archiveMisses: 0,
+    latencyMs: null, // EWMA over successful calls
+    consecutiveFailures: 0,
+    throttled: 0, // calls that waited on the rate limiter
+    openUntil: 0, // circuit breaker: endpoint skipped until this time (ms)
+    opens: 0,
+  };
+}
+
+/**
+ * Token bucket allowing rps requests per second with bursts of up to rps
+ * @private
+ */
+function createRateLimiter(rps) {
+  return { rps, tokens: rps, updatedAt: Date.now() };
+}
+
+/**
+ * Take a request token from an endpoint's bucket, waiting if it is empty
+ * The balance may go negative: each waiter reserves the next free slot, so waiters proceed in order.
+ * @private
+ */
+async function acquireToken(item) {
+  const limiter = item.limiter;
+  if (!limiter) return;
+  const now = Date.now();
+  limiter.tokens = Math.min(limiter.rps, limiter.tokens + ((now - limiter.updatedAt) / 1000) * limiter.rps);
+  limiter.updatedAt = now;
+  limiter.tokens -= 1;
+  if (limiter.tokens < 0) {
+    item.stats.throttled += 1;
+    await sleep(Math.ceil((-limiter.tokens / limiter.rps) * 1000));
+  }
+}
+
+/**
+ * Create an RPC provider pool without making it the default
+ * Each item tracks health (latency, errors, rate limits, circuit state) and archive depth;
+ * archiveDepth is null until probed (treated as capable), Infinity for full archive nodes.
+ * With a chainId the providers use it as a static network, so an unreachable endpoint fails its calls
+ * instead of retrying network detection in the background.
  * @param {string[]} rpcUrls - Array of RPC URLs
+ * @param {Object} opts - Optional { cache, chainId, maxRps, blockTime, blockIndex }: RpcCache (from
+ *   createRpcCache) shared by every provider, expected chainId, requests per second allowed per endpoint
+ *   (0 = unlimited), average block time and BlockIndex (from createBlockIndex) used by getBlockByTime
+ * @returns {{items: Array<{url: string, provider: Object, stats: Object, archiveDepth: number|null}>, head: number|null,
+ *   blockTime: number|null, blockIndex: Object|null, timestamps: Map<number, number|Promise<number>>}} Pool
  */
-export function initializeProviderPool(rpcUrls) {
+export function createProviderPool(rpcUrls, opts = {}) {
   if (!rpcUrls || !rpcUrls.length) {
     throw new Error("no RPC URLs configured");
   }
-  providerPool = rpcUrls.map((url) => ({
-    url,
-    provider: new ethers.JsonRpcProvider(url),
-  }));
-  providerCursor = 0;
+  const network = opts.chainId != null ? ethers.Network.from(Number(opts.chainId)) : undefined;
+  const options = network ? { staticNetwork: network } : undefined;
+  const maxRps = opts.maxRps ?? RPC_CONFIG.MAX_RPS_PER_PROVIDER;
+  return {
+    items: rpcUrls.map((url) => ({
+      url,
+      provider: opts.cache
+        ? new CachingJsonRpcProvider(url, opts.cache, network, options)
+        : new ethers.JsonRpcProvider(url, network, options),
+      chainId: null,
+      archiveDepth: null,
+      limiter: maxRps > 0 ? createRateLimiter(maxRps) : null,
+      stats: createStats(),
+    })),
+    head: null,
+    blockTime: opts.blockTime || null,
+    blockIndex: opts.blockIndex || null,
+    timestamps: new Map(), // block -> timestamp (or pending lookup) for headers seen by getBlockByTime
+  };
+}
+
+/**
+ * Initialize the default RPC provider pool
+ * @param {string[]} rpcUrls - Array of RPC URLs
+ * @param {Object} opts - Optional { cache, chainId, maxRps, blockTime, blockIndex } (see createProviderPool)
+ * @returns {Object} Pool
+ */
+export function initializeProviderPool(rpcUrls, opts = {}) {
+  defaultPool = createProviderPool(rpcUrls, opts);
+  return defaultPool;
+}
+
+/**
+ * Run fn with rpcCall routed to the given pool (for concurrent runs on different chains)
+ * @param {Object} pool - Pool from createProviderPool
+ * @param {Function} fn - Async function
+ * @returns {Promise<any>} Result of fn
+ */
+export function runWithProviderPool(pool, fn) {
+  return poolContext.run(pool, fn);
+}
+
+/**
+ * Get the pool rpcCall would use in the current async context
+ * @returns {Object|null} Pool or null if none initialized
+ */
+export function getActiveProviderPool() {
+  return poolContext.getStore() || defaultPool;
 }
 
 /**
@@ -29,45 +132,218 @@ export function initializeProviderPool(rpcUrls) {
  * @returns {Object} Pool info
  */
 export function getProviderPoolInfo() {
+  const pool = getActiveProviderPool();
   return {
-    count: providerPool.length,
-    urls: providerPool.map((p) => p.url),
-    currentIndex: providerCursor,
+    count: pool ? pool.items.length : 0,
+    urls: pool ? pool.items.map((p) => p.url) : [],
+    head: pool ? pool.head : null,
   };
 }
 
 /**
- * Execute an RPC call with automatic failover and retry logic
+ * Reject after ms unless promise settles first
+ * @private
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} timeout after ${ms}ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Probe one endpoint for chainId, head and archive depth (bypasses the RPC cache)
+ * @private
+ */
+async function probeEndpoint(item, chainId) {
+  const probe = new ethers.JsonRpcProvider(item.url, ethers.Network.from(chainId), {
+    staticNetwork: true,
+    batchMaxCount: 1,
+  });
+  const send = (method, params) => withTimeout(probe.send(method, params), RPC_CONFIG.PROBE_TIMEOUT_MS, method);
+  try {
+    const started = Date.now();
+    item.chainId = Number(BigInt(await send("eth_chainId", [])));
+    item.stats.latencyMs = Date.now() - started;
+    const head = Number(BigInt(await send("eth_blockNumber", [])));
+
+    // Deepest state the endpoint still serves; stop at the first depth it has pruned.
+    // A rate limit or timeout mid-probe leaves the depth unknown so the endpoint is still tried.
+    let depth = 0;
+    for (const d of [...RPC_CONFIG.ARCHIVE_PROBE_DEPTHS, head - 1]) {
+      const block = Math.max(1, head - d);
+      try {
+        await send("eth_getBalance", [ethers.ZeroAddress, ethers.toQuantity(block)]);
+        depth = block === 1 ? Infinity : head - block;
+      } catch (err) {
+        const kind = classifyRpcError(err);
+        if (kind === "rate-limit" || kind === "retriable") depth = null;
+        break;
+      }
+      if (block === 1) break;
+    }
+    item.archiveDepth = depth;
+    return { url: item.url, ok: true, chainId: item.chainId, head, archiveDepth: depth };
+  } catch (err) {
+    recordFailure(item, classifyRpcError(err));
+    openCircuit(item);
+    return { url: item.url, ok: false, error: err.shortMessage || err.message };
+  } finally {
+    probe.destroy();
+  }
+}
+
+/**
+ * Probe every endpoint in a pool concurrently for chainId, head and archive depth.
+ * Endpoints serving the wrong chain are removed; unreachable ones stay with an open circuit.
+ * @param {Object} pool - Pool from createProviderPool
+ * @param {Object} opts - { chainId } expected chain
+ * @returns {Promise<Object[]>} Probe results [{ url, ok, chainId?, head?, archiveDepth?, error? }]
+ * @throws {Error} If no endpoint serves the expected chain
+ */
+export async function probeProviderPool(pool, opts) {
+  const results = await Promise.all(pool.items.map((item) => probeEndpoint(item, opts.chainId)));
+  const wrongChain = new Set(results.filter((r) => r.ok && r.chainId !== opts.chainId).map((r) => r.url));
+  if (wrongChain.size === pool.items.length) {
+    throw new Error(`rpc/network mismatch: every endpoint reports a chainId other than ${opts.chainId}`);
+  }
+  pool.items = pool.items.filter((item) => !wrongChain.has(item.url));
+  const heads = results.filter((r) => r.ok && !wrongChain.has(r.url)).map((r) => r.head);
+  if (heads.length) pool.head = Math.max(...heads);
+  return results;
+}
+
+/**
+ * Skip an endpoint for a while, doubling the period each time it re-opens
+ * @private
+ */
+function openCircuit(item) {
+  const period = Math.min(RPC_CONFIG.CIRCUIT_MAX_OPEN_MS, RPC_CONFIG.CIRCUIT_OPEN_MS * 2 ** item.stats.opens);
+  item.stats.openUntil = Date.now() + period;
+  item.stats.opens += 1;
+}
+
+/**
+ * Record a response (success or a definitive error such as a revert)
+ * @private
+ */
+function recordResponse(item, latencyMs) {
+  const stats = item.stats;
+  stats.calls += 1;
+  stats.successes += 1;
+  stats.consecutiveFailures = 0;
+  stats.openUntil = 0;
+  stats.opens = 0;
+  const alpha = RPC_CONFIG.LATENCY_EWMA_ALPHA;
+  stats.latencyMs = stats.latencyMs == null ? latencyMs : stats.latencyMs * (1 - alpha) + latencyMs * alpha;
+}
+
+/**
+ * Record a failed attempt and trip the breaker after repeated failures
+ * @private
+ */
+function recordFailure(item, kind) {
+  const stats = item.stats;
+  stats.calls += 1;
+  stats.errors += 1;
+  if (kind === "rate-limit") stats.rateLimited += 1;
+  stats.consecutiveFailures += 1;
+  if (stats.consecutiveFailures >= RPC_CONFIG.CIRCUIT_FAILURE_THRESHOLD) openCircuit(item);
+}
+
+/**
+ * Selection weight: faster and more reliable endpoints get more traffic
+ * @private
+ */
+function healthScore(item) {
+  const { successes, calls, latencyMs } = item.stats;
+  const successRate = (successes + 1) / (calls + 2);
+  return (successRate * successRate) / Math.max(latencyMs ?? 250, 1);
+}
+
+/**
+ * Order endpoints for one call: healthy endpoints that can serve the state depth in weighted-random
+ * order, then endpoints with an open circuit (soonest to close first), then ones believed too shallow
+ * @private
+ */
+function selectionOrder(pool, depth) {
+  const now = Date.now();
+  const capable = (item) => depth <= RPC_CONFIG.RECENT_STATE_BLOCKS || item.archiveDepth == null || item.archiveDepth >= depth;
+  const healthy = pool.items.filter((item) => capable(item) && item.stats.openUntil <= now);
+  const open = pool.items
+    .filter((item) => capable(item) && item.stats.openUntil > now)
+    .sort((a, b) => a.stats.openUntil - b.stats.openUntil);
+  const shallow = pool.items.filter((item) => !capable(item));
+
+  const order = [];
+  const remaining = [...healthy];
+  while (remaining.length) {
+    const weights = remaining.map(healthScore);
+    let pick = Math.random() * weights.reduce((a, b) => a + b, 0);
+    let idx = 0;
+    while (idx < remaining.length - 1 && pick >= weights[idx]) pick -= weights[idx++];
+    order.push(remaining.splice(idx, 1)[0]);
+  }
+  return [...order, ...open, ...shallow];
+}
+
+/**
+ * Exponential backoff with jitter (half fixed, half random)
+ * @private
+ */
+function backoffMs(attempt, kind) {
+  let delay = Math.min(RPC_CONFIG.MAX_RETRY_DELAY_MS, RPC_CONFIG.RETRY_DELAY_MS * 2 ** attempt);
+  if (kind === "rate-limit") delay = Math.max(delay, RPC_CONFIG.RATE_LIMIT_DELAY_MS);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Execute an RPC call with health-weighted endpoint selection, failover and retry
+ * Every attempt takes a token from the endpoint's rate limiter (one token per task, even if the task
+ * sends a JSON-RPC batch). Calls pinned to a block far behind head are routed to endpoints whose probed archive depth covers it;
+ * an endpoint that answers with a pruned-state error has its depth lowered and the call moves on.
  * @param {Function} task - Async function that takes (provider, url) and returns result
- * @param {number} retriesPerProvider - Retries per provider (optional)
+ * @param {number|Object} opts - Retries per provider (legacy), or { retries, blockTag }
  * @returns {Promise<any>} Result from successful call
  * @throws {Error} If all providers fail
  */
-export async function rpcCall(task, retriesPerProvider = RPC_CONFIG.MAX_RETRIES_PER_PROVIDER) {
-  if (!providerPool.length) {
+export async function rpcCall(task, opts = {}) {
+  const pool = getActiveProviderPool();
+  if (!pool || !pool.items.length) {
     throw new Error("provider pool not initialized");
   }
+  const { retries = RPC_CONFIG.MAX_RETRIES_PER_PROVIDER, blockTag } = typeof opts === "number" ? { retries: opts } : opts;
+  const depth = pool.head != null && typeof blockTag === "number" ? pool.head - blockTag : 0;
 
   let lastErr;
-  const n = providerPool.length;
-  const order = [];
-  for (let i = 0; i < n; i++) {
-    order.push((providerCursor + i) % n);
-  }
-
-  for (const idx of order) {
-    const item = providerPool[idx];
-    for (let attempt = 0; attempt < retriesPerProvider; attempt++) {
+  for (const item of selectionOrder(pool, depth)) {
+    for (let attempt = 0; attempt < retries; attempt++) {
+      await acquireToken(item);
+      const started = Date.now();
       try {
         const result = await task(item.provider, item.url);
-        providerCursor = (idx + 1) % n;
+        recordResponse(item, Date.now() - started);
         return result;
       } catch (err) {
         lastErr = err;
-        if (!isRetriableRpcError(err)) throw err;
-        if (attempt < retriesPerProvider - 1) {
-          await sleep(RPC_CONFIG.RETRY_DELAY_MS * (attempt + 1));
+        const kind = classifyRpcError(err);
+        // a log-range error is an answer too: the caller has to ask for less, not try elsewhere
+        if (kind === "fatal" || kind === "log-range") {
+          recordResponse(item, Date.now() - started);
+          throw err;
+        }
+        if (kind === "archive") {
+          item.stats.calls += 1;
+          item.stats.archiveMisses += 1;
+          if (depth > RPC_CONFIG.RECENT_STATE_BLOCKS) item.archiveDepth = Math.min(item.archiveDepth ?? Infinity, depth - 1);
+          break;
         }
+        recordFailure(item, kind);
+        if (item.stats.openUntil > Date.now()) break;
+        if (attempt < retries - 1) await sleep(backoffMs(attempt, kind));
       }
     }
   }
@@ -76,23 +352,121 @@ export async function rpcCall(task, retriesPerProvider = RPC_CONFIG.MAX_RETRIES_
 }
 
 /**
- * Find block number at or before target timestamp using binary search
+ * Format archive depth for reports
+ * @private
+ */
+function formatDepth(depth) {
+  if (depth == null) return "unknown";
+  if (depth === Infinity) return "full";
+  if (depth === 0) return "head only";
+  return `${depth} blocks`;
+}
+
+/**
+ * Per-endpoint stats report lines (archive depth, calls, errors, rate limits, latency, limiter waits, circuit state)
+ * @param {Object} pool - Pool from createProviderPool
+ * @returns {string[]} One line per endpoint
+ */
+export function formatPoolStats(pool) {
+  const now = Date.now();
+  return pool.items.map((item) => {
+    const s = item.stats;
+    const latency = s.latencyMs == null ? "-" : `${Math.round(s.latencyMs)}ms`;
+    const circuit = s.openUntil > now ? `open ${Math.ceil((s.openUntil - now) / 1000)}s` : "closed";
+    return (
+      `${item.url}: archive=${formatDepth(item.archiveDepth)} calls=${s.calls} ok=${s.successes} errors=${s.errors} ` +
+      `rate-limited=${s.rateLimited} archive-misses=${s.archiveMisses} latency=${latency} ` +
+      `throttled=${s.throttled} circuit=${circuit}`
+    );
+  });
+}
+
+/**
+ * Timestamps of blocks, from the pool's memo or one JSON-RPC batch for the rest
+ * The memo holds in-flight lookups too, so concurrent searches share header requests.
+ * Fetched headers are also recorded in the pool's block index (if any).
+ * @private
+ */
+async function blockTimestamps(pool, blocks) {
+  const missing = [...new Set(blocks.filter((b) => !pool.timestamps.has(b)))];
+  if (missing.length) {
+    const request = rpcCall((p) =>
+      Promise.all(missing.map((b) => p.send("eth_getBlockByNumber", [ethers.toQuantity(b), false])))
+    ).then((headers) => {
+      if (pool.blockIndex && pool.head != null) pool.blockIndex.observeHead(pool.head);
+      const times = missing.map((b, i) => {
+        if (!headers[i]) throw new Error(`block ${b} not found`);
+        const ts = Number(BigInt(headers[i].timestamp));
+        pool.blockIndex?.add(b, ts);
+        return ts;
+      });
+      pool.blockIndex?.flush();
+      return times;
+    });
+    // Failed lookups are forgotten so a later search retries them
+    request.catch(() => missing.forEach((b) => pool.timestamps.delete(b)));
+    missing.forEach((b, i) => pool.timestamps.set(b, request.then((times) => times[i])));
+  }
+  return Promise.all(blocks.map((b) => pool.timestamps.get(b)));
+}
+
+/**
+ * Find block number at or before target timestamp
+ * Starts from the closest points in the pool's block index, then probes pairs of adjacent blocks at an
+ * estimate: first from the chain's average block time, then by interpolating between the bracketing
+ * blocks, falling back to bisection when an estimate fails to halve the range. An accurate estimate
+ * resolves in one header batch.
  * @param {number} targetTs - Target Unix timestamp (seconds)
  * @param {number} low - Low block boundary
  * @param {number|null} high - High block boundary (fetched if null)
- * @returns {Promise<number>} Block number
+ * @returns {Promise<number>} Block number (low if every block in range is after targetTs)
  */
 export async function getBlockByTime(targetTs, low = 0, high = null) {
+  const pool = getActiveProviderPool();
   if (high === null) {
     high = await rpcCall((p) => p.getBlockNumber());
   }
-  while (low < high) {
-    const mid = Math.floor((low + high + 1) / 2);
-    const block = await rpcCall((p) => p.getBlock(mid));
-    if (Number(block.timestamp) <= targetTs) low = mid;
-    else high = mid - 1;
+
+  let lo = low;
+  let hi = high;
+  const known = pool.blockIndex?.bracket(targetTs, low, high);
+  for (const point of [known?.below, known?.above]) {
+    if (point) pool.timestamps.set(point.block, point.timestamp);
   }
-  return low;
+  if (known?.below) lo = known.below.block;
+  if (known?.above) hi = known.above.block;
+
+  let [tsLo, tsHi] = await blockTimestamps(pool, [lo, hi]);
+  if (tsHi <= targetTs) return hi;
+  if (tsLo > targetTs) return lo;
+
+  // Invariant: ts(lo) <= target < ts(hi), so the answer is in [lo, hi - 1]
+  let useBlockTime = Boolean(pool.blockTime);
+  let bisect = false;
+  while (hi - lo > 1) {
+    let guess;
+    if (bisect) {
+      guess = Math.floor((lo + hi) / 2);
+    } else if (useBlockTime) {
+      guess =
+        targetTs - tsLo <= tsHi - targetTs
+          ? lo + Math.floor((targetTs - tsLo) / pool.blockTime)
+          : hi - Math.ceil((tsHi - targetTs) / pool.blockTime);
+      useBlockTime = false;
+    } else {
+      guess = lo + Math.floor(((targetTs - tsLo) * (hi - lo)) / (tsHi - tsLo));
+    }
+    guess = Math.min(Math.max(guess, lo), hi - 2);
+
+    const width = hi - lo;
+    const [tsGuess, tsNext] = await blockTimestamps(pool, [guess, guess + 1]);
+    if (tsGuess <= targetTs) [lo, tsLo] = [guess, tsGuess];
+    else [hi, tsHi] = [guess, tsGuess];
+    if (tsNext <= targetTs) [lo, tsLo] = [guess + 1, tsNext];
+    else if (guess + 1 < hi) [hi, tsHi] = [guess + 1, tsNext];
+    bisect = hi - lo > width / 2;
+  }
+  return lo;
 }
 
 /**
@@ -106,9 +480,42 @@ export async function getDeployBlock(address) {
   let high = latest;
   while (low < high) {
     const mid = Math.floor((low + high) / 2);
-    const code = await rpcCall((p) => p.getCode(address, mid));
+    const code = await rpcCall((p) => p.getCode(address, mid), { blockTag: mid });
     if (code && code !== "0x") high = mid;
     else low = mid + 1;
   }
   return low;
 }
+
+/**
+ * Fetch logs over a block range in chunks to avoid RPC timeouts
+ * A chunk rejected for its block range or result size is halved (down to QUERY_CONFIG.MIN_LOG_CHUNK_SIZE) and
+ * retried; the smaller size is kept for the rest of the range.
+ * @param {Object} filter - Log filter without block range ({ address, topics })
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @param {number} chunkSize - Blocks per query (optional)
+ * @param {Object} opts - { onChunk(logs, { fromBlock, toBlock, chunkSize }), onShrink(chunkSize, err) }; with
+ *   onChunk each chunk is handed over as it arrives instead of being collected
+ * @returns {Promise<any[]>} Logs in block order (empty when onChunk is given)
+ */
+export async function getLogsChunked(filter, fromBlock, toBlock, chunkSize = QUERY_CONFIG.LOG_CHUNK_SIZE, opts = {}) {
+  const logs = [];
+  let size = chunkSize;
+  for (let from = fromBlock; from <= toBlock; ) {
+    const to = Math.min(from + size - 1, toBlock);
+    let chunk;
+    try {
+      chunk = await rpcCall((p) => p.getLogs({ ...filter, fromBlock: from, toBlock: to }));
+    } catch (err) {
+      if (classifyRpcError(err) !== "log-range" || size <= QUERY_CONFIG.MIN_LOG_CHUNK_SIZE) throw err;
+      size = Math.max(QUERY_CONFIG.MIN_LOG_CHUNK_SIZE, Math.floor((to - from + 1) / 2));
+      opts.onShrink?.(size, err);
+      continue;
+    }
+    if (opts.onChunk) await opts.onChunk(chunk, { fromBlock: from, toBlock: to, chunkSize: size });
+    else logs.push(...chunk);
+    from = to + 1;
+  }
+  return logs;
+}
@@ -0,0 +1,182 @@
+/**
+ * Upgradeable proxy detection and implementation history
+ *
+ * Proxy kinds:
+ *   - eip1167: minimal clone, implementation fixed in bytecode
+ *   - transparent: EIP-1967 implementation slot plus admin slot
+ *   - uups: EIP-1967 implementation slot, implementation exposes proxiableUUID()
+ *   - eip1967: EIP-1967 implementation slot, no admin/UUPS marker
+ *   - beacon: EIP-1967 beacon slot, implementation read from beacon.implementation()
+ *   - zeppelinos: legacy OpenZeppelin implementation slot
+ */
+
+import { ethers } from "ethers";
+import { PROXY_CONFIG } from "./config.js";
+import { rpcCall, getLogsChunked } from "./provider.js";
+import { tryCall, isValidAddress } from "./utils.js";
+
+// EIP-1167 minimal proxy runtime: 363d3d373d3d3d363d73<impl>5af43d82803e903d91602b57fd5bf3
+const EIP1167_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/;
+
+const eventsIface = new ethers.Interface(PROXY_CONFIG.EVENTS);
+const UPGRADED_TOPIC = eventsIface.getEvent("Upgraded").topicHash;
+const BEACON_UPGRADED_TOPIC = eventsIface.getEvent("BeaconUpgraded").topicHash;
+
+/**
+ * Read an address stored in the low 20 bytes of a storage slot
+ * @private
+ */
+async function readAddressSlot(address, slot, blockTag) {
+  const word = await rpcCall((p) => p.getStorage(address, slot, blockTag), { blockTag });
+  const value = ethers.getAddress(ethers.dataSlice(word, 12));
+  return value === ethers.ZeroAddress ? null : value;
+}
+
+/**
+ * Resolve a beacon's implementation
+ * @private
+ */
+async function beaconImplementation(beacon, blockTag) {
+  const res = await tryCall(beacon, "function implementation() view returns (address)", "implementation", [], blockTag);
+  return res.ok && isValidAddress(res.value) ? ethers.getAddress(res.value) : null;
+}
+
+/**
+ * Detect proxy pattern from bytecode and EIP-1967 storage slots
+ * @param {string} address - Contract address
+ * @param {string} [code] - Its runtime bytecode (fetched when omitted)
+ * @param {string|number} blockTag - Block identifier
+ * @returns {Promise<Object|null>} { kind, implementation, beacon?, admin? } or null if not a recognized proxy
+ */
+export async function detectProxy(address, code, blockTag = "latest") {
+  const runtime = code ?? (await rpcCall((p) => p.getCode(address, blockTag), { blockTag }));
+  const clone = String(runtime || "").toLowerCase().match(EIP1167_PATTERN);
+  if (clone) return { kind: "eip1167", implementation: ethers.getAddress(`0x${clone[1]}`) };
+
+  const implementation = await readAddressSlot(address, PROXY_CONFIG.IMPLEMENTATION_SLOT, blockTag);
+  if (implementation) {
+    const admin = await readAddressSlot(address, PROXY_CONFIG.ADMIN_SLOT, blockTag);
+    if (admin) return { kind: "transparent", implementation, admin };
+    const implCode = await rpcCall((p) => p.getCode(implementation, blockTag), { blockTag });
+    const uupsSelector = ethers.id(PROXY_CONFIG.UUPS_SELECTOR_SIGNATURE).slice(2, 10);
+    if (String(implCode || "").toLowerCase().includes(`63${uupsSelector}`)) return { kind: "uups", implementation };
+    return { kind: "eip1967", implementation };
+  }
+
+  const beacon = await readAddressSlot(address, PROXY_CONFIG.BEACON_SLOT, blockTag);
+  if (beacon) {
+    const impl = await beaconImplementation(beacon, blockTag);
+    if (impl) return { kind: "beacon", implementation: impl, beacon };
+  }
+
+  const legacy = await readAddressSlot(address, PROXY_CONFIG.LEGACY_IMPLEMENTATION_SLOT, blockTag);
+  if (legacy) return { kind: "zeppelinos", implementation: legacy };
+  return null;
+}
+
+/**
+ * Read the implementation a proxy pointed to at a block
+ * @param {string} address - Proxy address
+ * @param {Object} proxy - Result of detectProxy
+ * @param {string|number} blockTag - Block identifier
+ * @returns {Promise<string|null>} Implementation address, or null if unset at that block
+ */
+export async function implementationAt(address, proxy, blockTag) {
+  switch (proxy.kind) {
+    case "eip1167":
+      return proxy.implementation;
+    case "beacon": {
+      const beacon = await readAddressSlot(address, PROXY_CONFIG.BEACON_SLOT, blockTag);
+      return beacon ? beaconImplementation(beacon, blockTag) : null;
+    }
+    case "zeppelinos":
+      return readAddressSlot(address, PROXY_CONFIG.LEGACY_IMPLEMENTATION_SLOT, blockTag);
+    default:
+      return readAddressSlot(address, PROXY_CONFIG.IMPLEMENTATION_SLOT, blockTag);
+  }
+}
+
+/**
+ * Implementation changes from Upgraded/BeaconUpgraded events (beacon proxies also scan the beacon)
+ * @private
+ */
+async function historyFromEvents(address, proxy, fromBlock, toBlock) {
+  const filter = { address, topics: [[UPGRADED_TOPIC, BEACON_UPGRADED_TOPIC]] };
+  const logs = await getLogsChunked(filter, fromBlock, toBlock);
+  if (proxy.kind === "beacon" && proxy.beacon) {
+    logs.push(...(await getLogsChunked({ address: proxy.beacon, topics: [UPGRADED_TOPIC] }, fromBlock, toBlock)));
+  }
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const changes = [];
+  for (const log of logs) {
+    const target = ethers.getAddress(ethers.dataSlice(log.topics[1], 12));
+    const implementation =
+      log.topics[0] === BEACON_UPGRADED_TOPIC ? await beaconImplementation(target, log.blockNumber) : target;
+    if (implementation) changes.push({ block: log.blockNumber, implementation, source: "event" });
+  }
+  return changes;
+}
+
+/**
+ * Implementation changes found by bisecting slot reads (misses A -> B -> A round trips)
+ * @private
+ */
+async function historyFromSlots(address, proxy, fromBlock, toBlock, fromImpl, toImpl) {
+  if (fromImpl === toImpl) return [];
+  if (toBlock - fromBlock <= 1) return [{ block: toBlock, implementation: toImpl, source: "slot" }];
+  const mid = Math.floor((fromBlock + toBlock) / 2);
+  const midImpl = await implementationAt(address, proxy, mid);
+  return [
+    ...(await historyFromSlots(address, proxy, fromBlock, mid, fromImpl, midImpl)),
+    ...(await historyFromSlots(address, proxy, mid, toBlock, midImpl, toImpl)),
+  ];
+}
+
+/**
+ * Implementation history of a proxy across a block range
+ * Uses Upgraded/BeaconUpgraded events; if none are found (or logs are unavailable), bisects slot reads
+ * between the range ends instead.
+ * @param {string} address - Proxy address
+ * @param {Object} proxy - Result of detectProxy
+ * @param {number} fromBlock - First block of range
+ * @param {number} toBlock - Last block of range
+ * @returns {Promise<Array<{block: number, implementation: string|null, source: string}>>} First entry is the
+ *   implementation at fromBlock, followed by each change in block order
+ */
+export async function loadImplementationHistory(address, proxy, fromBlock, toBlock) {
+  const initial = await implementationAt(address, proxy, fromBlock);
+  const history = [{ block: fromBlock, implementation: initial, source: "slot" }];
+  if (proxy.kind === "eip1167") return history;
+
+  let changes = [];
+  try {
+    changes = (await historyFromEvents(address, proxy, fromBlock + 1, toBlock)).filter((c) => c.block > fromBlock);
+  } catch {
+    // fall back to slot bisection
+  }
+  if (!changes.length) {
+    const final = await implementationAt(address, proxy, toBlock);
+    changes = await historyFromSlots(address, proxy, fromBlock, toBlock, initial, final);
+  }
+
+  for (const change of changes) {
+    if (change.implementation !== history[history.length - 1].implementation) history.push(change);
+  }
+  return history;
+}
+
+/**
+ * Implementation in effect at a block according to a history
+ * @param {Array<{block: number, implementation: string|null}>} history - Result of loadImplementationHistory
+ * @param {number} block - Block number
+ * @returns {string|null} Implementation address
+ */
+export function implementationFromHistory(history, block) {
+  let current = null;
+  for (const entry of history) {
+    if (entry.block > block) break;
+    current = entry.implementation;
+  }
+  return current;
+}
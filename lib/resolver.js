@@ -0,0 +1,253 @@
+/**
+ * Vault URL resolver for slug-based app links (Gauntlet, Morpho, Pareto)
+ *
+ * Inputs with a literal 0x address resolve directly. Otherwise a per-site rule turns the URL into
+ * "<site>:<slug>", which is looked up in the local map file (refreshable with scripts/resolve-url.js)
+ * and then the built-in VAULT_SLUGS. As a last resort, candidate addresses are extracted from a saved
+ * (or fetched) copy of the app page and ranked.
+ */
+
+import fs from "fs";
+import axios from "axios";
+import { ethers } from "ethers";
+
+import { RESOLVER_CONFIG, VAULT_SLUGS } from "./config.js";
+import { extractAddress } from "./utils.js";
+import { normalizeChainKey, inferChainKey } from "./networks.js";
+
+// Per-site URL rules; `chain` is a fixed default, `chainGroup` names the capture holding the chain
+const SITE_RULES = [
+  {
+    site: "gauntlet",
+    hosts: ["app.gauntlet.xyz", "gauntlet.xyz"],
+    // /vaults/gpaafalconx or /vaults/aera:gpaafalconx
+    pattern: /\/vaults?\/(?:[a-z0-9-]+:)?([a-z0-9_-]+)/i,
+  },
+  {
+    site: "morpho",
+    hosts: ["app.morpho.org"],
+    // /base/vault/<address-or-slug>/<name>
+    pattern: /\/([a-z-]+)\/vault\/([a-z0-9_-]+)/i,
+    chainGroup: 1,
+    slugGroup: 2,
+  },
+  {
+    site: "pareto",
+    hosts: ["app.pareto.credit", "pareto.credit"],
+    pattern: /\/vaults?\/([a-z0-9_-]+)/i,
+    chain: "ethereum",
+  },
+];
+
+// JSON keys / labels that say what a nearby address is (vault-like roles rank higher)
+const ROLE_WEIGHTS = {
+  provisioner: 4,
+  vault: 3,
+  token: 2,
+  address: 1,
+  asset: -2,
+  underlying: -2,
+  owner: -3,
+  curator: -3,
+  guardian: -3,
+  feerecipient: -3,
+};
+
+/**
+ * Match a URL against the per-site rules
+ * @param {string} input - App URL
+ * @returns {Object|null} { site, slug, key, chainKey } or null if no rule applies
+ */
+export function matchSiteRule(input) {
+  let url;
+  try {
+    url = new URL(String(input || "").trim());
+  } catch {
+    return null;
+  }
+  const host = url.hostname.toLowerCase().replace(/^www\./, "");
+  const rule = SITE_RULES.find((r) => r.hosts.includes(host));
+  if (!rule) return null;
+
+  const m = decodeURIComponent(`${url.pathname}${url.hash.replace(/^#/, "/")}`).match(rule.pattern);
+  if (!m) return null;
+  const slug = m[rule.slugGroup || 1].toLowerCase();
+  const chainKey = rule.chainGroup ? normalizeChainKey(m[rule.chainGroup]) : rule.chain || null;
+  return { site: rule.site, slug, key: `${rule.site}:${slug}`, chainKey };
+}
+
+/**
+ * Resolve the local map file path (explicit, VAULT_MAP_FILE env, then ./vault-map.json)
+ * @param {string} [mapFile] - Explicit path
+ * @returns {string} Map file path (may not exist yet)
+ */
+export function resolveMapFile(mapFile) {
+  return mapFile || process.env[RESOLVER_CONFIG.MAP_ENV] || RESOLVER_CONFIG.DEFAULT_MAP_FILE;
+}
+
+/**
+ * Load slug map: built-in VAULT_SLUGS overridden by the local map file
+ * Map file format: { "<site>:<slug>": { chain, address, token?, vault?, provisioner?, symbol?, note? } }
+ * @param {string} [mapFile] - Local map file path
+ * @returns {Object} Merged map
+ */
+export function loadVaultMap(mapFile) {
+  const file = resolveMapFile(mapFile);
+  const local = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  return { ...VAULT_SLUGS, ...local };
+}
+
+/**
+ * Add or replace one entry in the local map file
+ * @param {string} mapFile - Local map file path
+ * @param {string} key - "<site>:<slug>"
+ * @param {Object} entry - Map entry
+ */
+export function saveVaultMapEntry(mapFile, key, entry) {
+  const file = resolveMapFile(mapFile);
+  const local = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  local[key] = entry;
+  fs.writeFileSync(file, `${JSON.stringify(local, null, 2)}\n`);
+}
+
+/**
+ * Pick the address discovery should use from a map entry
+ * @private
+ */
+function entryAddress(entry) {
+  return extractAddress(entry.address || entry.provisioner || entry.vault || entry.token || null);
+}
+
+/**
+ * Resolve input from a literal address or the slug map (no network access)
+ * @param {string} input - Address or app URL
+ * @param {Object} opts - { mapFile }
+ * @returns {Object|null} { address, chainKey, source, site?, slug?, key?, entry? } or null if unresolved
+ */
+export function resolveFromMap(input, opts = {}) {
+  const literal = extractAddress(input);
+  if (literal) return { address: literal, chainKey: inferChainKey(input), source: "address" };
+
+  const rule = matchSiteRule(input);
+  if (!rule) return null;
+  const entry = loadVaultMap(opts.mapFile)[rule.key];
+  const address = entry && entryAddress(entry);
+  if (!address) return null;
+  return {
+    ...rule,
+    address,
+    chainKey: normalizeChainKey(entry.chain) || rule.chainKey || inferChainKey(input),
+    source: "map",
+    entry,
+  };
+}
+
+/**
+ * Guess what a candidate address is from the label right before it (e.g. `"provisionerAddress":"`)
+ * @private
+ */
+function roleBefore(html, index) {
+  const label = html.slice(Math.max(0, index - 30), index).toLowerCase().replace(/[^a-z]/g, "");
+  let best = null;
+  let bestPos = -1;
+  for (const role of Object.keys(ROLE_WEIGHTS)) {
+    if (role === "address") continue;
+    const pos = label.lastIndexOf(role);
+    if (pos > bestPos) {
+      best = role;
+      bestPos = pos;
+    }
+  }
+  return best || (label.includes("address") ? "address" : null);
+}
+
+/**
+ * Extract and rank candidate addresses from app page HTML
+ * Score = occurrences (capped) + proximity to the slug + role of the nearest label (provisioner/vault/token
+ * up, asset/owner/curator down). Zero, ETH-placeholder and Multicall3 addresses are dropped.
+ * @param {string} html - Page HTML (including any embedded JSON state)
+ * @param {Object} opts - { slug }
+ * @returns {Object[]} [{ address, score, occurrences, nearSlug, role }] best first
+ */
+export function extractCandidateAddresses(html, opts = {}) {
+  const text = String(html || "");
+  const ignored = new Set(RESOLVER_CONFIG.IGNORED_ADDRESSES.map((a) => a.toLowerCase()));
+  const slugPositions = [];
+  if (opts.slug) {
+    const lower = text.toLowerCase();
+    const slug = opts.slug.toLowerCase();
+    for (let i = lower.indexOf(slug); i !== -1; i = lower.indexOf(slug, i + 1)) slugPositions.push(i);
+  }
+
+  const byAddress = new Map();
+  for (const m of text.matchAll(/0x[a-fA-F0-9]{40}(?![a-fA-F0-9])/g)) {
+    const lower = m[0].toLowerCase();
+    if (ignored.has(lower)) continue;
+    const c = byAddress.get(lower) || { address: ethers.getAddress(lower), occurrences: 0, nearSlug: false, roles: {} };
+    c.occurrences += 1;
+    if (slugPositions.some((p) => Math.abs(p - m.index) <= RESOLVER_CONFIG.NEAR_SLUG_CHARS)) c.nearSlug = true;
+    const role = roleBefore(text, m.index);
+    if (role) c.roles[role] = (c.roles[role] || 0) + 1;
+    byAddress.set(lower, c);
+  }
+
+  const ranked = [...byAddress.values()].map((c) => {
+    // Most frequent label wins; a specific label beats a bare "address" on ties
+    const role =
+      Object.entries(c.roles).sort((a, b) => b[1] - a[1] || (a[0] === "address") - (b[0] === "address"))[0]?.[0] || null;
+    const score = Math.min(c.occurrences, 5) + (c.nearSlug ? 3 : 0) + (role ? ROLE_WEIGHTS[role] : 0);
+    return { address: c.address, score, occurrences: c.occurrences, nearSlug: c.nearSlug, role };
+  });
+  return ranked.sort((a, b) => b.score - a.score || b.occurrences - a.occurrences);
+}
+
+/**
+ * Fetch app page HTML
+ * @param {string} url - Page URL
+ * @returns {Promise<string>} HTML
+ */
+export async function fetchPageHtml(url) {
+  const resp = await axios.get(url, {
+    timeout: RESOLVER_CONFIG.FETCH_TIMEOUT_MS,
+    responseType: "text",
+    headers: { "user-agent": "Mozilla/5.0 (vault-backfill resolver)" },
+  });
+  return String(resp.data);
+}
+
+/**
+ * Resolve a vault input (address, explorer/app URL or slug URL) to an address and chain
+ * Order: literal address, slug map, then ranked addresses from opts.html / opts.htmlFile / fetched page.
+ * opts.refresh skips the first two so an existing map entry can be re-derived from the page.
+ * @param {string} input - Address or URL
+ * @param {Object} opts - { mapFile, html, htmlFile, fetch, refresh }
+ * @returns {Promise<Object>} { address, chainKey, source, site?, slug?, key?, entry?, candidates? }
+ * @throws {Error} If nothing resolves
+ */
+export async function resolveVaultInput(input, opts = {}) {
+  const fromMap = opts.refresh ? null : resolveFromMap(input, opts);
+  if (fromMap) return fromMap;
+
+  const rule = matchSiteRule(input);
+  let html = opts.html || null;
+  if (!html && opts.htmlFile) html = fs.readFileSync(opts.htmlFile, "utf8");
+  if (!html && opts.fetch && rule) html = await fetchPageHtml(input);
+  if (!html) {
+    const hint = rule
+      ? `no map entry for ${rule.key}; add it to ${resolveMapFile(opts.mapFile)} or pass --html <saved page>`
+      : "no address or known app URL";
+    throw new Error(`could not resolve ${input}: ${hint}`);
+  }
+
+  const candidates = extractCandidateAddresses(html, { slug: rule?.slug });
+  if (!candidates.length) throw new Error(`could not resolve ${input}: no addresses in page HTML`);
+  // Aera-style vaults are priced through their provisioner, so prefer it over the top-ranked token
+  const best = candidates.find((c) => c.role === "provisioner") || candidates[0];
+  return {
+    ...(rule || {}),
+    address: best.address,
+    chainKey: rule?.chainKey || inferChainKey(input),
+    source: "html",
+    candidates,
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Historical sampling: block headers plus price (and optional extra fields) for a list of blocks
+ */
+
+import { ethers } from "ethers";
+import { MULTICALL_CONFIG, SAMPLER_CONFIG } from "./config.js";
+import { getBlockHeaders, readCallsAtBlocks } from "./multicall.js";
+import { priceCallFor, readPriceAtBlock } from "./adapters/index.js";
+import { rpcCall, getLogsChunked } from "./provider.js";
+
+const IGNORED_TOPICS = new Set(SAMPLER_CONFIG.IGNORED_EVENTS.map((e) => ethers.id(e)));
+
+/**
+ * Sample headers and values at the given blocks
+ * @param {Object} discovery - Discovery result
+ * @param {number[]} blocks - Block numbers
+ * @param {Object} opts - { extraCalls: ViewCall[], multicall: boolean }
+ *   extraCalls are read alongside the price and returned under `extras` (null when the call fails)
+ * @returns {Promise<Array<{block: number, timestamp: number, price: bigint|null, extras: Object}>>} Samples in input order
+ */
+export async function sampleBlocks(discovery, blocks, opts = {}) {
+  const extraCalls = opts.extraCalls || [];
+  const useMulticall = opts.multicall !== false;
+  const priceCall = useMulticall ? priceCallFor(discovery) : null;
+
+  const headers = useMulticall
+    ? await getBlockHeaders(blocks)
+    : await Promise.all(blocks.map((b) => rpcCall((p) => p.getBlock(b))));
+
+  let values;
+  if (priceCall) {
+    values = await readCallsAtBlocks([{ ...priceCall, name: "price", required: true }, ...extraCalls], blocks);
+  } else {
+    // Adapter has no single view call (or batching is off): read price per block, extras still batched
+    const extras = await readCallsAtBlocks(extraCalls, blocks, { multicall: useMulticall });
+    values = [];
+    for (let i = 0; i < blocks.length; i++) {
+      values.push({ price: await readPriceAtBlock(discovery, blocks[i]), ...extras[i] });
+    }
+  }
+
+  return blocks.map((block, i) => {
+    const { price, ...extras } = values[i];
+    return {
+      block,
+      timestamp: Number(headers[i].timestamp),
+      price: price == null ? null : BigInt(price.toString()),
+      extras,
+    };
+  });
+}
+
+/**
+ * Blocks in [fromBlock, toBlock] where the price source (or a tranche's minter) emitted an event,
+ * i.e. where the share price may have changed. Balance-only events (Transfer/Approval) are ignored.
+ * @param {Object} discovery - Discovery result
+ * @param {number} fromBlock - First block of range
+ * @param {number} toBlock - Last block of range
+ * @returns {Promise<number[]>} Unique block numbers in ascending order
+ */
+export async function findEventBlocks(discovery, fromBlock, toBlock) {
+  const addresses = [
+    ...new Set([discovery.sourceAddress, discovery.minterAddress].filter(Boolean).map((a) => a.toLowerCase())),
+  ];
+  if (fromBlock > toBlock || !addresses.length) return [];
+  const logs = await getLogsChunked({ address: addresses }, fromBlock, toBlock);
+  const blocks = new Set();
+  for (const log of logs) {
+    if (!log.removed && !IGNORED_TOPICS.has(log.topics[0])) blocks.add(log.blockNumber);
+  }
+  return [...blocks].sort((a, b) => a - b);
+}
+
+/**
+ * Split blocks into sampler-sized batches
+ * @param {number[]} blocks - Block numbers
+ * @param {number} size - Batch size (optional)
+ * @returns {number[][]} Batches
+ */
+export function chunkBlocks(blocks, size = MULTICALL_CONFIG.BATCH_SIZE) {
+  const out = [];
+  for (let i = 0; i < blocks.length; i += size) out.push(blocks.slice(i, i + size));
+  return out;
+}
@@ -0,0 +1,189 @@
+/**
+ * Bundled offline function signature database for bytecode selector lookup
+ *
+ * Entries are human-readable ABI fragments so matched view functions can be called directly.
+ * Only the selector is checked against bytecode; mutability/returns are what this repo expects
+ * from the common implementations and are used to decide which functions are safe to probe.
+ */
+
+import { ethers } from "ethers";
+
+export const SIGNATURES = [
+  // ERC20 / ERC20 metadata
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address,address) view returns (uint256)",
+  "function transfer(address,uint256) returns (bool)",
+  "function transferFrom(address,address,uint256) returns (bool)",
+  "function approve(address,uint256) returns (bool)",
+  "function increaseAllowance(address,uint256) returns (bool)",
+  "function decreaseAllowance(address,uint256) returns (bool)",
+  "function permit(address,address,uint256,uint256,uint8,bytes32,bytes32)",
+  "function nonces(address) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function mint(address,uint256)",
+  "function burn(uint256)",
+  "function burn(address,uint256)",
+  "function minter() view returns (address)",
+
+  // ERC4626
+  "function asset() view returns (address)",
+  "function totalAssets() view returns (uint256)",
+  "function convertToShares(uint256) view returns (uint256)",
+  "function convertToAssets(uint256) view returns (uint256)",
+  "function maxDeposit(address) view returns (uint256)",
+  "function previewDeposit(uint256) view returns (uint256)",
+  "function deposit(uint256,address) returns (uint256)",
+  "function maxMint(address) view returns (uint256)",
+  "function previewMint(uint256) view returns (uint256)",
+  "function mint(uint256,address) returns (uint256)",
+  "function maxWithdraw(address) view returns (uint256)",
+  "function previewWithdraw(uint256) view returns (uint256)",
+  "function withdraw(uint256,address,address) returns (uint256)",
+  "function maxRedeem(address) view returns (uint256)",
+  "function previewRedeem(uint256) view returns (uint256)",
+  "function redeem(uint256,address,address) returns (uint256)",
+
+  // Idle / Pareto tranche CDO
+  "function priceAA() view returns (uint256)",
+  "function priceBB() view returns (uint256)",
+  "function virtualPrice(address) view returns (uint256)",
+  "function tranchePrice(address) view returns (uint256)",
+  "function AATranche() view returns (address)",
+  "function BBTranche() view returns (address)",
+  "function token() view returns (address)",
+  "function strategy() view returns (address)",
+  "function getContractValue() view returns (uint256)",
+  "function getApr(address) view returns (uint256)",
+  "function lastNAVAA() view returns (uint256)",
+  "function lastNAVBB() view returns (uint256)",
+  "function depositAA(uint256) returns (uint256)",
+  "function depositBB(uint256) returns (uint256)",
+  "function withdrawAA(uint256) returns (uint256)",
+  "function withdrawBB(uint256) returns (uint256)",
+  "function harvest(bool[],bool[],uint256[],uint256[],bytes[]) returns (uint256[][])",
+
+  // Generic price getters
+  "function price() view returns (uint256)",
+  "function tokenPrice() view returns (uint256)",
+  "function tranchePrice() view returns (uint256)",
+  "function sharePrice() view returns (uint256)",
+  "function getSharePrice() view returns (uint256)",
+  "function getPrice() view returns (uint256)",
+  "function pricePerToken() view returns (uint256)",
+  "function exchangeRate() view returns (uint256)",
+  "function exchangeRateStored() view returns (uint256)",
+  "function exchangeRateCurrent() returns (uint256)",
+  "function getExchangeRate() view returns (uint256)",
+  "function getRate() view returns (uint256)",
+  "function getVirtualPrice() view returns (uint256)",
+  "function get_virtual_price() view returns (uint256)",
+  "function assetsPerShare() view returns (uint256)",
+  "function navPerShare() view returns (uint256)",
+  "function nav() view returns (uint256)",
+  "function stEthPerToken() view returns (uint256)",
+  "function tokensPerStEth() view returns (uint256)",
+  "function getPooledEthByShares(uint256) view returns (uint256)",
+  "function getSharesByPooledEth(uint256) view returns (uint256)",
+  "function underlying() view returns (address)",
+
+  // Yearn
+  "function pricePerShare() view returns (uint256)",
+  "function getPricePerFullShare() view returns (uint256)",
+  "function totalDebt() view returns (uint256)",
+  "function lockedProfit() view returns (uint256)",
+  "function apiVersion() view returns (string)",
+
+  // Chainlink aggregator
+  "function latestRoundData() view returns (uint80,int256,uint256,uint256,uint80)",
+  "function latestAnswer() view returns (int256)",
+  "function latestTimestamp() view returns (uint256)",
+  "function latestRound() view returns (uint256)",
+  "function getRoundData(uint80) view returns (uint80,int256,uint256,uint256,uint80)",
+  "function description() view returns (string)",
+  "function version() view returns (uint256)",
+  "function aggregator() view returns (address)",
+
+  // Aera provisioner
+  "function PRICE_FEE_CALCULATOR() view returns (address)",
+  "function MULTI_DEPOSITOR_VAULT() view returns (address)",
+  "function VAULT() view returns (address)",
+  "function tokensDetails(address) view",
+  "function requestDeposit(address,uint256,uint256,uint256,uint256,uint256,bool)",
+  "function requestRedeem(address,uint256,uint256,uint256,uint256,uint256,bool)",
+  "function depositCap() view returns (uint256)",
+  "function depositRefundTimeout() view returns (uint256)",
+
+  // Morpho / MetaMorpho
+  "function MORPHO() view returns (address)",
+  "function curator() view returns (address)",
+  "function guardian() view returns (address)",
+  "function fee() view returns (uint96)",
+  "function feeRecipient() view returns (address)",
+  "function lastTotalAssets() view returns (uint256)",
+  "function supplyQueueLength() view returns (uint256)",
+  "function withdrawQueueLength() view returns (uint256)",
+
+  // Compound / Aave
+  "function supplyRatePerBlock() view returns (uint256)",
+  "function borrowRatePerBlock() view returns (uint256)",
+  "function getReserveNormalizedIncome(address) view returns (uint256)",
+  "function UNDERLYING_ASSET_ADDRESS() view returns (address)",
+  "function scaledBalanceOf(address) view returns (uint256)",
+
+  // Ownership / access control / pausing
+  "function owner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+  "function transferOwnership(address)",
+  "function renounceOwnership()",
+  "function acceptOwnership()",
+  "function hasRole(bytes32,address) view returns (bool)",
+  "function getRoleAdmin(bytes32) view returns (bytes32)",
+  "function grantRole(bytes32,address)",
+  "function revokeRole(bytes32,address)",
+  "function renounceRole(bytes32,address)",
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+  "function paused() view returns (bool)",
+  "function pause()",
+  "function unpause()",
+  "function authority() view returns (address)",
+  "function supportsInterface(bytes4) view returns (bool)",
+
+  // Proxies / upgrades
+  "function implementation() view returns (address)",
+  "function admin() view returns (address)",
+  "function upgradeTo(address)",
+  "function upgradeToAndCall(address,bytes) payable",
+  "function changeAdmin(address)",
+  "function proxiableUUID() view returns (bytes32)",
+  "function initialize()",
+  "function multicall(bytes[]) returns (bytes[])",
+];
+
+let index = null;
+
+/**
+ * Build selector -> fragment index on first use
+ * @private
+ */
+function getIndex() {
+  if (index) return index;
+  index = new Map();
+  for (const signature of SIGNATURES) {
+    const fragment = ethers.FunctionFragment.from(signature);
+    if (!index.has(fragment.selector)) index.set(fragment.selector, { signature, fragment });
+  }
+  return index;
+}
+
+/**
+ * Look up a 4-byte selector in the bundled database
+ * @param {string} selector - 0x-prefixed 4-byte selector
+ * @returns {Object|null} { signature, fragment } or null if unknown
+ */
+export function lookupSelector(selector) {
+  return getIndex().get(String(selector).toLowerCase()) || null;
+}
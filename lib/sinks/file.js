@@ -0,0 +1,19 @@
+/**
+ * File sink: appends one JSON alert per line
+ */
+
+import fs from "fs";
+import path from "path";
+
+export default function createFileSink(opts) {
+  if (!opts.path) throw new Error("file alert sink needs a path (file=alerts.jsonl)");
+  fs.mkdirSync(path.dirname(path.resolve(opts.path)), { recursive: true });
+
+  return {
+    name: `file ${opts.path}`,
+
+    send(alert) {
+      fs.appendFileSync(opts.path, `${JSON.stringify(alert)}\n`);
+    },
+  };
+}
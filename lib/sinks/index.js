@@ -0,0 +1,86 @@
+/**
+ * Alert sinks for the watch command
+ *
+ * Every sink exposes:
+ *   - name: label for logs (e.g. "webhook http://...")
+ *   - send(alert): deliver one alert; may be async, rejects on delivery failure
+ *   - close(): optional, called once on shutdown
+ *
+ * Alerts are plain objects: { time, rule, status: "firing"|"resolved", vault, chain, address, block, date,
+ * message, value, threshold }.
+ */
+
+import stdoutSink from "./stdout.js";
+import webhookSink from "./webhook.js";
+import fileSink from "./file.js";
+
+const ALERT_SINKS = {
+  stdout: stdoutSink,
+  webhook: webhookSink,
+  file: fileSink,
+};
+
+// Which option a "type=value" CLI spec sets
+const SPEC_VALUE_KEYS = { webhook: "url", file: "path" };
+
+/**
+ * Register a sink type (replaces any sink with the same type)
+ * @param {string} type - Type name used in sink specs
+ * @param {Function} create - Factory (opts) => sink
+ */
+export function registerAlertSink(type, create) {
+  if (typeof create !== "function") throw new Error(`alert sink ${type} needs a factory function`);
+  ALERT_SINKS[type] = create;
+}
+
+/**
+ * Normalize a sink spec: "stdout", "webhook=https://...", "file=alerts.jsonl" or { type, ...opts }
+ * @param {string|Object} spec - Sink spec
+ * @returns {Object} { type, ...opts }
+ * @throws {Error} If the type is unknown
+ */
+export function parseSinkSpec(spec) {
+  let parsed = spec;
+  if (typeof spec === "string") {
+    const eq = spec.indexOf("=");
+    const type = (eq === -1 ? spec : spec.slice(0, eq)).trim().toLowerCase();
+    parsed = { type };
+    if (eq !== -1) parsed[SPEC_VALUE_KEYS[type] || "value"] = spec.slice(eq + 1).trim();
+  }
+  if (!parsed || !ALERT_SINKS[parsed.type]) {
+    throw new Error(`unknown alert sink: ${JSON.stringify(spec)}; supported: ${Object.keys(ALERT_SINKS).join(", ")}`);
+  }
+  return parsed;
+}
+
+/**
+ * Create sinks from specs
+ * @param {Array<string|Object>} specs - Sink specs (see parseSinkSpec)
+ * @returns {Object[]} Sinks
+ */
+export function createAlertSinks(specs) {
+  return specs.map((spec) => {
+    const { type, ...opts } = parseSinkSpec(spec);
+    return ALERT_SINKS[type](opts);
+  });
+}
+
+/**
+ * Deliver an alert to every sink; one failing sink does not stop the others
+ * @param {Object[]} sinks - Sinks from createAlertSinks
+ * @param {Object} alert - Alert
+ * @returns {Promise<Array<{sink: string, error: Error}>>} Delivery failures
+ */
+export async function dispatchAlert(sinks, alert) {
+  const failures = [];
+  await Promise.all(
+    sinks.map(async (sink) => {
+      try {
+        await sink.send(alert);
+      } catch (error) {
+        failures.push({ sink: sink.name, error });
+      }
+    })
+  );
+  return failures;
+}
@@ -0,0 +1,13 @@
+/**
+ * stdout sink: one JSON alert per line
+ */
+
+export default function createStdoutSink() {
+  return {
+    name: "stdout",
+
+    send(alert) {
+      process.stdout.write(`${JSON.stringify(alert)}\n`);
+    },
+  };
+}
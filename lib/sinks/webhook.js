@@ -0,0 +1,32 @@
+/**
+ * Webhook sink: POSTs each alert as JSON, retrying transient failures
+ */
+
+import axios from "axios";
+import { WATCH_CONFIG } from "../config.js";
+import { sleep } from "../utils.js";
+
+export default function createWebhookSink(opts) {
+  if (!opts.url) throw new Error("webhook alert sink needs a url (webhook=https://...)");
+  const retries = opts.retries ?? WATCH_CONFIG.WEBHOOK_RETRIES;
+  const timeout = opts.timeoutMs ?? WATCH_CONFIG.WEBHOOK_TIMEOUT_MS;
+  const headers = { "content-type": "application/json", ...opts.headers };
+
+  return {
+    name: `webhook ${opts.url}`,
+
+    async send(alert) {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await axios.post(opts.url, alert, { timeout, headers });
+          return;
+        } catch (err) {
+          // 4xx other than 429 will not succeed on retry
+          const status = err.response?.status;
+          if (attempt >= retries || (status && status < 500 && status !== 429)) throw err;
+          await sleep(WATCH_CONFIG.WEBHOOK_RETRY_DELAY_MS * (attempt + 1));
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Summary statistics over a price series
+ */
+
+/**
+ * Compute footer stats for a price series
+ * @param {Array<{date: string, block: number, price: bigint}>} rows - Rows in block order
+ * @param {Object} times - { firstTs, lastTs } block timestamps of the first/last row (seconds)
+ * @returns {Object} Stats; percentage fields are preformatted strings or "n/a",
+ *   firstPrice/lastPrice are Number casts for math, firstPriceRaw/lastPriceRaw exact strings
+ */
+export function summarizeSeries(rows, times = {}) {
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const firstPrice = first ? Number(first.price) : null;
+  const lastPrice = last ? Number(last.price) : null;
+  const observations = rows.length;
+
+  const { firstTs, lastTs } = times;
+  const days = firstTs != null && lastTs != null ? Math.max(1, Math.round((lastTs - firstTs) / 86400)) : 0;
+
+  let peakPrice = null;
+  let maxDrawdown = 0;
+  let prevPrice = null;
+  const returns = [];
+  for (const row of rows) {
+    if (peakPrice === null || row.price > peakPrice) peakPrice = row.price;
+    if (peakPrice && peakPrice > 0n) {
+      const drawdown = Number(((peakPrice - row.price) * 10000n) / peakPrice) / 100;
+      if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+    }
+    if (prevPrice !== null && prevPrice > 0n) {
+      returns.push(Number(row.price - prevPrice) / Number(prevPrice));
+    }
+    prevPrice = row.price;
+  }
+
+  let avgAprPct = "n/a";
+  let totalReturnPct = "n/a";
+  let volatilityPct = "n/a";
+  const missingDays = days > 0 ? Math.max(0, days + 1 - observations) : 0;
+  if (Number.isFinite(firstPrice) && Number.isFinite(lastPrice) && firstPrice > 0 && lastPrice > 0 && days > 0) {
+    const totalReturn = ((lastPrice - firstPrice) / firstPrice) * 100;
+    totalReturnPct = `${totalReturn.toFixed(4)}%`;
+    const apr = (Math.pow(lastPrice / firstPrice, 365 / days) - 1) * 100;
+    avgAprPct = `${apr.toFixed(4)}%`;
+  }
+  if (returns.length >= 2) {
+    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const variance = returns.reduce((acc, r) => acc + (r - mean) * (r - mean), 0) / (returns.length - 1);
+    volatilityPct = `${(Math.sqrt(variance) * 100).toFixed(4)}%`;
+  }
+
+  return {
+    firstDate: first?.date ?? null,
+    lastDate: last?.date ?? null,
+    firstBlock: first?.block ?? null,
+    lastBlock: last?.block ?? null,
+    firstPrice,
+    lastPrice,
+    firstPriceRaw: first ? first.price.toString() : null,
+    lastPriceRaw: last ? last.price.toString() : null,
+    totalReturnPct,
+    days,
+    observations,
+    missingDays,
+    avgAprPct,
+    maxDrawdown,
+    volatilityPct,
+  };
+}
+
+/**
+ * First, last and peak TVL of a series (rows without a TVL reading are skipped)
+ * @param {Array<{date: string, block: number, tvl: bigint|null}>} rows - Rows in block order
+ * @returns {Object|null} { first, last, peak } rows, or null when no row has a TVL
+ */
+export function summarizeTvl(rows) {
+  const withTvl = rows.filter((r) => r.tvl != null);
+  if (!withTvl.length) return null;
+  let peak = withTvl[0];
+  for (const row of withTvl) if (row.tvl > peak.tvl) peak = row;
+  return { first: withTvl[0], last: withTvl[withTvl.length - 1], peak };
+}
@@ -0,0 +1,96 @@
+/**
+ * Local vault store for the HTTP API: one price file per vault under a directory plus a vaults.json index
+ *
+ * Files are written by runBackfill through the regular writers (daily sampling), so they can also be read
+ * with analytics.js or resumed by backfill-price.js. A sqlite store keeps every vault in one prices.sqlite.
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { OUTPUT_FORMATS, resolveOutputFormat, defaultOutfile, readOutput } from "./writers/index.js";
+
+const INDEX_FILE = "vaults.json";
+
+/**
+ * Index key of a vault
+ * @private
+ */
+function vaultKey(chainKey, address) {
+  return `${chainKey}:${address.toLowerCase()}`;
+}
+
+/**
+ * Open (or create) a vault store
+ * @param {Object} opts - { dir, format }
+ * @returns {Object} Store with list/get/fileFor/put/readRows
+ */
+export function createVaultStore(opts) {
+  const dir = opts.dir;
+  const format = resolveOutputFormat(opts.format);
+  const indexPath = path.join(dir, INDEX_FILE);
+  fs.mkdirSync(dir, { recursive: true });
+  const index = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, "utf8")) : {};
+
+  const save = () => {
+    // write then rename so a crash mid-write never leaves a truncated index
+    const tmp = `${indexPath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(index, null, 2));
+    fs.renameSync(tmp, indexPath);
+  };
+
+  return {
+    dir,
+    format,
+    indexPath,
+
+    /**
+     * Every stored vault, ordered by chain then address
+     * @returns {Object[]} Index entries
+     */
+    list() {
+      return Object.values(index).sort((a, b) => a.chain.localeCompare(b.chain) || a.address.localeCompare(b.address));
+    },
+
+    /**
+     * Index entry of one vault
+     * @returns {Object|null} Entry or null when the vault was never stored
+     */
+    get(chainKey, address) {
+      return index[vaultKey(chainKey, address)] || null;
+    },
+
+    /**
+     * Price file a vault is stored in (creates its chain directory)
+     * @returns {string} Path
+     */
+    fileFor(chainKey, address) {
+      if (format === "sqlite") return path.join(dir, defaultOutfile(format));
+      fs.mkdirSync(path.join(dir, chainKey), { recursive: true });
+      return path.join(dir, chainKey, `${address.toLowerCase()}.${OUTPUT_FORMATS[format].extension}`);
+    },
+
+    /**
+     * Insert or replace an index entry ({ chain, address, file, format, ... })
+     * @param {Object} entry - Entry
+     */
+    put(entry) {
+      index[vaultKey(entry.chain, entry.address)] = entry;
+      save();
+    },
+
+    /**
+     * Stored rows of a vault in block order
+     * @param {Object} entry - Index entry
+     * @returns {Promise<Object>} { rows, summary } (empty rows when the file is gone)
+     */
+    async readRows(entry) {
+      const { format: entryFormat, file, chain, address } = entry;
+      const existing = await readOutput(entryFormat, { path: file, chainKey: chain, address });
+      return {
+        rows: [...(existing?.rows || [])].sort((a, b) => a.block - b.block),
+        summary: existing?.summary || null,
+      };
+    },
+  };
+}
@@ -3,13 +3,19 @@
  */
 
 import { ethers } from "ethers";
-import { RETRIABLE_ERROR_PATTERNS, CHAIN_ALIASES } from "./config.js";
+import {
+  RETRIABLE_ERROR_PATTERNS,
+  ARCHIVE_ERROR_PATTERNS,
+  RATE_LIMIT_PATTERNS,
+  LOG_RANGE_ERROR_PATTERNS,
+} from "./config.js";
 
 /**
  * Parse command-line arguments into an options object
  * @param {string[]} args - Command-line arguments
  * @param {Object} schema - Schema defining expected arguments: { argName: 'type' }
  *   Types: 'string', 'number', 'boolean'
+ *   Arguments match case-insensitively, with or without dashes (--block-step or --blockStep)
  * @returns {Object} Parsed options object
  */
 export function parseArgs(args, schema) {
@@ -22,7 +28,7 @@ export function parseArgs(args, schema) {
     const arg = args[i];
     if (!arg.startsWith("--")) continue;
 
-    const key = arg.slice(2).toLowerCase();
+    const key = arg.slice(2).replace(/-/g, "").toLowerCase();
     const schemaEntry = schemaLower[key];
     if (!schemaEntry) {
       console.warn(`unknown argument ${arg}`);
@@ -71,36 +77,36 @@ export function extractAddress(input) {
 }
 
 /**
- * Normalize chain key with alias resolution
- * @param {string|null} raw - Raw chain key from input
- * @returns {string|null} Normalized chain key
+ * Check if RPC error is retriable (temporary)
+ * @param {Error} err - Error object from RPC call
+ * @returns {boolean} True if error is retriable
  */
-export function normalizeChainKey(raw) {
-  if (!raw) return null;
-  const k = raw.toLowerCase().trim();
-  return CHAIN_ALIASES[k] || (Object.keys(CHAIN_ALIASES).includes(k) ? CHAIN_ALIASES[k] : k);
+export function isRetriableRpcError(err) {
+  return RETRIABLE_ERROR_PATTERNS.some((pattern) => rpcErrorText(err).includes(pattern));
 }
 
 /**
- * Infer chain key from URL or other string patterns
- * @param {string|null} input - Input string (URL or address)
- * @returns {string|null} Inferred chain key or null
+ * Lowercased error text from every place ethers puts the RPC message
+ * @private
  */
-export function inferChainKey(input) {
-  const s = String(input || "").toLowerCase();
-  if (s.includes("/base/") || s.includes("basescan.org")) return "base";
-  if (s.includes("/ethereum/") || s.includes("etherscan.io")) return "ethereum";
-  return null;
+function rpcErrorText(err) {
+  return `${err?.shortMessage || ""} ${err?.message || ""} ${err?.info?.error?.message || ""}`.toLowerCase();
 }
 
 /**
- * Check if RPC error is retriable (temporary)
+ * Classify an RPC error for provider health tracking
  * @param {Error} err - Error object from RPC call
- * @returns {boolean} True if error is retriable
+ * @returns {"log-range"|"archive"|"rate-limit"|"retriable"|"fatal"} log-range: eth_getLogs range or result set
+ *   too large (caller shrinks the query); archive: endpoint pruned the state; rate-limit: throttled;
+ *   retriable: transient; fatal: a real answer such as a revert (don't fail over)
  */
-export function isRetriableRpcError(err) {
-  const msg = `${err?.shortMessage || ""} ${err?.message || ""} ${err?.info?.error?.message || ""}`.toLowerCase();
-  return RETRIABLE_ERROR_PATTERNS.some((pattern) => msg.includes(pattern));
+export function classifyRpcError(err) {
+  const msg = rpcErrorText(err);
+  if (LOG_RANGE_ERROR_PATTERNS.some((pattern) => msg.includes(pattern))) return "log-range";
+  if (ARCHIVE_ERROR_PATTERNS.some((pattern) => msg.includes(pattern))) return "archive";
+  if (RATE_LIMIT_PATTERNS.some((pattern) => msg.includes(pattern))) return "rate-limit";
+  if (RETRIABLE_ERROR_PATTERNS.some((pattern) => msg.includes(pattern))) return "retriable";
+  return "fatal";
 }
 
 /**
@@ -126,7 +132,7 @@ export async function tryCall(address, abiSig, fnName, args = [], blockTag = "la
     const value = await (await import("./provider.js")).rpcCall(async (provider) => {
       const c = new ethers.Contract(address, [abiSig], provider);
       return c[fnName](...args, { blockTag });
-    });
+    }, { blockTag });
     return { ok: true, value };
   } catch {
     return { ok: false };
@@ -152,3 +158,58 @@ export function formatNumber(value, decimals = 2) {
   if (typeof value === "bigint") value = Number(value);
   return Number(value).toFixed(decimals);
 }
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * @param {any[]} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function (item, index) => result
+ * @returns {Promise<any[]>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Like mapWithConcurrency, but hand each result to onResult in input order as soon as it and every
+ * earlier item are done (for streaming output that must stay ordered)
+ * @param {any[]} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function (item, index) => result
+ * @param {Function} onResult - Called as (result, index) in input order
+ * @returns {Promise<void>} Resolves when every result has been handed over; rejects on the first failure
+ */
+export async function forEachWithConcurrency(items, limit, fn, onResult) {
+  const done = new Map();
+  let next = 0;
+  let emitted = 0;
+  let failed = false;
+  const worker = async () => {
+    while (next < items.length && !failed) {
+      const i = next++;
+      try {
+        done.set(i, await fn(items[i], i));
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+      while (!failed && done.has(emitted)) {
+        const result = done.get(emitted);
+        done.delete(emitted);
+        await onResult(result, emitted++);
+      }
+    }
+  };
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+}
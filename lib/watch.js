@@ -0,0 +1,310 @@
+/**
+ * Watch loop: poll each chain's head, append new daily points and evaluate alert rules
+ *
+ * Rules:
+ *   - price-decrease: price read at the new head is below the previous read (one alert per drop)
+ *   - anomaly: drops, stalls and APR outliers found in newly appended points (see anomalies.js); history
+ *     backfilled into a new output file on the first tick is logged, not alerted
+ *   - apr-below: trailing APR (aprWindowDays) under minAprPct
+ *   - deposit-cap: deposits at or above depositCapPct of the vault's cap
+ *   - pool-degraded: fewer healthy RPC endpoints than minHealthyEndpoints
+ *
+ * State rules (apr-below, deposit-cap, pool-degraded) alert once when they start firing and once more,
+ * with status "resolved", when they clear.
+ */
+
+import { ethers } from "ethers";
+
+import { WATCH_CONFIG } from "./config.js";
+import { tryCall } from "./utils.js";
+import { runWithProviderPool, rpcCall } from "./provider.js";
+import { getBlockHeaders } from "./multicall.js";
+import { readPriceAtBlock } from "./adapters/index.js";
+import { runBackfill } from "./backfill.js";
+import { readOutput, resolveOutputFormat } from "./writers/index.js";
+import { buildDailySeries, rollingApy } from "./analytics.js";
+import { describeAnomaly } from "./anomalies.js";
+import { dispatchAlert } from "./sinks/index.js";
+
+/**
+ * Merge rule layers over the defaults (later layers win; undefined values are ignored)
+ * @param {...Object} layers - Rule objects (portfolio watch.rules, vault rules, command line)
+ * @returns {Object} Rules
+ */
+export function resolveRules(...layers) {
+  const rules = { ...WATCH_CONFIG.RULES };
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      if (!(key in rules)) throw new Error(`unknown watch rule: ${key}; supported: ${Object.keys(rules).join(", ")}`);
+      if (value !== undefined) rules[key] = value;
+    }
+  }
+  return rules;
+}
+
+/**
+ * Read a uint view, null when the call fails
+ * @private
+ */
+async function readUint(address, fn, blockTag, args = []) {
+  if (!address) return null;
+  const argTypes = args.map(() => "address").join(",");
+  const res = await tryCall(address, `function ${fn}(${argTypes}) view returns (uint256)`, fn, args, blockTag);
+  return res.ok ? BigInt(res.value) : null;
+}
+
+/**
+ * Current deposits against the vault's cap
+ * Idle/Pareto CDOs compare getContractValue() with limit(), ERC4626 vaults derive the cap from
+ * totalAssets() plus maxDeposit(0x0), and provisioners compare the vault's totalAssets() with depositCap().
+ * @param {Object} discovery - Discovery result
+ * @param {string|number} blockTag - Block identifier
+ * @returns {Promise<{current: bigint, cap: bigint, usagePct: number}|null>} Null when uncapped or unknown
+ */
+export async function readDepositUsage(discovery, blockTag = "latest") {
+  let current = null;
+  let cap = null;
+  if (discovery.mode === "tranche") {
+    cap = await readUint(discovery.sourceAddress, "limit", blockTag);
+    current = await readUint(discovery.sourceAddress, "getContractValue", blockTag);
+  } else if (discovery.mode === "erc4626") {
+    const remaining = await readUint(discovery.sourceAddress, "maxDeposit", blockTag, [ethers.ZeroAddress]);
+    current = await readUint(discovery.sourceAddress, "totalAssets", blockTag);
+    if (remaining !== null && current !== null && remaining < ethers.MaxUint256 - current) cap = current + remaining;
+  } else if (discovery.mode === "provisioner") {
+    cap = await readUint(discovery.sourceAddress, "depositCap", blockTag);
+    current = await readUint(discovery.vaultAddress, "totalAssets", blockTag);
+  }
+  if (current === null || !cap) return null;
+  return { current, cap, usagePct: (Number(current) / Number(cap)) * 100 };
+}
+
+/**
+ * Healthy endpoints of a pool: circuit closed and the last call to it did not fail
+ * (selection steers around a failing endpoint long before its circuit opens)
+ * @param {Object} pool - Provider pool
+ * @returns {{total: number, healthy: number, failing: string[]}} Counts and URLs of unhealthy endpoints
+ */
+export function poolHealth(pool) {
+  const now = Date.now();
+  const failing = pool.items
+    .filter((item) => item.stats.openUntil > now || item.stats.consecutiveFailures > 0)
+    .map((item) => item.url);
+  return { total: pool.items.length, healthy: pool.items.length - failing.length, failing };
+}
+
+/**
+ * Latest trailing APR of a stored series, null when the file does not cover a full window
+ * @private
+ */
+async function trailingApr(item, windowDays) {
+  const format = resolveOutputFormat(item.options.format, item.options.out);
+  const existing = await readOutput(format, { path: item.options.out, chainKey: item.chainKey, address: item.address });
+  const rows = existing?.rows || [];
+  const points = rollingApy(buildDailySeries(rows), windowDays);
+  return points.length ? points[points.length - 1].apyPct : null;
+}
+
+/**
+ * Create a watcher over resolved portfolio items
+ * @param {Object} opts - { items, chains, sinks, rules, log, warn, verbose }
+ *   items: [{ name, address, chainKey, options, rules }] (options as for runBackfill, rules from resolveRules);
+ *   chains: chain contexts by key (connectChain); rules: chain-level rules for pool-degraded
+ * @returns {Object} Watcher with tick() and stats()
+ */
+export function createWatcher(opts) {
+  const log = opts.log || console.error;
+  const warn = opts.warn || console.warn;
+  const vaults = opts.items.map((item) => ({
+    item,
+    discovery: null,
+    deployBlock: null,
+    lastDate: null,
+    lastPrice: null,
+    caughtUp: false,
+  }));
+  const heads = {};
+  const firing = new Map();
+  const counters = { ticks: 0, alerts: 0, deliveryFailures: 0 };
+
+  const emit = async (alert) => {
+    const full = { time: new Date().toISOString(), status: "firing", ...alert };
+    counters.alerts += 1;
+    log(`alert ${full.rule} ${full.status}: ${full.message}`);
+    for (const failure of await dispatchAlert(opts.sinks, full)) {
+      counters.deliveryFailures += 1;
+      warn(`alert delivery to ${failure.sink} failed: ${failure.error.message}`);
+    }
+  };
+
+  // State rules alert on transitions only
+  const track = async (key, isFiring, alert) => {
+    if (Boolean(firing.get(key)) === isFiring) return;
+    firing.set(key, isFiring);
+    await emit({ ...alert, status: isFiring ? "firing" : "resolved" });
+  };
+
+  const checkChain = async (chainKey, chain) => {
+    const head = await runWithProviderPool(chain.pool, async () => {
+      const number = await rpcCall((p) => p.getBlockNumber());
+      const [header] = await getBlockHeaders([number]);
+      return { block: number, date: new Date(header.timestamp * 1000).toISOString().slice(0, 10) };
+    });
+    if (!(chain.pool.head >= head.block)) chain.pool.head = head.block;
+    heads[chainKey] = head;
+  };
+
+  // Runs after the head poll whether or not it succeeded, so a pool that is fully down still alerts
+  const checkPool = async (chainKey, chain) => {
+    if (!opts.rules.poolDegraded) return;
+    const health = poolHealth(chain.pool);
+    const minHealthy = opts.rules.minHealthyEndpoints ?? health.total;
+    const failing = health.failing.join(", ") || "none";
+    await track(`pool-degraded:${chainKey}`, health.healthy < minHealthy, {
+      rule: "pool-degraded",
+      chain: chainKey,
+      block: heads[chainKey]?.block ?? null,
+      date: heads[chainKey]?.date ?? null,
+      message: `${chainKey} rpc pool: ${health.healthy}/${health.total} endpoints healthy (failing: ${failing})`,
+      value: health.healthy,
+      threshold: minHealthy,
+    });
+  };
+
+  const checkVault = async (vault) => {
+    const { item } = vault;
+    const chain = opts.chains[item.chainKey];
+    const head = heads[item.chainKey];
+    if (!head) return;
+    const base = { vault: item.name, chain: item.chainKey, address: item.address };
+    const prefix = `[${item.name}]`;
+
+    // A new UTC date on chain: append the missing daily points (first tick also catches up). Later days reuse the
+    // first run's discovery and deploy block, so only the new blocks are scanned and sampled.
+    if (!vault.lastDate || vault.lastDate < head.date) {
+      const result = await runBackfill(
+        item.address,
+        {
+          ...item.options,
+          // stop at the polled head so the price check below compares against an earlier point
+          endDate: undefined,
+          endBlock: head.block,
+          resume: true,
+          discovery: vault.discovery ?? undefined,
+          deployBlock: vault.deployBlock ?? undefined,
+          log: opts.verbose ? (msg) => log(`${prefix} ${msg}`) : () => {},
+          warn: (msg) => warn(`${prefix} ${msg}`),
+        },
+        chain
+      );
+      vault.caughtUp = vault.discovery !== null;
+      vault.discovery = result.discovery;
+      vault.deployBlock = result.deployBlock;
+      vault.lastDate = result.stats.lastDate;
+      if (vault.lastPrice === null && result.stats.lastPriceRaw != null) {
+        vault.lastPrice = BigInt(result.stats.lastPriceRaw);
+      }
+      log(`${prefix} ${result.outfile}: ${result.stats.observations} rows through ${result.stats.lastDate}`);
+
+      if (item.rules.anomalies && result.resumedFromBlock === null) {
+        // a fresh file's catch-up is backfill: its anomalies are history, not events to alert on
+        if (result.newAnomalies.length) {
+          log(`${prefix} ${result.newAnomalies.length} anomalies in backfilled history (not alerted)`);
+        }
+      } else if (item.rules.anomalies) {
+        for (const anomaly of result.newAnomalies) {
+          // after the catch-up run, price-decrease already reports drops as they happen
+          if (anomaly.type === "drop" && item.rules.priceDecrease && vault.caughtUp) continue;
+          await emit({
+            ...base,
+            rule: "anomaly",
+            // a stall is reported where it crossed the threshold, which is what made it new
+            block: anomaly.flaggedBlock ?? anomaly.block,
+            date: anomaly.flaggedDate ?? anomaly.date,
+            message: `${item.name}: ${describeAnomaly(anomaly)}`,
+            value: anomaly.type,
+          });
+        }
+      }
+      if (item.rules.minAprPct != null) {
+        const apr = await trailingApr(item, item.rules.aprWindowDays);
+        if (apr !== null) {
+          const { aprWindowDays, minAprPct } = item.rules;
+          await track(`apr-below:${item.name}`, apr < minAprPct, {
+            ...base,
+            rule: "apr-below",
+            block: head.block,
+            date: head.date,
+            message: `${item.name}: ${aprWindowDays}d APR ${apr.toFixed(2)}% (minimum ${minAprPct}%)`,
+            value: apr,
+            threshold: minAprPct,
+          });
+        }
+      }
+    }
+
+    await runWithProviderPool(chain.pool, async () => {
+      if (item.rules.priceDecrease) {
+        const price = await readPriceAtBlock(vault.discovery, head.block);
+        if (price !== null && vault.lastPrice !== null && price < vault.lastPrice) {
+          await emit({
+            ...base,
+            rule: "price-decrease",
+            block: head.block,
+            date: head.date,
+            message: `${item.name}: price ${vault.lastPrice} -> ${price} at block ${head.block}`,
+            value: price.toString(),
+            threshold: vault.lastPrice.toString(),
+          });
+        }
+        if (price !== null) vault.lastPrice = price;
+      }
+      if (item.rules.depositCapPct != null) {
+        const usage = await readDepositUsage(vault.discovery, head.block);
+        if (usage) {
+          await track(`deposit-cap:${item.name}`, usage.usagePct >= item.rules.depositCapPct, {
+            ...base,
+            rule: "deposit-cap",
+            block: head.block,
+            date: head.date,
+            message: `${item.name}: deposits ${usage.current} of cap ${usage.cap} (${usage.usagePct.toFixed(2)}%)`,
+            value: usage.usagePct,
+            threshold: item.rules.depositCapPct,
+          });
+        }
+      }
+    });
+  };
+
+  return {
+    /**
+     * Poll every chain once, then update and check every vault; a failing vault or chain is logged
+     * and retried on the next tick
+     */
+    async tick() {
+      counters.ticks += 1;
+      const before = counters.alerts;
+      for (const [chainKey, chain] of Object.entries(opts.chains)) {
+        try {
+          await checkChain(chainKey, chain);
+        } catch (err) {
+          delete heads[chainKey];
+          warn(`[${chainKey}] head poll failed: ${err.shortMessage || err.message}`);
+        }
+        await checkPool(chainKey, chain);
+      }
+      for (const vault of vaults) {
+        try {
+          await checkVault(vault);
+        } catch (err) {
+          warn(`[${vault.item.name}] check failed: ${err.shortMessage || err.message}`);
+        }
+      }
+      return counters.alerts - before;
+    },
+
+    stats() {
+      return { ...counters, firing: [...firing].filter(([, on]) => on).map(([key]) => key) };
+    },
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * CSV writer: rows plus "# Summary" footer (unless disabled) and a JSON summary sidecar
+ */
+
+import fs from "fs";
+import { PRICE_COLUMNS, parsePriceCsv, formatCsvRow, formatSummary, checkpointPath } from "../csv.js";
+import { rowRecord, recordRow, summaryObject } from "./index.js";
+
+export default function createCsvWriter(opts) {
+  const file = opts.path;
+  const sidecar = `${file}.summary.json`;
+  const toLine = (row) => formatCsvRow(PRICE_COLUMNS, rowRecord(row, opts));
+
+  return {
+    path: file,
+    checkpointPath: checkpointPath(file),
+
+    readExisting() {
+      if (!fs.existsSync(file)) return null;
+      const parsed = parsePriceCsv(fs.readFileSync(file, "utf8"));
+      let summary = Object.keys(parsed.summary).length ? summaryObject(Object.entries(parsed.summary)) : null;
+      if (!summary && fs.existsSync(sidecar)) summary = JSON.parse(fs.readFileSync(sidecar, "utf8"));
+      return { rows: parsed.rows.map((r) => recordRow(r.raw)).filter(Boolean), summary };
+    },
+
+    begin(rows) {
+      fs.writeFileSync(file, `${PRICE_COLUMNS.join(",")}\n${rows.map(toLine).join("")}`);
+    },
+
+    append(rows) {
+      if (rows.length) fs.appendFileSync(file, rows.map(toLine).join(""));
+    },
+
+    finish(entries) {
+      if (opts.footer !== false) fs.appendFileSync(file, formatSummary(entries));
+      fs.writeFileSync(sidecar, JSON.stringify(summaryObject(entries), null, 2));
+    },
+
+    // Files are not held open between calls
+    close() {},
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * Output writers for price history
+ *
+ * Every writer exposes:
+ *   - path / checkpointPath
+ *   - readExisting(): { rows, summary } of previously written data for this vault, or null
+ *   - begin(rows): (re)initialize output holding the given existing rows
+ *   - append(rows): persist newly sampled rows (called once per flushed batch)
+ *   - finish(summaryEntries): write summary metadata ([[label, value], ...]) and close
+ *   - close(): release the output without writing a summary (readers that only call readExisting)
+ *
+ * Rows passed in are typed ({ date, block, price: bigint, delta: bigint, totalSupply, totalAssets, tvl }, the
+ * last three bigint or null); writers serialize them with rowRecord().
+ */
+
+import { formatPrice } from "../assets.js";
+import csvWriter from "./csv.js";
+import jsonWriter from "./json.js";
+import ndjsonWriter from "./ndjson.js";
+import sqliteWriter from "./sqlite.js";
+
+export const OUTPUT_FORMATS = {
+  csv: { extension: "csv", create: csvWriter },
+  json: { extension: "json", create: jsonWriter },
+  ndjson: { extension: "ndjson", create: ndjsonWriter },
+  sqlite: { extension: "sqlite", create: sqliteWriter },
+};
+
+const EXTENSION_FORMATS = { csv: "csv", json: "json", ndjson: "ndjson", jsonl: "ndjson", sqlite: "sqlite", db: "sqlite" };
+
+/**
+ * Pick output format from explicit option or output file extension (default csv)
+ * @param {string|undefined} format - Requested format
+ * @param {string|undefined} outfile - Output path
+ * @returns {string} Format name
+ * @throws {Error} If format is unknown
+ */
+export function resolveOutputFormat(format, outfile) {
+  if (format) {
+    const f = format.toLowerCase();
+    if (!OUTPUT_FORMATS[f]) {
+      throw new Error(`unsupported format: ${format}; supported: ${Object.keys(OUTPUT_FORMATS).join(", ")}`);
+    }
+    return f;
+  }
+  const ext = (outfile || "").split(".").pop().toLowerCase();
+  return EXTENSION_FORMATS[ext] || "csv";
+}
+
+/**
+ * Default output path for a format
+ * @param {string} format - Format name
+ * @returns {string} File name
+ */
+export function defaultOutfile(format) {
+  return format === "sqlite" ? "prices.sqlite" : `price-history.${OUTPUT_FORMATS[format].extension}`;
+}
+
+/**
+ * Serialize a typed row into a plain record (bigints as decimal strings)
+ * @param {Object} row - { date, block, price, delta, totalSupply?, totalAssets?, tvl? }
+ * @param {Object} meta - { priceDecimals, assetSymbol }
+ * @returns {Object} { date, block, price, delta, price_decimal, asset, total_supply, total_assets, tvl, tvl_decimal }
+ */
+export function rowRecord(row, meta) {
+  return {
+    date: row.date,
+    block: row.block,
+    price: row.price.toString(),
+    delta: row.delta.toString(),
+    price_decimal: formatPrice(row.price, meta.priceDecimals),
+    asset: meta.assetSymbol ?? null,
+    total_supply: row.totalSupply?.toString() ?? null,
+    total_assets: row.totalAssets?.toString() ?? null,
+    tvl: row.tvl?.toString() ?? null,
+    tvl_decimal: formatPrice(row.tvl, meta.priceDecimals),
+  };
+}
+
+/**
+ * Parse an optional raw integer field
+ * @private
+ */
+function optionalBigInt(value) {
+  return /^-?\d+$/.test(String(value ?? "")) ? BigInt(value) : null;
+}
+
+/**
+ * Parse a serialized record back into a typed row
+ * @param {Object} record - Record from rowRecord (or a parsed CSV line)
+ * @returns {Object|null} Typed row or null if malformed
+ */
+export function recordRow(record) {
+  if (!record || !/^\d{4}-\d{2}-\d{2}$/.test(record.date) || !/^-?\d+$/.test(String(record.price))) return null;
+  const block = Number(record.block);
+  if (!Number.isInteger(block)) return null;
+  return {
+    date: record.date,
+    block,
+    price: BigInt(record.price),
+    delta: optionalBigInt(record.delta) ?? 0n,
+    totalSupply: optionalBigInt(record.total_supply),
+    totalAssets: optionalBigInt(record.total_assets),
+    tvl: optionalBigInt(record.tvl),
+  };
+}
+
+/**
+ * Convert footer entries into a structured object ("Start Date" -> startDate, "Generated At (UTC)" -> generatedAtUtc)
+ * @param {Array<[string, any]>} entries - Ordered [label, value] pairs
+ * @returns {Object} Summary object
+ */
+export function summaryObject(entries) {
+  const out = {};
+  for (const [label, value] of entries) {
+    const words = label.replace(/[^A-Za-z0-9]+/g, " ").trim().split(" ");
+    const key = words.map((w, i) => (i === 0 ? w.toLowerCase() : w[0].toUpperCase() + w.slice(1).toLowerCase())).join("");
+    out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * Create a writer
+ * @param {string} format - Format name (see OUTPUT_FORMATS)
+ * @param {Object} opts - { path, chainKey, address, priceDecimals, assetSymbol, footer }
+ * @returns {Promise<Object>} Writer
+ */
+export async function createWriter(format, opts) {
+  return OUTPUT_FORMATS[format].create(opts);
+}
+
+/**
+ * Read the data previously written for a vault, releasing the output afterwards
+ * @param {string} format - Format name (see OUTPUT_FORMATS)
+ * @param {Object} opts - { path, chainKey, address }
+ * @returns {Promise<Object|null>} readExisting() result: { rows, summary } or null
+ */
+export async function readOutput(format, opts) {
+  const reader = await createWriter(format, opts);
+  try {
+    return reader.readExisting();
+  } finally {
+    reader.close();
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * JSON writer: one document { summary, columns, rows }; rewritten on every flush so it is always valid
+ */
+
+import fs from "fs";
+import { PRICE_COLUMNS, checkpointPath } from "../csv.js";
+import { rowRecord, recordRow, summaryObject } from "./index.js";
+
+export default function createJsonWriter(opts) {
+  const file = opts.path;
+  let records = [];
+
+  const write = (summary) => {
+    fs.writeFileSync(file, JSON.stringify({ summary, columns: PRICE_COLUMNS, rows: records }, null, 2));
+  };
+
+  return {
+    path: file,
+    checkpointPath: checkpointPath(file),
+
+    readExisting() {
+      if (!fs.existsSync(file)) return null;
+      const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+      return { rows: (doc.rows || []).map(recordRow).filter(Boolean), summary: doc.summary || null };
+    },
+
+    begin(rows) {
+      records = rows.map((r) => rowRecord(r, opts));
+      write(null);
+    },
+
+    append(rows) {
+      if (!rows.length) return;
+      records.push(...rows.map((r) => rowRecord(r, opts)));
+      write(null);
+    },
+
+    finish(entries) {
+      write(summaryObject(entries));
+    },
+
+    // Files are not held open between calls
+    close() {},
+  };
+}
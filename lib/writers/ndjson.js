@@ -0,0 +1,50 @@
+/**
+ * NDJSON writer: one JSON record per line, summary in a `<out>.summary.json` sidecar
+ */
+
+import fs from "fs";
+import { checkpointPath } from "../csv.js";
+import { rowRecord, recordRow, summaryObject } from "./index.js";
+
+export default function createNdjsonWriter(opts) {
+  const file = opts.path;
+  const sidecar = `${file}.summary.json`;
+  const toLine = (row) => `${JSON.stringify(rowRecord(row, opts))}\n`;
+
+  return {
+    path: file,
+    checkpointPath: checkpointPath(file),
+
+    readExisting() {
+      if (!fs.existsSync(file)) return null;
+      const rows = [];
+      for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          const row = recordRow(JSON.parse(line));
+          if (row) rows.push(row);
+        } catch {
+          // partial last line from a killed run
+        }
+      }
+      const summary = fs.existsSync(sidecar) ? JSON.parse(fs.readFileSync(sidecar, "utf8")) : null;
+      return { rows, summary };
+    },
+
+    begin(rows) {
+      fs.writeFileSync(file, rows.map(toLine).join(""));
+      fs.rmSync(sidecar, { force: true });
+    },
+
+    append(rows) {
+      if (rows.length) fs.appendFileSync(file, rows.map(toLine).join(""));
+    },
+
+    finish(entries) {
+      fs.writeFileSync(sidecar, JSON.stringify(summaryObject(entries), null, 2));
+    },
+
+    // Files are not held open between calls
+    close() {},
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * SQLite writer: upserts into prices(chain, address, block, ...) so vaults and reruns accumulate in one database.
+ * Uses the built-in node:sqlite module (Node.js 22.13+).
+ */
+
+import { rowRecord, recordRow, summaryObject } from "./index.js";
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS prices (
+  chain TEXT NOT NULL,
+  address TEXT NOT NULL,
+  block INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  price TEXT NOT NULL,
+  delta TEXT,
+  price_decimal REAL,
+  asset TEXT,
+  total_supply TEXT,
+  total_assets TEXT,
+  tvl TEXT,
+  tvl_decimal REAL,
+  PRIMARY KEY (chain, address, block)
+);
+CREATE INDEX IF NOT EXISTS prices_by_date ON prices (chain, address, date);
+CREATE TABLE IF NOT EXISTS summaries (
+  chain TEXT NOT NULL,
+  address TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  summary TEXT NOT NULL,
+  PRIMARY KEY (chain, address)
+);
+`;
+
+/**
+ * Open database, with a clear error on Node versions without node:sqlite
+ * @private
+ */
+async function openDatabase(file) {
+  let sqlite;
+  try {
+    sqlite = await import("node:sqlite");
+  } catch {
+    // node:sqlite landed in 22.5 behind --experimental-sqlite and needs no flag from 22.13
+    throw new Error(`sqlite output requires Node.js 22.13+ (node:sqlite); running ${process.version}`);
+  }
+  const db = new sqlite.DatabaseSync(file);
+  db.exec(SCHEMA);
+  return db;
+}
+
+export default async function createSqliteWriter(opts) {
+  const file = opts.path;
+  const chain = opts.chainKey;
+  const address = opts.address.toLowerCase();
+  const db = await openDatabase(file);
+  let open = true;
+  const close = () => {
+    if (open) db.close();
+    open = false;
+  };
+
+  const upsert = db.prepare(`
+    INSERT INTO prices (chain, address, block, date, price, delta, price_decimal, asset,
+      total_supply, total_assets, tvl, tvl_decimal)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (chain, address, block) DO UPDATE SET
+      date = excluded.date, price = excluded.price, delta = excluded.delta,
+      price_decimal = excluded.price_decimal, asset = excluded.asset, total_supply = excluded.total_supply,
+      total_assets = excluded.total_assets, tvl = excluded.tvl, tvl_decimal = excluded.tvl_decimal
+  `);
+  const toReal = (value) => (value == null ? null : Number(value));
+
+  const insertRows = (rows) => {
+    if (!rows.length) return;
+    db.exec("BEGIN");
+    try {
+      for (const row of rows) {
+        const r = rowRecord(row, opts);
+        upsert.run(
+          chain,
+          address,
+          r.block,
+          r.date,
+          r.price,
+          r.delta,
+          toReal(r.price_decimal),
+          r.asset,
+          r.total_supply,
+          r.total_assets,
+          r.tvl,
+          toReal(r.tvl_decimal)
+        );
+      }
+      db.exec("COMMIT");
+    } catch (err) {
+      db.exec("ROLLBACK");
+      throw err;
+    }
+  };
+
+  return {
+    path: file,
+    checkpointPath: `${file}.${chain}-${address}.checkpoint.json`,
+
+    readExisting() {
+      const records = db
+        .prepare(
+          `SELECT date, block, price, delta, total_supply, total_assets, tvl FROM prices
+           WHERE chain = ? AND address = ? ORDER BY block`
+        )
+        .all(chain, address);
+      if (!records.length) return null;
+      const s = db.prepare("SELECT summary FROM summaries WHERE chain = ? AND address = ?").get(chain, address);
+      return { rows: records.map(recordRow).filter(Boolean), summary: s ? JSON.parse(s.summary) : null };
+    },
+
+    // Existing rows already live in the table; reruns upsert over them
+    begin() {},
+
+    append(rows) {
+      insertRows(rows);
+    },
+
+    finish(entries) {
+      db.prepare(
+        `INSERT INTO summaries (chain, address, updated_at, summary) VALUES (?, ?, ?, ?)
+         ON CONFLICT (chain, address) DO UPDATE SET updated_at = excluded.updated_at, summary = excluded.summary`
+      ).run(chain, address, new Date().toISOString(), JSON.stringify(summaryObject(entries)));
+      close();
+    },
+
+    close,
+  };
+}
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * analytics.js
+ *
+ * Yield analytics for a price history produced by backfill-price.js or portfolio.js: rolling APY,
+ * monthly/quarterly returns, annualized volatility, drawdown episodes and Sharpe ratio.
+ *
+ * Usage:
+ *   node scripts/analytics.js --in price-history.csv [--format text|json|markdown] [--out report.md]
+ *     [--risk-free 4.5] [--windows 7,30,90] [--top-drawdowns 5]
+ *   node scripts/analytics.js --in prices.sqlite --chain ethereum --address 0x...
+ *
+ * The input format follows the file extension (override with --input-format csv|json|ndjson|sqlite);
+ * sqlite files hold many vaults, so --chain and --address pick one.
+ */
+
+import fs from "fs";
+import dotenv from "dotenv";
+
+import { parseArgs } from "../lib/utils.js";
+import { normalizeChainKey } from "../lib/networks.js";
+import { resolveOutputFormat, readOutput } from "../lib/writers/index.js";
+import { analyzeSeries, formatReport, REPORT_FORMATS } from "../lib/analytics.js";
+
+dotenv.config();
+
+/**
+ * Main entry point: read a price history and print or write the report
+ */
+async function main() {
+  const schemaMap = {
+    in: "string",
+    inputFormat: "string",
+    chain: "string",
+    address: "string",
+    format: "string",
+    out: "string",
+    riskFree: "string",
+    windows: "string",
+    topDrawdowns: "number",
+  };
+  const opts = parseArgs(process.argv.slice(2), schemaMap);
+  if (!opts.in) {
+    console.error("provide --in <price history file>");
+    process.exit(1);
+  }
+  if (!fs.existsSync(opts.in)) throw new Error(`input not found: ${opts.in}`);
+
+  const format = (opts.format || "text").toLowerCase();
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`unsupported report format: ${opts.format}; supported: ${REPORT_FORMATS.join(", ")}`);
+  }
+  const riskFreePct = opts.riskFree == null ? undefined : Number(opts.riskFree);
+  if (riskFreePct !== undefined && !Number.isFinite(riskFreePct)) {
+    throw new Error(`--risk-free must be an annual rate in percent, got ${opts.riskFree}`);
+  }
+  const windows = opts.windows ? opts.windows.split(",").map((w) => Number(w.trim())) : undefined;
+  if (windows && !windows.every((w) => Number.isInteger(w) && w > 0)) {
+    throw new Error(`--windows must be comma-separated day counts, got ${opts.windows}`);
+  }
+
+  const inputFormat = resolveOutputFormat(opts.inputFormat, opts.in);
+  if (inputFormat === "sqlite" && (!opts.chain || !opts.address)) {
+    throw new Error("sqlite input holds many vaults; provide --chain and --address");
+  }
+  const existing = await readOutput(inputFormat, {
+    path: opts.in,
+    chainKey: normalizeChainKey(opts.chain),
+    address: opts.address,
+  });
+  const rows = [...(existing?.rows || [])].sort((a, b) => a.block - b.block);
+  if (!rows.length) throw new Error(`no price rows in ${opts.in}`);
+
+  const report = {
+    source: opts.in,
+    ...analyzeSeries(rows, { windows, riskFreePct, topDrawdowns: opts.topDrawdowns }),
+  };
+  const text = formatReport(report, format);
+  if (opts.out) {
+    fs.writeFileSync(opts.out, text);
+    console.log(`wrote ${format} report to ${opts.out}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
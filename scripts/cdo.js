@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * cdo.js
+ *
+ * Sample both tranches of an Idle/Pareto CDO side by side: priceAA/priceBB with realized APRs next to the
+ * CDO's reported getApr(), its APR split and AA ratio, and per-tranche TVL.
+ *
+ * Usage:
+ *   node scripts/cdo.js --vault <tranche_or_cdo_url_or_address> [--chain ethereum] [--out cdo-history.csv|.json]
+ *     [--start-date YYYY-MM-DD] [--end-date YYYY-MM-DD] [--start-block N] [--end-block N] [--block-step 7200]
+ *     [--batch-size 50] [--concurrency 4] [--no-multicall] [--max-rps 25] [--no-probe] [--no-cache]
+ *
+ * Either tranche token (resolved through minter()) or the CDO itself works as input. Without --block-step one
+ * sample is taken per 24h from the start block.
+ */
+
+import fs from "fs";
+import dotenv from "dotenv";
+
+import { parseArgs, parseDateToUnixSeconds, forEachWithConcurrency } from "../lib/utils.js";
+import { SAMPLER_CONFIG } from "../lib/config.js";
+import { loadNetworks, requireNetwork, normalizeChainKey, inferChainKey } from "../lib/networks.js";
+import { resolveVaultInput } from "../lib/resolver.js";
+import { runWithProviderPool, rpcCall, getBlockByTime, getDeployBlock, formatPoolStats } from "../lib/provider.js";
+import { getBlockHeaders } from "../lib/multicall.js";
+import { chunkBlocks } from "../lib/sampler.js";
+import { connectChain, describeProbes } from "../lib/backfill.js";
+import { formatCsvRow, formatSummary } from "../lib/csv.js";
+import { summaryObject } from "../lib/writers/index.js";
+import { CDO_COLUMNS, resolveCdo, sampleCdo, cdoRecord, summarizeCdo, cdoSummaryEntries } from "../lib/cdo.js";
+
+dotenv.config();
+
+/**
+ * Main entry point: sample a CDO's tranches and write the combined series
+ */
+async function main() {
+  const schemaMap = {
+    vault: "string",
+    chain: "string",
+    startDate: "string",
+    endDate: "string",
+    startBlock: "number",
+    endBlock: "number",
+    blockStep: "number",
+    out: "string",
+    batchSize: "number",
+    concurrency: "number",
+    noMulticall: "boolean",
+    rpcUrls: "string",
+    maxRps: "number",
+    noProbe: "boolean",
+    noCache: "boolean",
+    cacheDir: "string",
+    networksConfig: "string",
+    vaultMap: "string",
+  };
+  const opts = parseArgs(process.argv.slice(2), schemaMap);
+  if (!opts.vault) {
+    console.error("provide --vault <tranche_or_cdo_url_or_address>");
+    process.exit(1);
+  }
+  const outfile = opts.out || "cdo-history.csv";
+  const batchSize = opts.batchSize > 0 ? opts.batchSize : undefined;
+  const concurrency = opts.concurrency > 0 ? opts.concurrency : SAMPLER_CONFIG.CONCURRENCY;
+
+  const loadedNetworks = loadNetworks({ configFile: opts.networksConfig });
+  if (loadedNetworks.length) console.log(`loaded networks: ${loadedNetworks.join(", ")}`);
+  const target = await resolveVaultInput(opts.vault, { mapFile: opts.vaultMap });
+  if (target.source !== "address") console.log(`resolved ${opts.vault} -> ${target.address} (${target.source})`);
+  const chainKey = normalizeChainKey(opts.chain) || target.chainKey || inferChainKey(opts.vault) || "ethereum";
+  const chainCfg = requireNetwork(chainKey);
+  const chain = await connectChain(chainCfg.key, chainCfg, opts);
+  for (const line of describeProbes(chain.probes, chainCfg.chainId)) console.log(`rpc probe ${line}`);
+
+  try {
+    await runWithProviderPool(chain.pool, async () => {
+      const cdo = await resolveCdo(target.address);
+      console.log(`cdo: ${cdo.cdo}`);
+      console.log(`AA tranche: ${cdo.aa.symbol ?? "?"} ${cdo.aa.address}`);
+      console.log(`BB tranche: ${cdo.bb.symbol ?? "?"} ${cdo.bb.address}`);
+      console.log(`underlying asset: ${cdo.asset ? `${cdo.asset.symbol ?? "?"} ${cdo.asset.address}` : "unknown"}`);
+
+      const latestBlock = await rpcCall((p) => p.getBlockNumber());
+      const deployBlock = await getDeployBlock(cdo.cdo);
+      let startBlock = opts.startBlock;
+      let endBlock = opts.endBlock;
+      if (opts.startDate) startBlock = await getBlockByTime(parseDateToUnixSeconds(opts.startDate), 0, latestBlock);
+      if (opts.endDate) endBlock = await getBlockByTime(parseDateToUnixSeconds(opts.endDate), 0, latestBlock);
+      if (startBlock == null || startBlock < deployBlock) startBlock = deployBlock;
+      if (endBlock == null) endBlock = latestBlock;
+      if (endBlock < startBlock) throw new Error(`end block ${endBlock} is less than start block ${startBlock}`);
+      console.log(`range blocks: ${startBlock} -> ${endBlock} (cdo deployed at ${deployBlock})`);
+
+      const samples = [];
+      const samplerOpts = { multicall: !opts.noMulticall };
+      // Batches are sampled concurrently but kept in block order; a sample with neither price is dropped
+      const onBatch = (batch) => {
+        for (const s of batch) {
+          const priced = s.priceAA != null || s.priceBB != null;
+          if (priced && s.block !== samples[samples.length - 1]?.block) samples.push(s);
+        }
+      };
+      if (opts.blockStep > 0) {
+        const blocks = [];
+        for (let block = startBlock; block < endBlock; block += opts.blockStep) blocks.push(block);
+        blocks.push(endBlock);
+        console.log(`sampling ${blocks.length} blocks (step ${opts.blockStep}) with concurrency ${concurrency}`);
+        await forEachWithConcurrency(
+          chunkBlocks(blocks, batchSize),
+          concurrency,
+          (batch) => sampleCdo(cdo, batch, samplerOpts),
+          onBatch
+        );
+      } else {
+        const [startHeader, endHeader] = await getBlockHeaders([startBlock, endBlock]);
+        const dayTimes = [];
+        for (let ts = startHeader.timestamp; ts < endHeader.timestamp; ts += 24 * 3600) dayTimes.push(ts);
+        dayTimes.push(endHeader.timestamp);
+        console.log(`sampling ${dayTimes.length} days with concurrency ${concurrency}`);
+        await forEachWithConcurrency(
+          chunkBlocks(dayTimes, batchSize),
+          concurrency,
+          async (times) => {
+            const blocks = await Promise.all(times.map((ts) => getBlockByTime(ts, startBlock, endBlock)));
+            return sampleCdo(cdo, [...new Set(blocks)], samplerOpts);
+          },
+          onBatch
+        );
+      }
+      if (!samples.length) throw new Error(`priceAA()/priceBB() returned nothing on ${cdo.cdo} in range`);
+
+      const records = samples.map((s, i) => cdoRecord(cdo, s, samples[i - 1] ?? null));
+      const summary = summarizeCdo(samples);
+      const entries = cdoSummaryEntries(cdo, summary, samples);
+      entries.push(["Network", chain.networkLabel], ["Generated At (UTC)", new Date().toISOString()]);
+
+      console.log("tranche  return        realized APR  reported APR avg  reported APR last  max drawdown");
+      for (const [label, key] of [["AA", "aa"], ["BB", "bb"]]) {
+        const s = summary[key];
+        const pct = (value) => (value == null ? "n/a" : `${value.toFixed(4)}%`);
+        const cells = [
+          label.padEnd(8),
+          s.totalReturnPct.padEnd(13),
+          s.avgAprPct.padEnd(13),
+          pct(s.avgReportedAprPct).padEnd(17),
+          pct(s.lastReportedAprPct).padEnd(18),
+          `${s.maxDrawdown.toFixed(2)}%`,
+        ];
+        console.log(cells.join(" "));
+      }
+      for (const [label, value] of entries) {
+        if (label.startsWith("AA APR Split") || label.startsWith("AA TVL Ratio")) console.log(`${label}: ${value}`);
+      }
+
+      if (outfile.toLowerCase().endsWith(".json")) {
+        const doc = { summary: summaryObject(entries), columns: CDO_COLUMNS, rows: records };
+        fs.writeFileSync(outfile, JSON.stringify(doc, null, 2));
+      } else {
+        const rows = records.map((r) => formatCsvRow(CDO_COLUMNS, r)).join("");
+        fs.writeFileSync(outfile, `${CDO_COLUMNS.join(",")}\n${rows}${formatSummary(entries)}`);
+      }
+      console.log(`wrote ${records.length} rows to ${outfile}`);
+    });
+  } finally {
+    console.log("rpc endpoint stats:");
+    for (const line of formatPoolStats(chain.pool)) console.log(`  ${line}`);
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -2,125 +2,149 @@
 /**
  * dump-events.js
  *
- * Export addresses from contract event logs.
+ * Export a contract's event logs, decoded, to CSV or NDJSON (or as a list of the addresses they mention).
  *
  * Usage:
- *   node scripts/dump-events.js --contract-address 0x... [--start-block N] [--end-block N] [--out file.txt]
+ *   node scripts/dump-events.js --contract-address 0x... [--chain ethereum|base|arbitrum|optimism|polygon|<custom>]
+ *     [--event Transfer,Deposit|<signature>|<topic0>] [--start-block N] [--end-block N]
+ *     [--start-date YYYY-MM-DD] [--end-date YYYY-MM-DD] [--out events.csv] [--format csv|ndjson|addresses]
+ *     [--abi abi.json] [--chunk-size 50000] [--max-rps 25] [--no-probe] [--no-cache]
  *
- * Fetches ABI from Etherscan (if API key available) to decode events.
- * Otherwise, extracts addresses from raw log topics.
+ * Events are decoded with the contract's ABI from Etherscan/Sourcify (plus its implementation's when it
+ * is a proxy), an optional local --abi file and a built-in set of common events; anything else is exported
+ * with its raw topics and data. Logs are fetched through the chain's provider pool in chunks that shrink
+ * when an endpoint rejects the block range or result size.
  */
 
-import fs from "fs";
-import { ethers } from "ethers";
-import axios from "axios";
 import dotenv from "dotenv";
+import { ethers } from "ethers";
 
+import { parseArgs, parseDateToUnixSeconds } from "../lib/utils.js";
 import { QUERY_CONFIG } from "../lib/config.js";
-import { extractAddress, parseArgs } from "../lib/utils.js";
+import { loadNetworks, requireNetwork, normalizeChainKey, inferChainKey } from "../lib/networks.js";
+import {
+  runWithProviderPool,
+  rpcCall,
+  getBlockByTime,
+  getDeployBlock,
+  getLogsChunked,
+  formatPoolStats,
+} from "../lib/provider.js";
+import { getBlockHeaders } from "../lib/multicall.js";
+import { chunkBlocks } from "../lib/sampler.js";
+import { connectChain, describeProbes } from "../lib/backfill.js";
+import {
+  loadEventInterface,
+  resolveEventTopics,
+  eventRecord,
+  argColumns,
+  resolveEventFormat,
+  createEventWriter,
+} from "../lib/events.js";
 
 dotenv.config();
 
 const ENV_CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || process.env.VAULT_ADDRESS;
-const RPC_URL = process.env.RPC_URL;
-const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY;
-
-if (!RPC_URL) {
-  console.error("RPC_URL must be set in .env");
-  process.exit(1);
-}
-
-const provider = new ethers.JsonRpcProvider(RPC_URL);
 
 /**
- * Fetch contract ABI from Etherscan
+ * Timestamps of the blocks a chunk of logs falls in
  * @private
  */
-async function fetchAbi(address) {
-  if (!ETHERSCAN_API_KEY) {
-    throw new Error("ETHERSCAN_API_KEY not set; cannot fetch ABI");
-  }
-  const url = `https://api.etherscan.io/v2/api?chainid=1&module=contract&action=getabi&address=${address}&apikey=${ETHERSCAN_API_KEY}`;
-  const resp = await axios.get(url);
-  if (resp.data.status !== "1") {
-    throw new Error("failed to fetch ABI: " + resp.data.result);
+async function blockTimestamps(logs) {
+  const blocks = [...new Set(logs.map((l) => l.blockNumber))];
+  const timestamps = new Map();
+  for (const batch of chunkBlocks(blocks)) {
+    for (const header of await getBlockHeaders(batch)) timestamps.set(header.number, header.timestamp);
   }
-  return JSON.parse(resp.data.result);
+  return timestamps;
 }
 
 /**
- * Main entry point: extract addresses from contract events
+ * Main entry point: export decoded contract events
  */
 async function main() {
   const schemaMap = {
+    contractAddress: "string",
+    chain: "string",
+    event: "string",
     startBlock: "number",
     endBlock: "number",
+    startDate: "string",
+    endDate: "string",
+    out: "string",
     outfile: "string",
-    contractAddress: "string",
+    format: "string",
+    abi: "string",
+    chunkSize: "number",
+    rpcUrls: "string",
+    maxRps: "number",
+    noProbe: "boolean",
+    noCache: "boolean",
+    cacheDir: "string",
+    networksConfig: "string",
   };
   const opts = parseArgs(process.argv.slice(2), schemaMap);
-  const contractAddress = opts.contractAddress || ENV_CONTRACT_ADDRESS;
-  if (!contractAddress) {
+  const rawAddress = opts.contractAddress || ENV_CONTRACT_ADDRESS;
+  if (!rawAddress) {
     console.error("set CONTRACT_ADDRESS/VAULT_ADDRESS in env or pass --contract-address");
     process.exit(1);
   }
+  if (!ethers.isAddress(rawAddress)) throw new Error(`invalid contract address: ${rawAddress}`);
+  const contractAddress = ethers.getAddress(rawAddress);
 
-  const startBlock = opts.startBlock || 0;
-  const endBlock = opts.endBlock || (await provider.getBlockNumber());
+  const loadedNetworks = loadNetworks({ configFile: opts.networksConfig });
+  if (loadedNetworks.length) console.log(`loaded networks: ${loadedNetworks.join(", ")}`);
+  const chainCfg = requireNetwork(normalizeChainKey(opts.chain) || inferChainKey(rawAddress) || "ethereum");
+  const chain = await connectChain(chainCfg.key, chainCfg, opts);
+  for (const line of describeProbes(chain.probes, chainCfg.chainId)) console.log(`rpc probe ${line}`);
 
-  let abi;
-  try {
-    abi = await fetchAbi(contractAddress);
-  } catch (err) {
-    console.warn("could not fetch ABI, events will not be decoded");
-    abi = [];
-  }
+  const outfile = opts.out || opts.outfile || "events.csv";
+  const format = resolveEventFormat(opts.format, outfile);
+  const chunkSize = opts.chunkSize > 0 ? opts.chunkSize : QUERY_CONFIG.LOG_CHUNK_SIZE;
 
-  const iface = new ethers.Interface(abi);
-  const uniqueAddresses = new Set();
-
-  // Query logs in chunks to avoid RPC timeouts
-  for (let from = startBlock; from <= endBlock; from += QUERY_CONFIG.LOG_CHUNK_SIZE) {
-    const to = Math.min(from + QUERY_CONFIG.LOG_CHUNK_SIZE - 1, endBlock);
-    console.log(`querying logs ${from}-${to}...`);
+  try {
+    await runWithProviderPool(chain.pool, async () => {
+      const latestBlock = await rpcCall((p) => p.getBlockNumber());
+      let startBlock = opts.startBlock;
+      let endBlock = opts.endBlock;
+      if (opts.startDate) startBlock = await getBlockByTime(parseDateToUnixSeconds(opts.startDate), 0, latestBlock);
+      if (opts.endDate) endBlock = await getBlockByTime(parseDateToUnixSeconds(opts.endDate), 0, latestBlock);
+      if (startBlock == null) startBlock = await getDeployBlock(contractAddress);
+      if (endBlock == null) endBlock = latestBlock;
+      if (endBlock < startBlock) throw new Error(`end block ${endBlock} is less than start block ${startBlock}`);
+
+      const { iface, sources } = await loadEventInterface(contractAddress, chainCfg, { abiFile: opts.abi });
+      console.log(`event ABI: ${sources.join(", ")}`);
+      const topics = opts.event ? resolveEventTopics(iface, opts.event.split(",").map((s) => s.trim())) : null;
+      if (topics) {
+        console.log(`event filter: ${topics.map((t) => iface.getEvent(t)?.format("sighash") ?? t).join(", ")}`);
+      }
 
-    const logs = await provider.getLogs({
-      address: contractAddress,
-      fromBlock: from,
-      toBlock: to,
+      const writer = createEventWriter(format, { path: outfile, argColumns: argColumns(iface, topics) });
+      const filter = { address: contractAddress, ...(topics ? { topics: [topics] } : {}) };
+      console.log(`${chain.networkLabel} ${contractAddress}: blocks ${startBlock} -> ${endBlock} (chunk ${chunkSize})`);
+
+      let undecoded = 0;
+      await getLogsChunked(filter, startBlock, endBlock, chunkSize, {
+        onShrink: (size, err) => console.warn(`range rejected (${err.error?.message ?? err.message}); chunk ${size}`),
+        onChunk: async (logs, range) => {
+          const timestamps = await blockTimestamps(logs);
+          const records = logs.map((l) => eventRecord(iface, l, timestamps.get(l.blockNumber)));
+          undecoded += records.filter((r) => !r.event).length;
+          writer.append(records);
+          console.log(`logs ${range.fromBlock}-${range.toBlock}: ${logs.length}`);
+        },
+      });
+
+      const written = writer.finish();
+      if (undecoded) console.warn(`${undecoded} logs not decoded (exported with raw topics/data); try --abi`);
+      if (format === "addresses") console.log(`wrote ${written.addresses} unique addresses to ${outfile}`);
+      else console.log(`wrote ${written.records} events (${written.addresses} distinct addresses) to ${outfile}`);
     });
-
-    for (const log of logs) {
-      if (abi.length) {
-        try {
-          const parsed = iface.parseLog(log);
-          // Extract addresses from decoded log arguments
-          for (const key of Object.keys(parsed.args)) {
-            const val = parsed.args[key];
-            if (ethers.isAddress(val)) {
-              uniqueAddresses.add(ethers.getAddress(val));
-            }
-          }
-        } catch {
-          // Skip unparseable events
-        }
-      } else {
-        // If no ABI, extract address-like values from log topics
-        for (const topic of log.topics.slice(1)) {
-          if (topic.length === 66) {
-            const addr = `0x${topic.slice(26)}`;
-            if (ethers.isAddress(addr)) {
-              uniqueAddresses.add(ethers.getAddress(addr));
-            }
-          }
-        }
-      }
-    }
+  } finally {
+    console.log("rpc endpoint stats:");
+    for (const line of formatPoolStats(chain.pool)) console.log(`  ${line}`);
   }
-
-  const outfile = opts.outfile || "addresses.txt";
-  fs.writeFileSync(outfile, Array.from(uniqueAddresses).sort().join("\n"));
-  console.log(`wrote ${uniqueAddresses.size} unique addresses to ${outfile}`);
 }
 
 main().catch((e) => {
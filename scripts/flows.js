@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * flows.js
+ *
+ * Daily deposit/withdrawal flows of a vault from its events: inflow, outflow, net flow, unique depositors and
+ * withdrawers and the largest single flow per UTC day, in the underlying asset so it joins the price CSV by date.
+ *
+ * Usage:
+ *   node scripts/flows.js --vault <url_or_address> [--chain ethereum] [--out flows.csv|flows.json]
+ *     [--start-date YYYY-MM-DD] [--end-date YYYY-MM-DD] [--start-block N] [--end-block N] [--chunk-size 50000]
+ *     [--batch-size 50] [--no-multicall] [--max-rps 25] [--no-probe] [--no-cache]
+ *
+ * The vault is discovered the same way as backfill-price.js; its adapter decides which events count as flows
+ * (ERC4626 Deposit/Withdraw, share mints/burns, provisioner Enter/Exit settlements on its vault).
+ */
+
+import fs from "fs";
+import dotenv from "dotenv";
+
+import { parseArgs, parseDateToUnixSeconds } from "../lib/utils.js";
+import { QUERY_CONFIG } from "../lib/config.js";
+import { loadNetworks, requireNetwork, normalizeChainKey, inferChainKey } from "../lib/networks.js";
+import { resolveVaultInput } from "../lib/resolver.js";
+import { loadAdapters, prepareAdapter } from "../lib/adapters/index.js";
+import { discoverPriceSource } from "../lib/discovery.js";
+import { runWithProviderPool, rpcCall, getBlockByTime, getDeployBlock, formatPoolStats } from "../lib/provider.js";
+import { getBlockHeaders } from "../lib/multicall.js";
+import { connectChain, describeProbes } from "../lib/backfill.js";
+import { formatCsvRow, formatSummary } from "../lib/csv.js";
+import { summaryObject } from "../lib/writers/index.js";
+import {
+  FLOW_COLUMNS,
+  collectFlows,
+  dailyFlows,
+  flowRecord,
+  summarizeFlows,
+  flowSummaryEntries,
+} from "../lib/flows.js";
+
+dotenv.config();
+
+/**
+ * Main entry point: collect a vault's flows and write the daily series
+ */
+async function main() {
+  const schemaMap = {
+    vault: "string",
+    chain: "string",
+    startDate: "string",
+    endDate: "string",
+    startBlock: "number",
+    endBlock: "number",
+    out: "string",
+    chunkSize: "number",
+    batchSize: "number",
+    noMulticall: "boolean",
+    priceFn: "string",
+    adapter: "string",
+    rpcUrls: "string",
+    maxRps: "number",
+    noProbe: "boolean",
+    noCache: "boolean",
+    cacheDir: "string",
+    adaptersDir: "string",
+    adaptersConfig: "string",
+    networksConfig: "string",
+    vaultMap: "string",
+  };
+  const opts = parseArgs(process.argv.slice(2), schemaMap);
+  if (!opts.vault) {
+    console.error("provide --vault <url_or_address>");
+    process.exit(1);
+  }
+  const outfile = opts.out || "flows.csv";
+
+  const loadedNetworks = loadNetworks({ configFile: opts.networksConfig });
+  if (loadedNetworks.length) console.log(`loaded networks: ${loadedNetworks.join(", ")}`);
+  const loadedAdapters = await loadAdapters({ dir: opts.adaptersDir, configFile: opts.adaptersConfig });
+  if (loadedAdapters.length) console.log(`loaded adapters: ${loadedAdapters.join(", ")}`);
+
+  const target = await resolveVaultInput(opts.vault, { mapFile: opts.vaultMap });
+  if (target.source !== "address") console.log(`resolved ${opts.vault} -> ${target.address} (${target.source})`);
+  const chainKey = normalizeChainKey(opts.chain) || target.chainKey || inferChainKey(opts.vault) || "ethereum";
+  const chainCfg = requireNetwork(chainKey);
+  const chain = await connectChain(chainCfg.key, chainCfg, opts);
+  for (const line of describeProbes(chain.probes, chainCfg.chainId)) console.log(`rpc probe ${line}`);
+
+  try {
+    await runWithProviderPool(chain.pool, async () => {
+      const discovery = await discoverPriceSource(target.address, opts);
+      console.log(`source: ${discovery.mode} ${discovery.sourceAddress}`);
+
+      const latestBlock = await rpcCall((p) => p.getBlockNumber());
+      const deployBlock = await getDeployBlock(discovery.sourceAddress);
+      let startBlock = opts.startBlock;
+      let endBlock = opts.endBlock;
+      if (opts.startDate) startBlock = await getBlockByTime(parseDateToUnixSeconds(opts.startDate), 0, latestBlock);
+      if (opts.endDate) endBlock = await getBlockByTime(parseDateToUnixSeconds(opts.endDate), 0, latestBlock);
+      if (startBlock == null || startBlock < deployBlock) startBlock = deployBlock;
+      if (endBlock == null) endBlock = latestBlock;
+      if (endBlock < startBlock) throw new Error(`end block ${endBlock} is less than start block ${startBlock}`);
+      await prepareAdapter(discovery, { deployBlock, startBlock, endBlock });
+      console.log(`asset: ${discovery.assetSymbol ?? "?"} ${discovery.assetAddress ?? ""}`.trim());
+      console.log(`range blocks: ${startBlock} -> ${endBlock} (source deployed at ${deployBlock})`);
+
+      const result = await collectFlows(discovery, {
+        fromBlock: startBlock,
+        toBlock: endBlock,
+        chunkSize: opts.chunkSize > 0 ? opts.chunkSize : QUERY_CONFIG.LOG_CHUNK_SIZE,
+        batchSize: opts.batchSize > 0 ? opts.batchSize : undefined,
+        multicall: !opts.noMulticall,
+        onShrink: (size, err) => console.warn(`range rejected (${err.error?.message ?? err.message}); chunk ${size}`),
+        onChunk: (source, range, found) => {
+          console.log(`${source.kind} logs ${range.fromBlock}-${range.toBlock}: ${found} flows`);
+        },
+      });
+      const { flows, amountDecimals } = result;
+      if (result.unpriced) {
+        const count = `${result.unpriced} flows had no share price at their block or no settled amount`;
+        console.warn(`${count}; counted but left out of amounts`);
+      }
+
+      const [startHeader, endHeader] = await getBlockHeaders([startBlock, endBlock]);
+      const days = dailyFlows(flows, startHeader.timestamp, endHeader.timestamp);
+      const summary = summarizeFlows(flows, days);
+      const entries = flowSummaryEntries(summary, { ...result, assetSymbol: discovery.assetSymbol, days });
+      entries.push(["Network", chain.networkLabel], ["Generated At (UTC)", new Date().toISOString()]);
+      for (const [label, value] of entries.slice(2, 11)) console.log(`${label}: ${value}`);
+
+      const records = days.map((d) => flowRecord(d, amountDecimals, discovery.assetSymbol));
+      if (outfile.toLowerCase().endsWith(".json")) {
+        const doc = { summary: summaryObject(entries), columns: FLOW_COLUMNS, rows: records };
+        fs.writeFileSync(outfile, JSON.stringify(doc, null, 2));
+      } else {
+        const rows = records.map((r) => formatCsvRow(FLOW_COLUMNS, r)).join("");
+        fs.writeFileSync(outfile, `${FLOW_COLUMNS.join(",")}\n${rows}${formatSummary(entries)}`);
+      }
+      console.log(`wrote ${records.length} days (${flows.length} flows) to ${outfile}`);
+    });
+  } finally {
+    console.log("rpc endpoint stats:");
+    for (const line of formatPoolStats(chain.pool)) console.log(`  ${line}`);
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * holders.js
+ *
+ * Reconstruct a vault token's holder balances from its Transfer logs and report holder count, top holders
+ * and concentration (HHI, Gini) at one block or over time, checking the replayed supply against totalSupply().
+ *
+ * Usage:
+ *   node scripts/holders.js --vault <url_or_address> [--chain ethereum] [--block N | --date YYYY-MM-DD]
+ *   node scripts/holders.js --vault <url_or_address> --interval daily|weekly|monthly [--start-date YYYY-MM-DD]
+ *     [--end-date YYYY-MM-DD] [--top 10] [--exclude 0x...,0x...] [--out holders.csv|holders.json]
+ *     [--balances balances.csv] [--token 0x...] [--chunk-size 50000] [--max-rps 25] [--no-probe] [--no-cache]
+ *
+ * The token is the discovered vault token (tranche token, ERC4626 vault, provisioner's vault) unless --token
+ * is given. Logs are always replayed from the token's deploy block; --start-date only moves the first snapshot.
+ */
+
+import fs from "fs";
+import dotenv from "dotenv";
+import { ethers } from "ethers";
+
+import { parseArgs, parseDateToUnixSeconds, tryCall } from "../lib/utils.js";
+import { QUERY_CONFIG, HOLDERS_CONFIG } from "../lib/config.js";
+import { loadNetworks, requireNetwork, normalizeChainKey, inferChainKey } from "../lib/networks.js";
+import { resolveVaultInput } from "../lib/resolver.js";
+import { loadAdapters } from "../lib/adapters/index.js";
+import { discoverPriceSource } from "../lib/discovery.js";
+import {
+  runWithProviderPool,
+  rpcCall,
+  getBlockByTime,
+  getDeployBlock,
+  formatPoolStats,
+} from "../lib/provider.js";
+import { getBlockHeaders } from "../lib/multicall.js";
+import { connectChain, describeProbes } from "../lib/backfill.js";
+import { formatCsvRow } from "../lib/csv.js";
+import { reconstructHolders, snapshotTimes } from "../lib/holders.js";
+
+dotenv.config();
+
+/**
+ * Token whose holders are counted: a provisioner's vault token, otherwise the input itself (tranche token,
+ * ERC4626/Yearn vault); discovery failures fall back to the input
+ * @private
+ */
+async function resolveToken(inputAddress, opts, log) {
+  if (opts.token) return ethers.getAddress(opts.token);
+  try {
+    const discovery = await discoverPriceSource(inputAddress, {});
+    const token = discovery.vaultAddress ?? inputAddress;
+    log(`discovered ${discovery.mode} source ${discovery.sourceAddress}; holder token ${token}`);
+    return ethers.getAddress(token);
+  } catch (err) {
+    log(`no price source discovered (${err.shortMessage || err.message}); counting holders of ${inputAddress}`);
+    return ethers.getAddress(inputAddress);
+  }
+}
+
+/**
+ * Format a raw amount with token decimals (raw when decimals are unknown)
+ * @private
+ */
+function formatAmount(value, decimals) {
+  if (value == null) return "n/a";
+  return decimals == null ? value.toString() : ethers.formatUnits(value, decimals);
+}
+
+/**
+ * Supply check cell: ok, or the drift between replayed balances and totalSupply()
+ * @private
+ */
+function describeDrift(snapshot, decimals) {
+  if (snapshot.drift === null) return "totalSupply() unavailable";
+  if (snapshot.drift === 0n) return "ok";
+  return `drift ${formatAmount(snapshot.drift, decimals)} (${snapshot.driftPct.toFixed(6)}%)`;
+}
+
+/**
+ * Sum of the top holders' shares
+ * @private
+ */
+function topSharePct(snapshot, n) {
+  return snapshot.top.slice(0, n).reduce((sum, h) => sum + h.sharePct, 0);
+}
+
+/**
+ * Main entry point: replay transfers and print or write holder snapshots
+ */
+async function main() {
+  const schemaMap = {
+    vault: "string",
+    token: "string",
+    chain: "string",
+    block: "number",
+    date: "string",
+    interval: "string",
+    startDate: "string",
+    endDate: "string",
+    top: "number",
+    exclude: "string",
+    out: "string",
+    balances: "string",
+    chunkSize: "number",
+    rpcUrls: "string",
+    maxRps: "number",
+    noProbe: "boolean",
+    noCache: "boolean",
+    cacheDir: "string",
+    adaptersDir: "string",
+    adaptersConfig: "string",
+    networksConfig: "string",
+    vaultMap: "string",
+  };
+  const opts = parseArgs(process.argv.slice(2), schemaMap);
+  const rawTarget = opts.vault || opts.token;
+  if (!rawTarget) {
+    console.error("provide --vault <url_or_address> or --token <address>");
+    process.exit(1);
+  }
+  if (opts.interval && (opts.block != null || opts.date)) throw new Error("use --interval or --block/--date, not both");
+  const top = opts.top > 0 ? opts.top : HOLDERS_CONFIG.TOP_N;
+  const extraExcluded = opts.exclude ? opts.exclude.split(",") : [];
+  const exclude = new Set([...HOLDERS_CONFIG.EXCLUDED_ADDRESSES, ...extraExcluded].map((a) => a.trim().toLowerCase()));
+
+  const loadedNetworks = loadNetworks({ configFile: opts.networksConfig });
+  if (loadedNetworks.length) console.log(`loaded networks: ${loadedNetworks.join(", ")}`);
+  const loadedAdapters = await loadAdapters({ dir: opts.adaptersDir, configFile: opts.adaptersConfig });
+  if (loadedAdapters.length) console.log(`loaded adapters: ${loadedAdapters.join(", ")}`);
+
+  const target = await resolveVaultInput(rawTarget, { mapFile: opts.vaultMap });
+  if (target.source !== "address") console.log(`resolved ${rawTarget} -> ${target.address} (${target.source})`);
+  const chainKey = normalizeChainKey(opts.chain) || target.chainKey || inferChainKey(rawTarget) || "ethereum";
+  const chainCfg = requireNetwork(chainKey);
+  const chain = await connectChain(chainCfg.key, chainCfg, opts);
+  for (const line of describeProbes(chain.probes, chainCfg.chainId)) console.log(`rpc probe ${line}`);
+
+  try {
+    await runWithProviderPool(chain.pool, async () => {
+      const token = await resolveToken(target.address, opts, console.log);
+      const latestBlock = await rpcCall((p) => p.getBlockNumber());
+      const deployBlock = await getDeployBlock(token);
+      const symbol = await tryCall(token, "function symbol() view returns (string)", "symbol");
+      const decimalsRes = await tryCall(token, "function decimals() view returns (uint8)", "decimals");
+      const decimals = decimalsRes.ok ? Number(decimalsRes.value) : null;
+
+      let endBlock = opts.block ?? latestBlock;
+      if (opts.date) endBlock = await getBlockByTime(parseDateToUnixSeconds(opts.date), 0, latestBlock);
+      if (opts.endDate) endBlock = await getBlockByTime(parseDateToUnixSeconds(opts.endDate), 0, latestBlock);
+      if (endBlock < deployBlock) {
+        throw new Error(`snapshot block ${endBlock} is before token deploy block ${deployBlock}`);
+      }
+
+      const snapshotBlocks = [];
+      if (opts.interval) {
+        const [deployHeader, endHeader] = await getBlockHeaders([deployBlock, endBlock]);
+        const startTs = opts.startDate ? parseDateToUnixSeconds(opts.startDate) : deployHeader.timestamp;
+        for (const ts of snapshotTimes(startTs, endHeader.timestamp, opts.interval.toLowerCase())) {
+          const block = await getBlockByTime(ts, deployBlock, endBlock);
+          if (block >= deployBlock && block < endBlock && block !== snapshotBlocks[snapshotBlocks.length - 1]) {
+            snapshotBlocks.push(block);
+          }
+        }
+      }
+      snapshotBlocks.push(endBlock);
+
+      console.log(`token: ${symbol.ok ? symbol.value : "?"} ${token} (${decimals ?? "unknown"} decimals)`);
+      console.log(`replaying transfers ${deployBlock} -> ${endBlock}; ${snapshotBlocks.length} snapshots`);
+      const result = await reconstructHolders(token, {
+        fromBlock: deployBlock,
+        toBlock: endBlock,
+        snapshotBlocks,
+        top,
+        exclude,
+        chunkSize: opts.chunkSize > 0 ? opts.chunkSize : QUERY_CONFIG.LOG_CHUNK_SIZE,
+        onShrink: (size, err) => console.warn(`range rejected (${err.error?.message ?? err.message}); chunk ${size}`),
+        onChunk: (range, transfers) => console.log(`logs ${range.fromBlock}-${range.toBlock}: ${transfers} transfers`),
+      });
+      const { snapshots } = result;
+      console.log(`transfers: ${result.transfers} replayed, ${result.skipped} skipped (not ERC20 Transfer layout)`);
+
+      console.log(`date        block       holders  HHI       Gini    top1     top${top}    supply check`);
+      for (const s of snapshots) {
+        const cells = [
+          s.date.padEnd(11),
+          String(s.block).padEnd(11),
+          String(s.holders).padEnd(8),
+          (s.hhi === null ? "n/a" : s.hhi.toFixed(1)).padEnd(9),
+          (s.gini === null ? "n/a" : s.gini.toFixed(4)).padEnd(7),
+          `${topSharePct(s, 1).toFixed(2)}%`.padEnd(8),
+          `${topSharePct(s, top).toFixed(2)}%`.padEnd(8),
+          describeDrift(s, decimals),
+        ];
+        console.log(cells.join(" "));
+      }
+
+      const last = snapshots[snapshots.length - 1];
+      console.log(`top ${last.top.length} holders at ${last.date} block ${last.block}:`);
+      last.top.forEach((h, i) => {
+        const balance = formatAmount(h.balance, decimals);
+        console.log(`  ${String(i + 1).padStart(3)}. ${h.address} ${balance} (${h.sharePct.toFixed(2)}%)`);
+      });
+
+      const drifting = snapshots.filter((s) => s.drift !== null && s.drift !== 0n);
+      if (drifting.length) {
+        console.warn(`${drifting.length} snapshots differ from totalSupply() (rebasing or fee-on-transfer token?)`);
+      }
+      if (last.negative.length) console.warn(`negative balances (missed logs?): ${last.negative.join(", ")}`);
+
+      if (opts.out) {
+        if (opts.out.toLowerCase().endsWith(".json")) {
+          const doc = {
+            chain: chain.networkLabel,
+            token,
+            symbol: symbol.ok ? symbol.value : null,
+            decimals,
+            deployBlock,
+            transfers: result.transfers,
+            skipped: result.skipped,
+            snapshots,
+          };
+          fs.writeFileSync(opts.out, JSON.stringify(doc, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2));
+        } else {
+          const topCol = `top${top}_pct`;
+          const columns = ["date", "block", "holders", "reconstructed_supply", "total_supply", "drift", "drift_pct"];
+          columns.push("hhi", "gini", "top1_pct", topCol);
+          const rows = snapshots.map((s) =>
+            formatCsvRow(columns, {
+              ...s,
+              reconstructed_supply: s.reconstructedSupply,
+              total_supply: s.totalSupply,
+              drift_pct: s.driftPct,
+              top1_pct: topSharePct(s, 1),
+              [topCol]: topSharePct(s, top),
+            })
+          );
+          fs.writeFileSync(opts.out, `${columns.join(",")}\n${rows.join("")}`);
+        }
+        console.log(`wrote ${snapshots.length} snapshots to ${opts.out}`);
+      }
+
+      if (opts.balances) {
+        const held = [...result.balances]
+          .filter(([address, balance]) => balance !== 0n && address !== ethers.ZeroAddress)
+          .sort(([, a], [, b]) => (a === b ? 0 : a > b ? -1 : 1));
+        const columns = ["address", "balance", "balance_decimal", "share_pct", "excluded"];
+        const shareOf = (balance) => Number((balance * 10n ** 8n) / last.heldSupply) / 1e6;
+        const rows = held.map(([address, balance]) =>
+          formatCsvRow(columns, {
+            address: ethers.getAddress(address),
+            balance,
+            balance_decimal: decimals == null ? null : ethers.formatUnits(balance, decimals),
+            share_pct: exclude.has(address) || !last.heldSupply ? null : shareOf(balance),
+            excluded: exclude.has(address),
+          })
+        );
+        fs.writeFileSync(opts.balances, `${columns.join(",")}\n${rows.join("")}`);
+        console.log(`wrote ${held.length} balances at block ${endBlock} to ${opts.balances}`);
+      }
+    });
+  } finally {
+    console.log("rpc endpoint stats:");
+    for (const line of formatPoolStats(chain.pool)) console.log(`  ${line}`);
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * portfolio.js
+ *
+ * Backfill every vault listed in a portfolio file and write a combined index report.
+ *
+ * Usage:
+ *   node scripts/portfolio.js --config portfolio.json [--concurrency 3] [--out-dir out] [--only name1,name2]
+ *     [--sample-concurrency 4] [--max-rps 25]
+ *
+ * Portfolio file (JSON or YAML):
+ *   {
+ *     "concurrency": 2,
+ *     "outDir": "portfolio",
+ *     "defaults": { "blockStep": 7200 },
+ *     "networks": { "sonic": { "chainId": 146, "explorer": "https://sonicscan.org/", "rpcUrls": ["https://rpc.soniclabs.com"] } },
+ *     "vaults": [
+ *       { "name": "rockawayx", "vault": "https://app.pareto.credit/vault#0x...", "chain": "ethereum",
+ *         "priceFn": "priceAA", "startDate": "2025-01-01", "endDate": "2025-06-30", "out": "rockawayx.csv" }
+ *     ]
+ *   }
+ *
+ * One provider pool (and RPC cache) is shared per chain; vaults run with bounded concurrency, each sampling
+ * up to sampleConcurrency batches at once. The per-endpoint --max-rps limit is shared by every vault on a chain.
+ */
+
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+
+import { parseArgs, mapWithConcurrency } from "../lib/utils.js";
+import { ANOMALY_CONFIG } from "../lib/config.js";
+import { requireNetwork } from "../lib/networks.js";
+import { loadPortfolio, loadPortfolioExtensions, resolveEntry } from "../lib/portfolio.js";
+import { formatPoolStats } from "../lib/provider.js";
+import { connectChain, describeProbes, runBackfill } from "../lib/backfill.js";
+import { formatCsvRow } from "../lib/csv.js";
+import { formatPrice } from "../lib/assets.js";
+
+dotenv.config();
+
+const INDEX_COLUMNS = [
+  "name",
+  "chain",
+  "address",
+  "source",
+  "mode",
+  "method",
+  "start_date",
+  "end_date",
+  "days",
+  "observations",
+  "asset",
+  "start_price",
+  "end_price",
+  "end_price_decimal",
+  "total_return",
+  "apr",
+  "max_drawdown",
+  "volatility",
+  "anomalies",
+  "out",
+  "status",
+  "error",
+];
+
+/**
+ * Build one index row from a backfill result
+ * @private
+ */
+function indexRow(item, result, error) {
+  const stats = result?.stats;
+  return {
+    name: item.name,
+    chain: item.chainKey,
+    address: item.address,
+    source: result?.discovery?.sourceAddress,
+    mode: result?.discovery?.mode,
+    method: result?.discovery?.sourceFunction,
+    start_date: stats?.firstDate,
+    end_date: stats?.lastDate,
+    days: stats?.days,
+    observations: stats?.observations,
+    asset: result?.discovery?.assetSymbol,
+    start_price: stats?.firstPriceRaw,
+    end_price: stats?.lastPriceRaw,
+    end_price_decimal: stats?.lastPriceRaw != null ? formatPrice(BigInt(stats.lastPriceRaw), result.discovery.priceDecimals) : null,
+    total_return: stats?.totalReturnPct,
+    apr: stats?.avgAprPct,
+    max_drawdown: stats ? `${stats.maxDrawdown.toFixed(2)}%` : null,
+    volatility: stats?.volatilityPct,
+    anomalies: result?.anomalies?.length,
+    out: item.options.out,
+    status: error ? "failed" : "ok",
+    error: error ? (error.shortMessage || error.message).replace(/[\r\n,]+/g, " ") : null,
+  };
+}
+
+/**
+ * Main entry point: backfill all portfolio vaults and write index report
+ */
+async function main() {
+  const schemaMap = {
+    config: "string",
+    concurrency: "number",
+    sampleConcurrency: "number",
+    maxRps: "number",
+    outDir: "string",
+    only: "string",
+    index: "string",
+    rpcUrls: "string",
+    noProbe: "boolean",
+    noCache: "boolean",
+    cacheDir: "string",
+    noMulticall: "boolean",
+    noTvl: "boolean",
+    resume: "boolean",
+    format: "string",
+    adaptersDir: "string",
+    adaptersConfig: "string",
+    networksConfig: "string",
+    vaultMap: "string",
+  };
+  const opts = parseArgs(process.argv.slice(2), schemaMap);
+  if (!opts.config) {
+    console.error("provide --config <portfolio.json|portfolio.yaml>");
+    process.exit(1);
+  }
+
+  const cfg = loadPortfolio(opts.config);
+  const outDir = opts.outDir || cfg.outDir || ".";
+  const concurrency = opts.concurrency || cfg.concurrency || 2;
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const loaded = await loadPortfolioExtensions(cfg, opts, opts.config);
+  if (loaded.networks.length) console.log(`loaded networks: ${loaded.networks.join(", ")}`);
+  if (loaded.adapters.length) console.log(`loaded adapters: ${loaded.adapters.join(", ")}`);
+
+  const only = opts.only ? new Set(opts.only.split(",").map((s) => s.trim())) : null;
+  const items = cfg.vaults
+    .map((entry) => resolveEntry(entry, cfg, outDir, { format: opts.format, vaultMap: opts.vaultMap || cfg.vaultMap }))
+    .filter((item) => !only || only.has(item.name));
+  if (!items.length) throw new Error(`no vaults selected from ${opts.config}`);
+
+  // One pool (and cache) per chain, shared by every vault on it
+  const chains = {};
+  for (const chainKey of new Set(items.map((i) => i.chainKey))) {
+    chains[chainKey] = await connectChain(chainKey, requireNetwork(chainKey), {
+      rpcUrls: opts.rpcUrls,
+      noCache: opts.noCache,
+      cacheDir: opts.cacheDir,
+      noProbe: opts.noProbe,
+      maxRps: opts.maxRps ?? cfg.maxRps,
+    });
+    console.log(`[${chainKey}] rpc pool (${chains[chainKey].rpcUrls.length}): ${chains[chainKey].rpcUrls.join(", ")}`);
+    for (const line of describeProbes(chains[chainKey].probes, chains[chainKey].chainCfg.chainId)) {
+      console.log(`[${chainKey}] rpc probe ${line}`);
+    }
+  }
+
+  console.log(`running ${items.length} vaults with concurrency ${concurrency}`);
+  let newAnomalies = 0;
+  const rows = await mapWithConcurrency(items, concurrency, async (item) => {
+    const prefix = `[${item.name}]`;
+    const runOpts = {
+      ...item.options,
+      concurrency: opts.sampleConcurrency || item.options.sampleConcurrency,
+      noMulticall: opts.noMulticall || item.options.noMulticall,
+      noTvl: opts.noTvl || item.options.noTvl,
+      resume: opts.resume || item.options.resume,
+      log: (msg) => console.log(`${prefix} ${msg}`),
+      warn: (msg) => console.warn(`${prefix} ${msg}`),
+    };
+    try {
+      const result = await runBackfill(item.address, runOpts, chains[item.chainKey]);
+      newAnomalies += result.newAnomalies?.length || 0;
+      return indexRow(item, result, null);
+    } catch (err) {
+      console.error(`${prefix} failed: ${err.shortMessage || err.message}`);
+      return indexRow(item, null, err);
+    }
+  });
+
+  const indexBase = path.join(outDir, opts.index || cfg.index || "portfolio-index");
+  fs.writeFileSync(
+    `${indexBase}.csv`,
+    `${INDEX_COLUMNS.join(",")}\n${rows.map((r) => formatCsvRow(INDEX_COLUMNS, r)).join("")}`
+  );
+  fs.writeFileSync(
+    `${indexBase}.json`,
+    JSON.stringify({ generatedAt: new Date().toISOString(), vaults: rows }, null, 2)
+  );
+
+  for (const r of rows) {
+    const line =
+      r.status === "ok"
+        ? `apr ${r.apr}, drawdown ${r.max_drawdown}, vol ${r.volatility}, anomalies ${r.anomalies}`
+        : `FAILED ${r.error}`;
+    console.log(`${r.name} (${r.chain}): ${line}`);
+  }
+  console.log(`index written to ${indexBase}.csv and ${indexBase}.json`);
+
+  for (const chain of Object.values(chains)) {
+    if (chain.cache) {
+      const s = chain.cache.stats();
+      console.log(`[${chain.chainKey}] rpc cache: ${s.hits} hits, ${s.misses} misses, ${s.stored} stored`);
+    }
+    if (chain.blockIndex) {
+      const s = chain.blockIndex.stats();
+      console.log(`[${chain.chainKey}] block index: ${s.points} points (${s.stored} new), ${s.exact} exact hits`);
+    }
+    console.log(`[${chain.chainKey}] rpc endpoint stats:`);
+    for (const line of formatPoolStats(chain.pool)) console.log(`  ${line}`);
+  }
+
+  if (rows.some((r) => r.status !== "ok")) process.exit(1);
+  if (newAnomalies) {
+    console.warn(`${newAnomalies} new anomalies; exiting with status ${ANOMALY_CONFIG.EXIT_CODE}`);
+    process.exitCode = ANOMALY_CONFIG.EXIT_CODE;
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * resolve-url.js
+ *
+ * Resolve a vault app URL (including slug links such as https://app.gauntlet.xyz/vaults/gpaafalconx)
+ * to an address and chain, and optionally record the result in the local slug map.
+ *
+ * Usage:
+ *   node scripts/resolve-url.js --url <app_url> [--html saved-page.html] [--fetch] [--save] [--vault-map vault-map.json]
+ *     [--address 0x...] [--chain ethereum]
+ *
+ * --html / --fetch rank addresses embedded in the page; --save writes the chosen address (or --address)
+ * under "<site>:<slug>" so later backfill runs resolve the slug without the page.
+ */
+
+import dotenv from "dotenv";
+
+import { parseArgs, extractAddress } from "../lib/utils.js";
+import { normalizeChainKey } from "../lib/networks.js";
+import { matchSiteRule, resolveVaultInput, saveVaultMapEntry, resolveMapFile } from "../lib/resolver.js";
+
+dotenv.config();
+
+/**
+ * Main entry point: resolve URL, print candidates, optionally save map entry
+ */
+async function main() {
+  const schemaMap = {
+    url: "string",
+    vault: "string",
+    html: "string",
+    fetch: "boolean",
+    save: "boolean",
+    vaultMap: "string",
+    address: "string",
+    chain: "string",
+    top: "number",
+  };
+  const opts = parseArgs(process.argv.slice(2), schemaMap);
+  const input = opts.url || opts.vault;
+  if (!input) {
+    console.error("provide --url <app_url>");
+    process.exit(1);
+  }
+
+  const rule = matchSiteRule(input);
+  const manual = extractAddress(opts.address);
+  // --html/--fetch re-rank from the page even when a map entry exists, so the map can be refreshed
+  const resolved = manual
+    ? { ...(rule || {}), address: manual, source: "manual" }
+    : await resolveVaultInput(input, {
+        mapFile: opts.vaultMap,
+        htmlFile: opts.html,
+        fetch: opts.fetch,
+        refresh: Boolean(opts.html || opts.fetch),
+      });
+  const chainKey = normalizeChainKey(opts.chain) || resolved.chainKey || rule?.chainKey || null;
+
+  console.log(`input: ${input}`);
+  if (rule) console.log(`site: ${rule.site} slug: ${rule.slug}`);
+  console.log(`resolved: ${resolved.address} (${resolved.source})`);
+  console.log(`chain: ${chainKey || "unknown (defaults to ethereum)"}`);
+  if (resolved.entry?.note) console.log(`note: ${resolved.entry.note}`);
+  for (const c of (resolved.candidates || []).slice(0, opts.top || 10)) {
+    console.log(
+      `  ${c.address} score=${c.score} seen=${c.occurrences}${c.nearSlug ? " near-slug" : ""}${c.role ? ` role=${c.role}` : ""}`
+    );
+  }
+
+  if (opts.save) {
+    if (!rule) throw new Error("--save needs a URL matching a site rule (gauntlet, morpho, pareto)");
+    const roles = {};
+    for (const c of resolved.candidates || []) {
+      if (["provisioner", "vault", "token"].includes(c.role) && !roles[c.role]) roles[c.role] = c.address;
+    }
+    const entry = { chain: chainKey || "ethereum", address: resolved.address, ...roles };
+    saveVaultMapEntry(opts.vaultMap, rule.key, entry);
+    console.log(`saved ${rule.key} to ${resolveMapFile(opts.vaultMap)}`);
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * serve.js
+ *
+ * Local HTTP API serving vault price history, summaries and discovery as JSON, backed by a store of
+ * daily price files that is filled on demand (see lib/api.js for the routes).
+ *
+ * Usage:
+ *   node scripts/serve.js [--port 8787] [--host 127.0.0.1] [--store data] [--format csv|json|ndjson|sqlite]
+ *     [--verbose] [--max-rps 25] [--no-probe] [--no-cache]
+ *
+ * Examples:
+ *   curl localhost:8787/vaults
+ *   curl "localhost:8787/vaults/ethereum/0x.../prices?from=2024-01-01&interval=week"
+ *   curl localhost:8787/vaults/ethereum/0x.../summary
+ *   curl -X POST localhost:8787/discover -d '{"vault": "https://app.pareto.credit/vault#0x...", "backfill": true}'
+ */
+
+import dotenv from "dotenv";
+
+import { parseArgs } from "../lib/utils.js";
+import { API_CONFIG } from "../lib/config.js";
+import { loadNetworks } from "../lib/networks.js";
+import { loadAdapters } from "../lib/adapters/index.js";
+import { createVaultStore } from "../lib/store.js";
+import { createApiServer } from "../lib/api.js";
+
+dotenv.config();
+
+const log = (msg) => console.error(msg);
+
+/**
+ * Main entry point: open the store and listen until interrupted
+ */
+async function main() {
+  const schemaMap = {
+    port: "number",
+    host: "string",
+    store: "string",
+    format: "string",
+    verbose: "boolean",
+    rpcUrls: "string",
+    maxRps: "number",
+    noProbe: "boolean",
+    noCache: "boolean",
+    cacheDir: "string",
+    adaptersDir: "string",
+    adaptersConfig: "string",
+    networksConfig: "string",
+    vaultMap: "string",
+  };
+  const opts = parseArgs(process.argv.slice(2), schemaMap);
+
+  const loadedNetworks = loadNetworks({ configFile: opts.networksConfig });
+  if (loadedNetworks.length) log(`loaded networks: ${loadedNetworks.join(", ")}`);
+  const loadedAdapters = await loadAdapters({ dir: opts.adaptersDir, configFile: opts.adaptersConfig });
+  if (loadedAdapters.length) log(`loaded adapters: ${loadedAdapters.join(", ")}`);
+
+  const store = createVaultStore({
+    dir: opts.store || API_CONFIG.STORE_DIR,
+    format: opts.format || API_CONFIG.STORE_FORMAT,
+  });
+  log(`vault store: ${store.dir} (${store.format}, ${store.list().length} vaults)`);
+
+  const server = createApiServer({
+    store,
+    connectOpts: {
+      rpcUrls: opts.rpcUrls,
+      maxRps: opts.maxRps,
+      noProbe: opts.noProbe,
+      noCache: opts.noCache,
+      cacheDir: opts.cacheDir,
+    },
+    vaultMap: opts.vaultMap,
+    verbose: opts.verbose,
+    log,
+    warn: log,
+  });
+
+  const host = opts.host || API_CONFIG.HOST;
+  const port = opts.port ?? API_CONFIG.PORT;
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  log(`listening on http://${host}:${server.address().port}`);
+
+  const stop = () => {
+    log("shutting down");
+    server.close(() => process.exit(0));
+    // requests still sampling history would keep close() waiting
+    setTimeout(() => process.exit(0), 2000).unref();
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
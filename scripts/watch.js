@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * watch.js
+ *
+ * Long-running monitor for the vaults of a portfolio file: polls each chain's head through the provider
+ * pool, appends a point per new UTC date to each vault's output file and sends alerts to the configured sinks.
+ *
+ * Usage:
+ *   node scripts/watch.js --config portfolio.yaml [--interval 60] [--once] [--only name1,name2]
+ *     [--sinks stdout,webhook=https://hooks.example/x,file=alerts.jsonl] [--min-apr 4] [--deposit-cap-pct 95]
+ *     [--verbose] [--max-rps 25] [--no-probe] [--no-cache]
+ *
+ * Portfolio file: as for portfolio.js, plus an optional `watch` section (per-vault `rules` override it):
+ *   watch:
+ *     interval: 60
+ *     sinks: [stdout, { type: webhook, url: "https://hooks.example/x" }, { type: file, path: alerts.jsonl }]
+ *     rules: { minAprPct: 4, aprWindowDays: 7, depositCapPct: 95, minHealthyEndpoints: 2 }
+ *
+ * Logs go to stderr so the stdout sink is a clean JSON-lines stream. With --once a single tick runs and the
+ * exit status is 3 when it raised any alert.
+ */
+
+import fs from "fs";
+import dotenv from "dotenv";
+
+import { parseArgs, sleep } from "../lib/utils.js";
+import { ANOMALY_CONFIG, WATCH_CONFIG } from "../lib/config.js";
+import { requireNetwork } from "../lib/networks.js";
+import { loadPortfolio, loadPortfolioExtensions, resolveEntry } from "../lib/portfolio.js";
+import { formatPoolStats } from "../lib/provider.js";
+import { connectChain, describeProbes } from "../lib/backfill.js";
+import { createAlertSinks } from "../lib/sinks/index.js";
+import { createWatcher, resolveRules } from "../lib/watch.js";
+
+dotenv.config();
+
+const log = (msg) => console.error(msg);
+
+/**
+ * Main entry point: connect chains, then tick until interrupted
+ */
+async function main() {
+  const schemaMap = {
+    config: "string",
+    interval: "number",
+    once: "boolean",
+    only: "string",
+    sinks: "string",
+    minApr: "string",
+    depositCapPct: "string",
+    verbose: "boolean",
+    outDir: "string",
+    rpcUrls: "string",
+    maxRps: "number",
+    noProbe: "boolean",
+    noCache: "boolean",
+    cacheDir: "string",
+    adaptersDir: "string",
+    adaptersConfig: "string",
+    networksConfig: "string",
+    vaultMap: "string",
+  };
+  const opts = parseArgs(process.argv.slice(2), schemaMap);
+  if (!opts.config) {
+    console.error("provide --config <portfolio.json|portfolio.yaml>");
+    process.exit(1);
+  }
+
+  const cfg = loadPortfolio(opts.config);
+  const watchCfg = cfg.watch || {};
+  const outDir = opts.outDir || cfg.outDir || ".";
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const loaded = await loadPortfolioExtensions(cfg, opts, opts.config);
+  if (loaded.networks.length) log(`loaded networks: ${loaded.networks.join(", ")}`);
+  if (loaded.adapters.length) log(`loaded adapters: ${loaded.adapters.join(", ")}`);
+
+  const cliRules = {
+    minAprPct: opts.minApr == null ? undefined : Number(opts.minApr),
+    depositCapPct: opts.depositCapPct == null ? undefined : Number(opts.depositCapPct),
+  };
+  for (const [key, value] of Object.entries(cliRules)) {
+    if (value !== undefined && !Number.isFinite(value)) throw new Error(`invalid ${key}: expected a percent`);
+  }
+  const rules = resolveRules(watchCfg.rules, cliRules);
+
+  const only = opts.only ? new Set(opts.only.split(",").map((s) => s.trim())) : null;
+  const items = cfg.vaults
+    .filter((entry) => !only || only.has(entry.name))
+    .map((entry) => {
+      const item = resolveEntry(entry, cfg, outDir, { vaultMap: opts.vaultMap || cfg.vaultMap });
+      return { ...item, rules: resolveRules(watchCfg.rules, entry.rules, cliRules) };
+    });
+  if (!items.length) throw new Error(`no vaults selected from ${opts.config}`);
+
+  const sinkSpecs = opts.sinks ? opts.sinks.split(",").map((s) => s.trim()) : watchCfg.sinks || ["stdout"];
+  const sinks = createAlertSinks(sinkSpecs);
+  log(`alert sinks: ${sinks.map((s) => s.name).join(", ")}`);
+
+  const chains = {};
+  for (const chainKey of new Set(items.map((i) => i.chainKey))) {
+    chains[chainKey] = await connectChain(chainKey, requireNetwork(chainKey), {
+      rpcUrls: opts.rpcUrls,
+      noCache: opts.noCache,
+      cacheDir: opts.cacheDir,
+      noProbe: opts.noProbe,
+      maxRps: opts.maxRps ?? cfg.maxRps,
+    });
+    log(`[${chainKey}] rpc pool (${chains[chainKey].rpcUrls.length}): ${chains[chainKey].rpcUrls.join(", ")}`);
+    for (const line of describeProbes(chains[chainKey].probes, chains[chainKey].chainCfg.chainId)) {
+      log(`[${chainKey}] rpc probe ${line}`);
+    }
+  }
+
+  const watcher = createWatcher({ items, chains, sinks, rules, log, warn: log, verbose: opts.verbose });
+  const intervalSec = opts.interval || watchCfg.interval || WATCH_CONFIG.INTERVAL_SEC;
+  log(`watching ${items.length} vaults${opts.once ? " (single tick)" : ` every ${intervalSec}s`}`);
+
+  let stopping = false;
+  const stop = () => {
+    if (!stopping) log("stopping after the current tick");
+    stopping = true;
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  let alerts = 0;
+  while (!stopping) {
+    alerts += await watcher.tick();
+    if (opts.once) break;
+    // Sleep in short steps so a signal does not wait out the whole interval
+    for (let waited = 0; waited < intervalSec * 1000 && !stopping; waited += 250) await sleep(250);
+  }
+
+  const stats = watcher.stats();
+  log(`ticks: ${stats.ticks}, alerts: ${stats.alerts}, delivery failures: ${stats.deliveryFailures}`);
+  if (stats.firing.length) log(`still firing: ${stats.firing.join(", ")}`);
+  for (const chain of Object.values(chains)) {
+    log(`[${chain.chainKey}] rpc endpoint stats:`);
+    for (const line of formatPoolStats(chain.pool)) log(`  ${line}`);
+  }
+  for (const sink of sinks) await sink.close?.();
+  if (opts.once && alerts) process.exitCode = ANOMALY_CONFIG.EXIT_CODE;
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
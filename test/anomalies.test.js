@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { parsePriceCsv } from "../lib/csv.js";
+import { detectAnomalies, stallThresholdDays, isNewAnomaly } from "../lib/anomalies.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const bundled = (name) => parsePriceCsv(fs.readFileSync(path.join(ROOT, name), "utf8")).rows;
+
+// One sample per day from 2025-01-01 at block 1000 + day * 7200, priced by priceAt(day)
+function dailyRows(days, priceAt) {
+  return Array.from({ length: days }, (_, day) => ({
+    date: new Date(Date.UTC(2025, 0, 1 + day)).toISOString().slice(0, 10),
+    block: 1000 + day * 7200,
+    price: priceAt(day),
+  }));
+}
+
+test("monthly epoch vaults: price updates are neither stalls nor APR outliers", () => {
+  for (const file of ["falconx.csv", "rockawayX price-history.csv"]) {
+    const rows = bundled(file);
+    assert.ok(stallThresholdDays(rows) > 31, `${file} threshold follows the epoch cadence`);
+    assert.deepEqual(detectAnomalies(rows), [], file);
+  }
+});
+
+test("monthly epoch vaults: a late epoch update is a stall", () => {
+  const rows = bundled("falconx.csv");
+  // the series ends flat after its last update; keep it flat for another 60 days
+  const last = rows[rows.length - 1];
+  const late = Array.from({ length: 60 }, (_, i) => ({
+    date: new Date(Date.parse(last.date) + (i + 1) * 86400000).toISOString().slice(0, 10),
+    block: last.block + (i + 1) * 7200,
+    price: last.price,
+  }));
+  const extended = [...rows, ...late];
+  const stalls = detectAnomalies(extended).filter((a) => a.type === "stall");
+  assert.equal(stalls.length, 1);
+  assert.equal(stalls[0].ongoing, true);
+});
+
+test("daily accrual: a flat stretch is one stall flagged at the first sample past the threshold", () => {
+  // 5% APR accrual, flat from day 40 to day 50
+  const rows = dailyRows(80, (day) => 1000000n + BigInt(Math.min(day, 40) + Math.max(day - 50, 0)) * 137n);
+  assert.equal(stallThresholdDays(rows), 3);
+  const anomalies = detectAnomalies(rows);
+  assert.deepEqual(anomalies.map((a) => a.type), ["stall"]);
+  const [stall] = anomalies;
+  assert.equal(stall.days, 10);
+  assert.equal(stall.block, rows[40].block);
+  assert.equal(stall.flaggedBlock, rows[44].block);
+  assert.equal(stall.endBlock, rows[50].block);
+});
+
+test("resume: an ongoing stall is new only until the run that flagged it", () => {
+  const rows = dailyRows(60, (day) => 1000000n + BigInt(Math.min(day, 40)) * 137n);
+  const [stall] = detectAnomalies(rows);
+  assert.equal(stall.ongoing, true);
+  assert.equal(isNewAnomaly(stall, rows[43].block), true);
+  assert.equal(isNewAnomaly(stall, rows[44].block), false);
+  assert.equal(isNewAnomaly(stall, rows[55].block), false);
+});
+
+test("daily accrual: a one-day jump is an APR outlier", () => {
+  const rows = dailyRows(60, (day) => 1000000n + BigInt(day) * 137n + (day >= 45 ? 5000n : 0n));
+  const anomalies = detectAnomalies(rows);
+  assert.deepEqual(anomalies.map((a) => [a.type, a.block]), [["apr-outlier", rows[45].block]]);
+});
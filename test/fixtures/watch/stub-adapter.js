@@ -0,0 +1,36 @@
+/**
+ * Price adapter for the stub chain in watch.test.js: the price accrues 100 per block and drops back to 1.0 from
+ * DROP_BLOCK on. It answers without RPC calls so the tests only exercise the watcher and the backfill around it.
+ */
+
+export const STUB_VAULT = "0x00000000000000000000000000000000000a11ce";
+export const DROP_BLOCK = 130;
+
+export const detected = { count: 0 };
+
+export default {
+  name: "stub-feed",
+  description: "watch.test.js stub price",
+
+  async detect(ctx) {
+    if (ctx.inputAddress.toLowerCase() !== STUB_VAULT) return { matched: false, reason: "not the stub vault" };
+    detected.count++;
+    return { matched: true, reason: "stub vault", discovery: { sourceAddress: STUB_VAULT, sourceFunction: "price" } };
+  },
+
+  async read(discovery, block) {
+    return block >= DROP_BLOCK ? 1000000n : 1000000n + BigInt(block) * 100n;
+  },
+
+  async resolveAsset() {
+    return { assetAddress: null, assetSymbol: "USD", assetDecimals: 6, priceDecimals: 6 };
+  },
+
+  supplyCalls() {
+    return [];
+  },
+
+  flowSources() {
+    return [];
+  },
+};
@@ -0,0 +1,154 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import {
+  matchSiteRule,
+  resolveFromMap,
+  extractCandidateAddresses,
+  resolveVaultInput,
+  saveVaultMapEntry,
+} from "../lib/resolver.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "resolver");
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), "utf8");
+
+// A map file that does not exist yet, so only the built-in VAULT_SLUGS apply until a test writes it
+function tempMapFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "vault-map-")), "vault-map.json");
+}
+
+test("matchSiteRule: Gauntlet slugs with and without a protocol prefix", () => {
+  const expected = { site: "gauntlet", slug: "gpaafalconx", key: "gauntlet:gpaafalconx", chainKey: null };
+  assert.deepEqual(matchSiteRule("https://app.gauntlet.xyz/vaults/gpaafalconx"), expected);
+  assert.deepEqual(matchSiteRule("https://app.gauntlet.xyz/vaults/aera:gpAAFalconX?tab=overview"), expected);
+});
+
+test("matchSiteRule: Morpho takes the chain from the path", () => {
+  assert.deepEqual(matchSiteRule("https://app.morpho.org/base/vault/mwusdc/moonwell-flagship-usdc"), {
+    site: "morpho",
+    slug: "mwusdc",
+    key: "morpho:mwusdc",
+    chainKey: "base",
+  });
+});
+
+test("matchSiteRule: Pareto defaults to Ethereum and reads hash routes", () => {
+  const expected = { site: "pareto", slug: "rockawayx", key: "pareto:rockawayx", chainKey: "ethereum" };
+  assert.deepEqual(matchSiteRule("https://app.pareto.credit/vault/rockawayx"), expected);
+  assert.deepEqual(matchSiteRule("https://www.pareto.credit/#vault/rockawayx"), expected);
+});
+
+test("matchSiteRule: unknown hosts, unmatched paths and non-URLs", () => {
+  assert.equal(matchSiteRule("https://example.com/vaults/gpaafalconx"), null);
+  assert.equal(matchSiteRule("https://app.gauntlet.xyz/portfolio"), null);
+  assert.equal(matchSiteRule("gpaafalconx"), null);
+  assert.equal(matchSiteRule(undefined), null);
+});
+
+test("resolveFromMap: literal addresses resolve without the map", () => {
+  const res = resolveFromMap("https://etherscan.io/address/0xec6a70f62a83418c7fb238182ed2865f80491a8b", {
+    mapFile: tempMapFile(),
+  });
+  assert.equal(res.address, "0xEC6a70F62a83418c7fb238182eD2865F80491a8B");
+  assert.equal(res.source, "address");
+  assert.equal(res.chainKey, "ethereum");
+});
+
+test("resolveFromMap: built-in slug entry points at the provisioner", () => {
+  const res = resolveFromMap("https://app.gauntlet.xyz/vaults/gpaafalconx", { mapFile: tempMapFile() });
+  assert.equal(res.source, "map");
+  assert.equal(res.key, "gauntlet:gpaafalconx");
+  assert.equal(res.address, "0x21994912f1D286995c4d4961303cBB8E44939944");
+  assert.equal(res.chainKey, "ethereum");
+});
+
+test("resolveFromMap: local map entries override built-ins and fall back to vault/token", () => {
+  const mapFile = tempMapFile();
+  saveVaultMapEntry(mapFile, "gauntlet:gpaafalconx", {
+    chain: "base",
+    address: "0x00000000d8f3d6c5DFeB2D2b5ED2276095f3aF44",
+  });
+  saveVaultMapEntry(mapFile, "morpho:mwusdc", { vault: "0xc1256ae5ff1cf2719d4937adb3bbccab2e00a2ca" });
+
+  const overridden = resolveFromMap("https://app.gauntlet.xyz/vaults/gpaafalconx", { mapFile });
+  assert.equal(overridden.address, "0x00000000d8f3d6c5DFeB2D2b5ED2276095f3aF44");
+  assert.equal(overridden.chainKey, "base");
+
+  const morpho = resolveFromMap("https://app.morpho.org/base/vault/mwusdc/moonwell-flagship-usdc", { mapFile });
+  assert.equal(morpho.address, "0xc1256Ae5FF1cf2719D4937adb3bbCCab2E00A2Ca");
+  assert.equal(morpho.chainKey, "base");
+});
+
+test("resolveFromMap: unknown slugs and plain text stay unresolved", () => {
+  const mapFile = tempMapFile();
+  assert.equal(resolveFromMap("https://app.gauntlet.xyz/vaults/unknownvault", { mapFile }), null);
+  assert.equal(resolveFromMap("not a url", { mapFile }), null);
+});
+
+test("extractCandidateAddresses: Gauntlet page ranks the provisioner over the vault token", () => {
+  const candidates = extractCandidateAddresses(fixture("gauntlet-gpaafalconx.html"), { slug: "gpaafalconx" });
+  assert.deepEqual(
+    candidates.slice(0, 3).map((c) => [c.address, c.role]),
+    [
+      ["0x21994912f1D286995c4d4961303cBB8E44939944", "provisioner"],
+      ["0x00000000d8f3d6c5DFeB2D2b5ED2276095f3aF44", "vault"],
+      ["0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", "asset"],
+    ]
+  );
+  // Multicall3, the ETH placeholder and the zero address are never candidates
+  const addresses = candidates.map((c) => c.address.toLowerCase());
+  assert.ok(!addresses.includes("0xca11bde05977b3631167028862be2a173976ca11"));
+  assert.ok(!addresses.includes("0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee"));
+  assert.ok(!addresses.includes("0x0000000000000000000000000000000000000000"));
+});
+
+test("extractCandidateAddresses: Morpho page prefers the vault over its more frequent asset", () => {
+  const candidates = extractCandidateAddresses(fixture("morpho-base-mwusdc.html"), { slug: "mwusdc" });
+  assert.equal(candidates[0].address, "0xc1256Ae5FF1cf2719D4937adb3bbCCab2E00A2Ca");
+  assert.equal(candidates[0].role, "vault");
+  const usdc = candidates.find((c) => c.address === "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913");
+  assert.equal(usdc.occurrences, 4);
+  assert.equal(usdc.role, "asset");
+  assert.ok(usdc.score < candidates[0].score);
+});
+
+test("extractCandidateAddresses: Pareto page ranks the tranche token first and the owner last", () => {
+  const candidates = extractCandidateAddresses(fixture("pareto-rockawayx.html"), { slug: "rockawayx" });
+  assert.equal(candidates[0].address, "0xEC6a70F62a83418c7fb238182eD2865F80491a8B");
+  assert.equal(candidates[0].role, "token");
+  assert.equal(candidates[candidates.length - 1].role, "owner");
+});
+
+test("extractCandidateAddresses: empty input", () => {
+  assert.deepEqual(extractCandidateAddresses(""), []);
+  assert.deepEqual(extractCandidateAddresses(null), []);
+});
+
+test("resolveVaultInput: saved pages resolve unmapped slugs without network access", async () => {
+  const mapFile = tempMapFile();
+  const gauntlet = await resolveVaultInput("https://app.gauntlet.xyz/vaults/gpaafalconx", {
+    mapFile,
+    refresh: true,
+    htmlFile: path.join(FIXTURES, "gauntlet-gpaafalconx.html"),
+  });
+  assert.equal(gauntlet.source, "html");
+  assert.equal(gauntlet.address, "0x21994912f1D286995c4d4961303cBB8E44939944");
+
+  const morpho = await resolveVaultInput("https://app.morpho.org/base/vault/mwusdc/moonwell-flagship-usdc", {
+    mapFile,
+    html: fixture("morpho-base-mwusdc.html"),
+  });
+  assert.equal(morpho.address, "0xc1256Ae5FF1cf2719D4937adb3bbCCab2E00A2Ca");
+  assert.equal(morpho.chainKey, "base");
+});
+
+test("resolveVaultInput: unmapped slug without a page explains how to resolve it", async () => {
+  await assert.rejects(
+    resolveVaultInput("https://app.pareto.credit/vault/rockawayx", { mapFile: tempMapFile() }),
+    /no map entry for pareto:rockawayx/
+  );
+});
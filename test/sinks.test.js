@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+import createWebhookSink from "../lib/sinks/webhook.js";
+
+// Local webhook receiver that answers each POST with the next status in `statuses` (then 200)
+async function withReceiver(statuses, fn) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ method: req.method, headers: req.headers, body });
+      res.statusCode = statuses[requests.length - 1] ?? 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/hook`, requests);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+const alert = { type: "price-decrease", vault: "test", block: 123, message: "price fell" };
+
+test("webhook sink: POSTs the alert as a JSON body", async () => {
+  await withReceiver([], async (url, requests) => {
+    await createWebhookSink({ url, headers: { authorization: "Bearer t" } }).send(alert);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].method, "POST");
+    assert.match(requests[0].headers["content-type"], /^application\/json/);
+    assert.equal(requests[0].headers.authorization, "Bearer t");
+    assert.deepEqual(JSON.parse(requests[0].body), alert);
+  });
+});
+
+test("webhook sink: a 5xx response is retried", async () => {
+  await withReceiver([503], async (url, requests) => {
+    await createWebhookSink({ url, retries: 1 }).send(alert);
+    assert.equal(requests.length, 2);
+    assert.deepEqual(JSON.parse(requests[1].body), alert);
+  });
+});
+
+test("webhook sink: a 4xx response is not retried", async () => {
+  await withReceiver([400], async (url, requests) => {
+    await assert.rejects(createWebhookSink({ url, retries: 2 }).send(alert), (err) => err.response?.status === 400);
+    assert.equal(requests.length, 1);
+  });
+});
@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { registerNetwork } from "../lib/networks.js";
+import { registerAdapter } from "../lib/adapters/index.js";
+import { connectChain } from "../lib/backfill.js";
+import { createWatcher, resolveRules } from "../lib/watch.js";
+import stubAdapter, { STUB_VAULT, detected } from "./fixtures/watch/stub-adapter.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const FIXTURES = path.join(ROOT, "test", "fixtures", "watch");
+
+// Stub chain: one block per hour from 2025-01-01T00:00Z, so every 24th block starts a UTC date
+const CHAIN_ID = 31337;
+const GENESIS = Date.UTC(2025, 0, 1) / 1000;
+const DEPLOY_BLOCK = 24;
+const hex = (n) => `0x${n.toString(16)}`;
+
+/**
+ * JSON-RPC stub for the stub chain; `chain.head` moves the head and `chain.calls` counts requests per method
+ * @private
+ */
+async function startChain(head) {
+  const chain = { head, calls: {} };
+  const block = (n) => ({
+    number: hex(n),
+    hash: `0x${(n + 1).toString(16).padStart(64, "0")}`,
+    parentHash: `0x${n.toString(16).padStart(64, "0")}`,
+    timestamp: hex(GENESIS + n * 3600),
+    nonce: "0x0000000000000000",
+    difficulty: "0x0",
+    gasLimit: "0x1c9c380",
+    gasUsed: "0x0",
+    miner: `0x${"0".repeat(40)}`,
+    extraData: "0x",
+    baseFeePerGas: "0x1",
+    transactions: [],
+  });
+  const tag = (t) => (t == null || t === "latest" ? chain.head : Number(BigInt(t)));
+  const answer = ({ id, method, params }) => {
+    chain.calls[method] = (chain.calls[method] || 0) + 1;
+    const result = {
+      eth_chainId: () => hex(CHAIN_ID),
+      net_version: () => String(CHAIN_ID),
+      eth_blockNumber: () => hex(chain.head),
+      eth_getBlockByNumber: () => (tag(params[0]) > chain.head ? null : block(tag(params[0]))),
+      eth_getCode: () =>
+        params[0].toLowerCase() === STUB_VAULT && tag(params[1]) >= DEPLOY_BLOCK ? "0x6001600055" : "0x",
+      eth_getStorageAt: () => `0x${"0".repeat(64)}`,
+      eth_getBalance: () => "0x0",
+      eth_getLogs: () => [],
+    }[method];
+    if (result) return { jsonrpc: "2.0", id, result: result() };
+    return { jsonrpc: "2.0", id, error: { code: 3, message: "execution reverted", data: "0x" } };
+  };
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const payload = JSON.parse(body);
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  chain.url = `http://127.0.0.1:${server.address().port}`;
+  chain.close = () => new Promise((resolve) => server.close(resolve));
+  return chain;
+}
+
+test("watch --once: the stdout sink is the only thing on stdout", async () => {
+  const chain = await startChain(131);
+  try {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "watch-"));
+    const config = path.join(dir, "portfolio.json");
+    fs.writeFileSync(
+      config,
+      JSON.stringify({
+        networks: { stubchain: { chainId: CHAIN_ID, rpcUrls: [chain.url], blockTime: 3600 } },
+        adaptersDir: FIXTURES,
+        vaults: [{ name: "stub", vault: STUB_VAULT, chain: "stubchain" }],
+        watch: { sinks: ["stdout"] },
+      })
+    );
+    const args = [path.join(ROOT, "scripts", "watch.js"), "--config", config, "--out-dir", dir, "--once", "--no-probe"];
+    const { stdout, stderr } = await new Promise((resolve) => {
+      // exit status 3 means an alert fired, which this run expects
+      execFile(process.execPath, [...args, "--no-cache"], { cwd: dir, timeout: 60000 }, (err, out, errOut) =>
+        resolve({ code: err?.code ?? 0, stdout: out, stderr: errOut })
+      );
+    });
+    const lines = stdout.split("\n").filter(Boolean);
+    assert.ok(lines.length, `no alerts on stdout; stderr:\n${stderr}`);
+    const alerts = lines.map((line) => JSON.parse(line));
+    assert.ok(alerts.some((a) => a.rule === "price-decrease"), stdout);
+    assert.match(stderr, /watching 1 vaults/);
+  } finally {
+    await chain.close();
+  }
+});
+
+test("watch: a new UTC date reuses the discovery and deploy block of the first run", async () => {
+  const chain = await startChain(5 * 24 + 2);
+  try {
+    const network = registerNetwork("stubchain", { chainId: CHAIN_ID, rpcUrls: [chain.url], blockTime: 3600 });
+    registerAdapter(stubAdapter);
+    const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "watch-")), "stub.csv");
+    const rules = resolveRules();
+    const watcher = createWatcher({
+      items: [{ name: "stub", address: STUB_VAULT, chainKey: "stubchain", options: { out }, rules }],
+      chains: { stubchain: await connectChain("stubchain", network, { noProbe: true, noCache: true }) },
+      sinks: [{ name: "memory", send: async () => {} }],
+      rules,
+      log: () => {},
+    });
+
+    await watcher.tick();
+    const detects = detected.count;
+    const codeReads = chain.calls.eth_getCode;
+    assert.equal(detects, 1);
+
+    chain.head += 24;
+    await watcher.tick();
+    assert.equal(detected.count, detects, "discovery ran again");
+    assert.equal(chain.calls.eth_getCode, codeReads, "deploy block searched again");
+
+    const rows = fs.readFileSync(out, "utf8").split("\n").filter((line) => /^\d{4}-/.test(line));
+    assert.deepEqual(
+      rows.slice(-2).map((row) => row.split(",").slice(0, 2).join(",")),
+      ["2025-01-06,120", "2025-01-07,144"]
+    );
+  } finally {
+    await chain.close();
+  }
+});